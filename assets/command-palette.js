@@ -0,0 +1,221 @@
+/**
+ * DeepReview User Guide - command palette (Ctrl/Cmd+K)
+ * Jump to any section or heading by typing a few letters of its name.
+ * Matching is fuzzy: the letters must appear in order, and runs of
+ * consecutive letters and letters at the start of words rank higher.
+ */
+
+// Items shown at once; the reader narrows the list by typing
+const MAX_PALETTE_RESULTS = 20;
+
+class CommandPalette {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getItems - items to choose from: { label, detail, icon, section, heading }
+   * @param {Function} options.onSelect - called with the chosen item after the palette closes
+   * @param {Function} options.t - translates a message key for the current language
+   */
+  constructor(options = {}) {
+    this.getItems = options.getItems || (() => []);
+    this.onSelect = options.onSelect || (() => {});
+    this.t = options.t || (key => key);
+    this.overlay = null;
+    this.results = [];
+    this.activeIndex = 0;
+    this.returnFocus = null;
+  }
+
+  isOpen() {
+    return this.overlay !== null;
+  }
+
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    if (this.isOpen()) return;
+    this.returnFocus = document.activeElement;
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'command-palette';
+    this.overlay.innerHTML = `
+      <div class="command-palette-panel" role="dialog" aria-modal="true" aria-label="${escapeHtml(this.t('palette.title'))}">
+        <input type="text" class="command-palette-input" role="combobox" aria-expanded="true"
+          aria-controls="commandPaletteList" aria-autocomplete="list" autocomplete="off" spellcheck="false"
+          placeholder="${escapeHtml(this.t('palette.placeholder'))}" aria-label="${escapeHtml(this.t('palette.placeholder'))}">
+        <ul class="command-palette-list" id="commandPaletteList" role="listbox" aria-label="${escapeHtml(this.t('palette.results'))}"></ul>
+        <p class="command-palette-hint">${escapeHtml(this.t('palette.hint'))}</p>
+      </div>
+    `;
+
+    const input = this.overlay.querySelector('.command-palette-input');
+    input.addEventListener('input', () => this.update(input.value));
+    input.addEventListener('keydown', (e) => this.handleKeydown(e));
+    this.overlay.addEventListener('mousedown', (e) => {
+      // Keep focus in the input; the click below picks the option
+      if (e.target !== input) e.preventDefault();
+    });
+    this.overlay.addEventListener('click', (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option) {
+        this.choose(Number(option.dataset.index));
+      } else if (e.target === this.overlay) {
+        this.close();
+      }
+    });
+
+    document.body.appendChild(this.overlay);
+    this.update('');
+    input.focus();
+  }
+
+  close() {
+    if (!this.isOpen()) return;
+    this.overlay.remove();
+    this.overlay = null;
+    if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+      this.returnFocus.focus();
+    }
+    this.returnFocus = null;
+  }
+
+  handleKeydown(e) {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        this.setActive(this.activeIndex + 1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        this.setActive(this.activeIndex - 1);
+        break;
+      case 'Enter':
+        e.preventDefault();
+        this.choose(this.activeIndex);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        this.close();
+        break;
+      case 'Tab':
+        // The input is the only control; keep focus inside the dialog
+        e.preventDefault();
+        break;
+    }
+  }
+
+  choose(index) {
+    const result = this.results[index];
+    if (!result) return;
+    // Navigation moves focus itself, so do not hand it back to the old element
+    this.returnFocus = null;
+    this.close();
+    this.onSelect(result.item);
+  }
+
+  /**
+   * Rank the items against the query; an empty query lists the items that
+   * have no detail line (the sections) in their own order
+   */
+  filter(query) {
+    const items = this.getItems();
+    if (!query.trim()) {
+      return items.filter(item => !item.detail).map(item => ({ item, positions: [] }));
+    }
+
+    return items
+      .map(item => ({ item, match: CommandPalette.fuzzyMatch(query, item.label) }))
+      .filter(({ match }) => match !== null)
+      .sort((a, b) => b.match.score - a.match.score)
+      .slice(0, MAX_PALETTE_RESULTS)
+      .map(({ item, match }) => ({ item, positions: match.positions }));
+  }
+
+  /**
+   * Score how well a query matches a label, or null when it does not
+   *
+   * @returns {{ score: number, positions: number[] }|null} positions of the matched characters
+   */
+  static fuzzyMatch(query, label) {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const text = label.toLowerCase();
+    const positions = [];
+    let score = 0;
+    let last = -1;
+
+    for (const char of needle) {
+      const index = text.indexOf(char, last + 1);
+      if (index === -1) return null;
+
+      score += 1;
+      if (index === last + 1) score += 5;
+      if (index === 0 || /[\s\-/&(（]/.test(text[index - 1])) score += 3;
+      positions.push(...Array.from(char, (unit, offset) => index + offset));
+      last = index + char.length - 1;
+    }
+
+    // Between equal matches, prefer the one that starts earlier in a shorter label
+    score -= (positions[0] || 0) * 0.1 + text.length * 0.01;
+    return { score, positions };
+  }
+
+  update(query) {
+    this.results = this.filter(query);
+    const list = this.overlay.querySelector('.command-palette-list');
+
+    if (this.results.length === 0) {
+      list.innerHTML = `<li class="command-palette-empty">${escapeHtml(this.t('palette.noResults'))}</li>`;
+    } else {
+      list.innerHTML = this.results.map(({ item, positions }, index) => `
+        <li class="command-palette-option" role="option" id="commandPaletteOption${index}" data-index="${index}" aria-selected="false">
+          <span class="command-palette-icon" aria-hidden="true">${escapeHtml(item.icon || '#')}</span>
+          <span class="command-palette-label">${this.highlight(item.label, positions)}</span>
+          ${item.detail ? `<span class="command-palette-detail">${escapeHtml(item.detail)}</span>` : ''}
+        </li>
+      `).join('');
+    }
+
+    this.setActive(0);
+  }
+
+  setActive(index) {
+    const input = this.overlay.querySelector('.command-palette-input');
+    const options = [...this.overlay.querySelectorAll('[role="option"]')];
+    if (options.length === 0) {
+      input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    this.activeIndex = (index + options.length) % options.length;
+    options.forEach((option, i) => option.setAttribute('aria-selected', String(i === this.activeIndex)));
+    const active = options[this.activeIndex];
+    input.setAttribute('aria-activedescendant', active.id);
+    if (typeof active.scrollIntoView === 'function') {
+      active.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  highlight(label, positions) {
+    const matched = new Set(positions);
+    let html = '';
+    let open = false;
+    for (let i = 0; i < label.length; i++) {
+      if (matched.has(i) !== open) {
+        html += open ? '</mark>' : '<mark>';
+        open = !open;
+      }
+      html += escapeHtml(label[i]);
+    }
+    return open ? `${html}</mark>` : html;
+  }
+}
+
+// 导出供其他脚本使用
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CommandPalette;
+}
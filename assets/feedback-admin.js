@@ -0,0 +1,253 @@
+/**
+ * DeepReview guide feedback summary
+ * Aggregates the "Was this helpful?" submissions from the feedback endpoint
+ * (<meta name="feedback-endpoint">) per section and per heading, with the
+ * comments readers left, newest first.
+ */
+
+class FeedbackAdminApp {
+  constructor() {
+    this.i18n = window.guideI18n;
+    this.currentLang = this.i18n.resolveLanguage();
+    const endpoint = document.querySelector('meta[name="feedback-endpoint"]');
+    this.endpoint = endpoint ? endpoint.content : '';
+    this.manifest = null;
+    this.entries = null;
+
+    this.init();
+  }
+
+  async init() {
+    this.bindEvents();
+    this.renderLanguagePicker();
+    this.i18n.translateDocument(this.currentLang);
+    await this.load();
+  }
+
+  t(key, params) {
+    return this.i18n.translate(this.currentLang, key, params);
+  }
+
+  async load() {
+    if (!this.endpoint) {
+      document.getElementById('feedbackResults').innerHTML =
+        `<p class="muted">${escapeHtml(this.t('feedbackAdmin.noEndpoint'))}</p>`;
+      return;
+    }
+
+    try {
+      const [manifest, entries] = await Promise.all([
+        this.fetchJson('content/manifest.json'),
+        this.fetchJson(this.endpoint)
+      ]);
+      this.manifest = manifest;
+      this.entries = Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      console.error('Failed to load feedback:', error);
+      this.showError();
+      return;
+    }
+
+    this.renderFilter();
+    this.render();
+  }
+
+  async fetchJson(url) {
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`${url}: HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  renderFilter() {
+    const select = document.getElementById('feedbackLang');
+    const selected = select.value;
+    const languages = this.manifest.languages.map(code => {
+      const locale = this.i18n.has(code) ? this.i18n.get(code) : null;
+      return new Option(locale ? locale.name : code, code);
+    });
+    select.replaceChildren(new Option(this.t('feedbackAdmin.allLanguages'), ''), ...languages);
+    select.value = selected;
+  }
+
+  getEntries() {
+    const lang = document.getElementById('feedbackLang').value;
+    return lang ? this.entries.filter(entry => entry.lang === lang) : this.entries;
+  }
+
+  /**
+   * Entries grouped by section, in navigation order; sections no longer in
+   * the manifest come last
+   */
+  summarize(entries) {
+    const order = this.manifest.sections.map(section => section.key);
+    const groups = new Map(order.map(key => [key, []]));
+    entries.forEach(entry => {
+      if (!groups.has(entry.section)) groups.set(entry.section, []);
+      groups.get(entry.section).push(entry);
+    });
+
+    return [...groups.entries()].map(([key, items]) => ({
+      key,
+      ...this.count(items),
+      comments: items.filter(item => item.comment).length,
+      items
+    }));
+  }
+
+  count(items) {
+    const up = items.filter(item => item.rating === 'up').length;
+    const down = items.length - up;
+    return { up, down, total: items.length, helpful: items.length > 0 ? Math.round(up / items.length * 100) : null };
+  }
+
+  sectionTitle(key) {
+    // Sections removed from the guide keep showing under their key
+    const section = this.manifest.sections.find(item => item.key === key);
+    return section ? `${section.icon} ${this.t(`sections.${key}`)}` : key;
+  }
+
+  render() {
+    const entries = this.getEntries();
+    const results = document.getElementById('feedbackResults');
+    if (entries.length === 0) {
+      results.innerHTML = `<p class="muted">${escapeHtml(this.t('feedbackAdmin.empty'))}</p>`;
+      return;
+    }
+
+    const total = this.count(entries);
+    const sections = this.summarize(entries);
+    results.innerHTML = `
+      <p class="feedback-total">${escapeHtml(this.t('feedbackAdmin.total', { count: total.total, percent: total.helpful }))}</p>
+      <div class="feedback-table-wrap">
+        <table class="feedback-table">
+          <thead>
+            <tr>
+              ${['section', 'up', 'down', 'helpful', 'comments'].map(column =>
+                `<th scope="col">${escapeHtml(this.t(`feedbackAdmin.table.${column}`))}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>${sections.map(section => this.renderRow(section)).join('')}</tbody>
+        </table>
+      </div>
+      ${sections.filter(section => section.total > 0).map(section => this.renderDetails(section)).join('')}
+    `;
+  }
+
+  renderRow(section) {
+    const helpful = section.helpful === null ? '–' : `${section.helpful}%`;
+    return `
+      <tr>
+        <th scope="row">${escapeHtml(this.sectionTitle(section.key))}</th>
+        <td>${section.up}</td>
+        <td>${section.down}</td>
+        <td>
+          <span class="feedback-meter" aria-hidden="true"><span style="width: ${section.helpful || 0}%"></span></span>
+          ${helpful}
+        </td>
+        <td>${section.comments}</td>
+      </tr>
+    `;
+  }
+
+  renderDetails(section) {
+    const headings = new Map();
+    section.items.forEach(item => {
+      const key = item.heading || '';
+      if (!headings.has(key)) headings.set(key, []);
+      headings.get(key).push(item);
+    });
+
+    const headingRows = [...headings.entries()].map(([heading, items]) => {
+      const { up, down } = this.count(items);
+      const label = heading
+        ? `<a href="${escapeHtml(this.guideLink(section.key, heading))}">#${escapeHtml(heading)}</a>`
+        : escapeHtml(this.t('feedbackAdmin.wholeSection'));
+      return `<li>${label} <span class="muted">👍 ${up} · 👎 ${down}</span></li>`;
+    }).join('');
+
+    const comments = section.items
+      .filter(item => item.comment)
+      .sort((a, b) => String(b.submittedAt).localeCompare(String(a.submittedAt)))
+      .map(item => `
+        <li class="feedback-comment">
+          <p class="feedback-comment-meta">
+            <span role="img" aria-label="${escapeHtml(this.t(`feedbackAdmin.rating.${item.rating}`))}">${item.rating === 'up' ? '👍' : '👎'}</span>
+            ${escapeHtml(this.formatDate(item.submittedAt))} · ${escapeHtml(item.lang)}${item.heading ? ` · #${escapeHtml(item.heading)}` : ''}
+          </p>
+          <p lang="${escapeHtml(item.lang)}">${escapeHtml(item.comment)}</p>
+        </li>
+      `).join('');
+
+    return `
+      <details class="feedback-section">
+        <summary>${escapeHtml(this.sectionTitle(section.key))} <span class="muted">${escapeHtml(this.t('feedbackAdmin.responses', { count: section.total }))}</span></summary>
+        <h3>${escapeHtml(this.t('feedbackAdmin.byHeading'))}</h3>
+        <ul class="feedback-headings">${headingRows}</ul>
+        <h3>${escapeHtml(this.t('feedbackAdmin.comments'))}</h3>
+        ${comments ? `<ul class="feedback-comments">${comments}</ul>` : `<p class="muted">${escapeHtml(this.t('feedbackAdmin.noComments'))}</p>`}
+      </details>
+    `;
+  }
+
+  guideLink(section, heading) {
+    return `user-guide.html#${encodeURIComponent(section)}/${encodeURIComponent(heading)}`;
+  }
+
+  formatDate(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString(this.i18n.get(this.currentLang).dateLocale);
+  }
+
+  renderLanguagePicker() {
+    const select = document.getElementById('langSelect');
+    select.replaceChildren(...this.i18n.list().map(locale => {
+      const option = new Option(locale.name, locale.code);
+      option.lang = locale.code;
+      return option;
+    }));
+    select.value = this.currentLang;
+  }
+
+  switchLanguage(lang) {
+    if (!this.i18n.has(lang) || lang === this.currentLang) return;
+
+    this.currentLang = lang;
+    this.i18n.rememberLanguage(lang);
+    this.i18n.translateDocument(lang);
+
+    const url = new URL(window.location);
+    url.searchParams.set('lang', lang);
+    window.history.replaceState({}, '', url);
+
+    if (this.entries) {
+      this.renderFilter();
+      this.render();
+    }
+  }
+
+  showError() {
+    document.getElementById('feedbackResults').innerHTML = `
+      <div class="error-state">
+        <p>${escapeHtml(this.t('feedbackAdmin.loadError', { endpoint: this.endpoint }))}</p>
+        <button class="btn btn-primary" onclick="window.location.reload()">${escapeHtml(this.t('error.refresh'))}</button>
+      </div>
+    `;
+  }
+
+  bindEvents() {
+    document.getElementById('feedbackLang').addEventListener('change', () => {
+      if (this.entries) this.render();
+    });
+    document.getElementById('refreshFeedback').addEventListener('click', () => this.load());
+    document.getElementById('langSelect').addEventListener('change', (e) => {
+      this.switchLanguage(e.target.value);
+    });
+  }
+}
+
+// Initialize the feedback summary when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new FeedbackAdminApp();
+});
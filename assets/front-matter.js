@@ -0,0 +1,79 @@
+/**
+ * DeepReview User Guide - section front matter
+ * Revision metadata at the top of a content/<lang>/<section>.md file:
+ *
+ *   ---
+ *   updated: 2026-10-19
+ *   changes:
+ *     - 2026-10-19: Added the settings calculator
+ *   ---
+ *
+ * Only what the guide needs is supported: "key: value" pairs and "key:"
+ * followed by "- item" lines.
+ */
+
+const FRONT_MATTER = /^---\n([\s\S]*?)\n---[ \t]*(?:\n|$)/;
+const REVISION_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+class FrontMatter {
+  /**
+   * Split a section file into its front matter and its Markdown body
+   *
+   * @returns {{ data: Object, body: string, lineOffset: number }}
+   *   lineOffset is the number of lines before the body, for line numbers in reports
+   */
+  static parse(text) {
+    const source = String(text).replace(/\r\n?/g, '\n');
+    const match = source.match(FRONT_MATTER);
+    if (!match) {
+      return { data: {}, body: source, lineOffset: 0 };
+    }
+
+    const data = {};
+    let list = null;
+    match[1].split('\n').forEach(line => {
+      const item = line.match(/^\s+-\s+(.*)$/);
+      if (item && list) {
+        list.push(item[1].trim());
+        return;
+      }
+      const pair = line.match(/^([\w-]+):\s*(.*)$/);
+      if (pair) {
+        list = pair[2] ? null : [];
+        data[pair[1]] = pair[2] ? pair[2].trim() : list;
+      }
+    });
+
+    const body = source.slice(match[0].length).replace(/^\n+/, '');
+    return { data, body, lineOffset: source.slice(0, source.length - body.length).split('\n').length - 1 };
+  }
+
+  /**
+   * Last-modified date and change log from parsed front matter.
+   * Change entries are "YYYY-MM-DD: what changed", newest first.
+   *
+   * @returns {{ updated: string|null, changes: Array<{ date: string|null, text: string }> }}
+   */
+  static revision(data) {
+    const changes = (Array.isArray(data.changes) ? data.changes : []).map(entry => {
+      const match = entry.match(/^(\d{4}-\d{2}-\d{2}):\s*(.*)$/);
+      return match ? { date: match[1], text: match[2] } : { date: null, text: entry };
+    });
+    return { updated: data.updated || null, changes };
+  }
+
+  /**
+   * Whether a string is a real YYYY-MM-DD calendar date
+   */
+  static isDate(value) {
+    if (!REVISION_DATE.test(value || '')) return false;
+    // Date.parse accepts 2026-02-30 in some engines; a real date survives the round trip
+    const time = Date.parse(`${value}T00:00:00Z`);
+    return !Number.isNaN(time) && new Date(time).toISOString().startsWith(value);
+  }
+}
+
+// 导出供其他脚本使用
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FrontMatter;
+}
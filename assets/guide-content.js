@@ -0,0 +1,501 @@
+/**
+ * Embedded copy of the user guide content.
+ * Generated by scripts/build-guide-content.js from content/ - do not edit by hand.
+ */
+window.GUIDE_CONTENT = {
+  "manifest": {
+    "defaultLanguage": "en",
+    "languages": [
+      "en",
+      "zh"
+    ],
+    "sections": [
+      {
+        "key": "scenarios",
+        "icon": "🎯"
+      },
+      {
+        "key": "customRules",
+        "icon": "📝"
+      },
+      {
+        "key": "providers",
+        "icon": "🔗"
+      },
+      {
+        "key": "basic",
+        "icon": "⚙️"
+      },
+      {
+        "key": "advanced",
+        "icon": "🚀"
+      },
+      {
+        "key": "privacy",
+        "icon": "🔒"
+      },
+      {
+        "key": "subscription",
+        "icon": "💎"
+      },
+      {
+        "key": "legal",
+        "icon": "⚖️"
+      },
+      {
+        "key": "releases",
+        "icon": "📦"
+      },
+      {
+        "key": "support",
+        "icon": "📞"
+      }
+    ]
+  },
+  "files": {
+    "en": {
+      "scenarios": "---\nupdated: 2026-10-19\nchanges:\n  - 2026-10-19: Linked step 1 to the AI Provider Setup section\n---\n\n## 🎯 Application Scenarios\n\nDeepReview is a highly flexible AI-powered review tool that supports both predefined and custom rules. \n- **Error Detection**: Syntax errors, logic errors, potential runtime errors\n- **Security Vulnerability Detection**: SQL injection, XSS attacks, authentication issues, etc.\n- **Performance Optimization**: Resource leaks, inefficient algorithms, improper data structure usage\n- **Code Style**: Naming conventions, comment completeness, code organization structure\n- **Technical Documentation**: API docs, user manuals, technical specifications\n- **Consistency Checks**: Terminology usage, format uniformity, content completeness\n- **Readability Enhancement**: Language clarity, logical structure, example code\n- **Standardization**: Unified team coding standards\n\n### 💻 Review Workflow\n\nExperience the full functionality of DeepReview through these steps:\n\n#### Step 1: Configure AI Provider\nFirst, configure your AI provider settings and select the appropriate model and API. [AI Provider Setup](#providers) lists the supported providers and how to get an API key for each.\n\n<div class=\"operation-step\">\n  <img src=\"assets/images/step1-settings.png\" alt=\"Configure AI Provider\" class=\"step-image\" />\n  <p class=\"step-description\">Select your AI provider (such as Deepseek) in the settings interface, configure model parameters and API key. The system will automatically test the connection to ensure proper configuration.</p>\n</div>\n\n#### Step 2: Import Files for Review\nImport the code files that need to be reviewed into the system.\n\n<div class=\"operation-step\">\n  <img src=\"assets/images/step2-import-files.png\" alt=\"Import Files\" class=\"step-image\" />\n  <p class=\"step-description\">Click \"Import Files\" to import Python files. The system supports multiple programming languages and will automatically identify file types and display code content.</p>\n</div>\n\n#### Step 3: Select Review Rules\nChoose appropriate predefined rule sets based on your code type.\n\n<div class=\"operation-step\">\n  <img src=\"assets/images/step3-select-rules.png\" alt=\"Select Rules\" class=\"step-image\" />\n  <p class=\"step-description\">Click \"Import Rules\" to select code review rules. The system provides various predefined rule sets including code style, security checks, performance optimization, etc.</p>\n</div>\n\n#### Step 4: Start AI Review\nLaunch the AI review process and wait for analysis completion.\n\n<div class=\"operation-step\">\n  <img src=\"assets/images/step4-start-review.png\" alt=\"Start Review\" class=\"step-image\" />\n  <p class=\"step-description\">Click \"Start Review\" to begin the review process. The system displays a progress bar as AI analyzes each selected rule and generates a detailed review report.</p>\n</div>\n\n#### Step 5: View Review Results\nGet detailed AI review reports and improvement suggestions.\n\n<div class=\"operation-step\">\n  <img src=\"assets/images/step5-view-results.png\" alt=\"View Results\" class=\"step-image\" />\n  <p class=\"step-description\">After review completion, the right panel displays detailed findings and improvement suggestions. Each issue includes specific code locations, problem descriptions, and solutions.</p>\n</div>\n\n#### Step 6: Handle Review Suggestions\nMake appropriate modifications and optimizations to your code based on AI suggestions.\n\n<div class=\"operation-step\">\n  <img src=\"assets/images/step6-handle-suggestions.png\" alt=\"Handle Suggestions\" class=\"step-image\" />\n  <p class=\"step-description\">You can accept, reject, or mark suggestions as pending. The system supports exporting review reports for convenient team collaboration and code improvement tracking.</p>\n</div>\n",
+      "customRules": "---\nupdated: 2026-10-19\nchanges:\n  - 2026-10-19: Linked the rule set gallery\n  - 2026-10-19: Added the in-page rule editor\n---\n\n## 📝 Custom Rules\n\nDeepReview allows you to create and import custom rules tailored to your specific needs. Custom rules enable you to enforce coding standards, business logic, compliance requirements, and domain-specific validations that go beyond standard code quality checks.\n\n### 🎯 Use Cases for Custom Rules\n\n#### **1. System Requirements Validation**\nAfter breaking down system requirements into detailed specifications, create custom rules to verify:\n\n- **Feature Implementation Completeness**: Ensure all required functionality is implemented\n- **Business Logic Accuracy**: Validate that code correctly implements business rules\n- **Interface Compliance**: Check API endpoints match specifications\n- **Data Flow Validation**: Verify proper data handling and transformation\n\n#### **2. Content Compliance & Moderation**\nFor platforms handling user-generated content or community interactions:\n\n- **Community Guidelines**: Check posts, comments for policy violations\n- **Content Standards**: Validate formatting, language appropriateness\n- **Regulatory Compliance**: Ensure content meets legal requirements (GDPR, accessibility, etc.)\n- **Brand Guidelines**: Verify content aligns with company standards\n\n#### **3. Team-Specific Standards**\n\n- **Architecture Patterns**: Enforce specific design patterns or frameworks\n- **Security Protocols**: Check for custom security implementations\n- **Performance Requirements**: Validate against specific performance criteria\n- **Documentation Standards**: Ensure proper code documentation and comments\n\n### ✍️ Creating Custom Rules\n\nCustom rules use a simple *.txt format with categories and rule definitions:\n\n<div class=\"operation-step\">\n  <img src=\"assets/images/self-rule-syntax.png\" alt=\"Custom Rule Syntax\" class=\"step-image\" />\n  <p class=\"step-description\">Use <code>#</code> for categories and <code>##</code> for rule titles. Each rule can contain multiple validation points and detailed instructions.</p>\n</div>\n\n### 🧪 Rule Editor\n\nType or paste a rule file below to check it before importing. The preview shows the categories and rules the way the rules panel will, and problems such as rules outside a category, empty or duplicate rules and overly long descriptions are listed with their line numbers. Your draft is kept in this browser.\n\n<div data-widget=\"rule-editor\"></div>\n\nWant a starting point? The [rule set gallery](rule-gallery.html) has ready-made rule sets for each of the use cases above, in English and Chinese.\n\n### 📥 Importing Custom Rules\n\n1. **Import Process**: Use the \"Import Rules\" button in DeepReview\n2. **Review & Select**: Choose which rules to activate for your review\n3. **Apply & Test**: Run reviews using your custom rules\n\n<div class=\"operation-step\">\n  <img src=\"assets/images/self-rule-display.png\" alt=\"Custom Rules Display\" class=\"step-image\" />\n  <p class=\"step-description\">After importing, your custom rules appear in the rules panel where you can select, organize, and apply them to your code or document reviews.</p>\n</div>\n\n### 🔧 Best Practices\n\n#### **Writing Effective Rules:**\n\n- **Be Specific**: Clearly define what to check and expected outcomes\n- **Include Examples**: Provide code samples or scenarios when possible\n- **Use Clear Language**: Write rules that AI can understand and apply consistently\n- **Test Iteratively**: Start with simple rules and refine based on results\n\n#### **Rule Organization:**\n\n- **Logical Grouping**: Group related rules under meaningful categories\n- **Priority Levels**: Consider rule importance when organizing\n- **Regular Updates**: Maintain and update rules as requirements evolve\n- **Team Collaboration**: Share and review rule sets with your team\n\n### 💡 Advanced Applications\n\n- **Compliance Auditing**: Regular validation against regulatory requirements\n- **Quality Gates**: Enforce custom rules as release criteria\n\nCustom rules transform DeepReview from a general-purpose tool into a specialized validation system tailored to your exact requirements and workflows.\n",
+      "providers": "---\nupdated: 2026-10-19\nchanges:\n  - 2026-10-19: Added the API troubleshooting wizard to Common API Issues\n  - 2026-10-19: Provider and model facts now come from the provider catalog\n---\n\n## 🔗 AI Provider Setup\n\nDeepReview supports multiple AI providers. Choose the one that best fits your needs and budget.\n\n### 🌟 Supported AI Providers\n\n{{providers-table}}\n\n> **Important Disclaimer**: DeepReview is an independent third-party tool and has no official partnership, affiliation, or endorsement from any of the AI providers listed above. Users must obtain their own API keys directly from the respective providers and comply with each provider's terms of service. DeepReview simply provides a convenient interface to connect to these services using your personal API credentials.\n\n> **Note about OpenAI Compatible**: If your preferred AI provider is not listed above, you can try connecting through the \"OpenAI Compatible\" option. Many third-party AI providers support OpenAI-compatible APIs. Simply select \"OpenAI Compatible\" as your provider, enter the appropriate API endpoint URL, and use your provider's API key.\n\n### 🔧 Configuration Steps\n\n1. Open DeepReview Settings and navigate to the \"General\" tab\n2. Select your AI Provider from the dropdown list of supported providers\n3. Enter your API Key and select the specific model you want to use\n4. Configure API URL, Context Window, and Output Length settings\n5. Click \"Test API Connection\" to verify your settings\n6. Save your configuration - settings are stored locally and encrypted\n\n### 🔐 Security & Privacy\n\n- **Local Storage**: All API keys are stored locally on your device using Chrome's secure storage\n- **No Server Transit**: Your keys never pass through our servers\n- **Direct Communication**: DeepReview connects directly to your chosen AI provider\n\n\n\n### 🛠️ Common API Issues & Solutions\n\nNot sure which of the issues below you are hitting? Tell the troubleshooter what you see and it picks the matching category, walks you through its steps one at a time and, if none of them help, prepares an email to support with everything you tried.\n\n<div data-widget=\"troubleshooter\"></div>\n\n#### 🔗 Connection Issues\n\n1. Check your internet connection stability\n2. Verify the API URL is correct\n3. Test with manual API call to verify connectivity\n4. Check firewall settings for API request blocking\n5. Consider VPN issues in certain regions\n\n#### 🔐 Authentication Issues\n\n1. Double-check your API key is correct\n2. Ensure your account is active\n3. Verify your account has sufficient credits/balance\n4. Check API key permissions\n5. Try generating a new API key\n\n#### ⚡ Rate Limiting & Quotas\n\n1. Review your plan's rate limits\n2. Consider upgrading to higher tier\n3. Space out API requests\n4. Combine multiple requests when possible\n\n#### 📄 Response Format Issues\n\n1. Reduce the context window setting (remember: DeepReview uses character count, not tokens)\n2. Break large files into smaller chunks\n3. Limit the amount of text per request\n4. Use models with larger context limits\n5. Remove unnecessary content before processing\n\n#### 🚀 Performance Issues\n\n1. Verify provider's service status\n2. Set lower max_tokens limit\n3. Switch to quicker models like {{provider:openai}}'s mini models\n4. Use concise and clear rules\n\n### 💡 Provider Selection Tips\n\n- **For Code Review**: {{provider:openai}}, {{model:claude-3-5-sonnet}}, or {{provider:deepseek}}\n- **For Large Files**: {{provider:gemini}} ({{context:gemini}} context) or {{provider:claude}} ({{context:claude}} context)\n- **For Cost Efficiency**: {{provider:openai}}'s mini models, {{provider:moonshot}}, or local models\n- **For Chinese Content**: {{provider:qwen}}\n- **For Latest Features**: {{provider:openai}}, {{model:claude-3-5-sonnet}}, or {{model:gemini-1.5-pro}}\n- **For Privacy**: Local models via Ollama, vLLM, or LM Studio\n",
+      "basic": "---\nupdated: 2026-10-19\nchanges:\n  - 2026-10-19: Added the settings calculator for Context Window and Output Length\n  - 2026-10-19: Provider and model facts now come from the provider catalog\n  - 2026-10-19: Renamed the section to Basic Functions\n---\n\n## ⚙️ Basic Functions\n\n### 🌟 Configuration Options\n\n| Setting | Function | Default/Options | Notes |\n|---------|----------|----------------|--------|\n| **Language** | Set user interface language | English, 中文 | Interface language and AI Response Language |\n| **API Provider** | Select AI service provider | {{provider-options}} | Each has different models, pricing, capabilities |\n| **AI Model** | Choose specific model | Auto-updated based on provider | Larger models = better quality + higher cost |\n| **API URL** | Custom API endpoint | Auto-filled by provider | Required only for OpenAI Compatible |\n| **API Key** | Authentication credential | User-provided | Encrypted locally, never shared with servers |\n| **Output Length** | AI response token limit | 4000 tokens (100-8000 recommended) | Too small = truncated; too large = rejected |\n| **Context Window** | Input character limit per request | 32768 characters | Auto-splits when exceeded; adjust based on API provider token limits |\n| **Connection Test** | Verify API configuration | Test button | Validates settings before use |\n\n### 📊 Analysis & Export Settings\n\n| Setting | Function | Options | Use Cases |\n|---------|----------|---------|-----------|\n| **Detail Level** | Control analysis depth | Simple, Balanced, Detailed | Simple = fast; Detailed = thorough + slower |\n| **Export Layout** | Report organization | By Rule, By File | By Rule = rule-focused; By File = file-focused |\n| **Filter Passed** | Show only problems | Enable/Disable | Enable = issues only; Disable = all results |\n| **Collapse Function** | HTML report navigation | Enable/Disable | Enable for large reports with many sections |\n| **Reset Settings** | Restore defaults | One-click reset | Cannot be undone; preserves API keys |\n\n### 🔧 Configuration Tips\n\n- **For Code Review**: Choose models with strong programming capabilities ({{provider:openai}}, {{model:claude-3-5-sonnet}}, {{provider:deepseek}})\n- **For Large Files**: Use providers with large context windows ({{provider:gemini}} {{context:gemini}}, {{provider:claude}} {{context:claude}}, {{provider:moonshot}} {{context:moonshot}})\n- **For Cost Efficiency**: Consider {{provider:openai}}'s mini models, {{provider:deepseek}}, or local models via {{provider:openai-compatible}}\n- **For Chinese Content**: {{provider:qwen}} provides better Chinese understanding\n- **For Privacy**: Use local models via Ollama with {{provider:openai-compatible}} setting\n\n### ⚠️ Important Notes\n\n**Context Window Setting:**\n- DeepReview splits files by **character count**, not token count\n- Setting too large may cause API failures due to token limits\n- If you experience API errors, try reducing the context window size\n- Use the settings calculator below to work out a safe value for your model\n\n### 🧮 Settings Calculator\n\nPick your provider, model and the kind of content you review to get a recommended **Context Window** (in characters) and **Output Length** (in tokens). For an OpenAI Compatible endpoint, enter your model's context length and output limit from its documentation. The assumptions behind the numbers are listed with the result; if a provider still rejects requests, lower the Context Window further.\n\n<div data-widget=\"settings-calculator\"></div>\n",
+      "advanced": "---\nupdated: 2026-10-19\nchanges:\n  - 2026-10-19: Linked the review cost estimator from Cost Management\n  - 2026-10-19: Renamed the section to Advanced Features\n---\n\n## 🚀 Advanced Features\n\n### ⚡ Core Advanced Features\n\n| Feature | Function | Options/Settings | Pro Required | Use Cases |\n|---------|----------|------------------|--------------|-----------|\n| **Review Mode** | Result management & filtering | Accept/Pending/Reject status | No | Team reviews, QA workflows, progress tracking |\n| **Parallel Tasks** | Concurrent API requests | 1-10 tasks (Free: max 1) | Yes (>1) | Multi-file processing, faster reviews |\n| **Multi-File Analysis** | Analyze files as cohesive unit | Enable/Disable | No | Cross-file dependencies, architecture validation |\n| **AI Repair Suggestions** | Generate fix buttons in reports | Enable/Disable + sub-options | Yes | Quick fixes, learning from AI suggestions |\n\n### 🔧 Detailed Configuration\n\n| Setting | Description | Recommended Values | Important Notes |\n|---------|-------------|-------------------|----------------|\n| **Parallel Tasks** | Number of simultaneous API calls | 3-8 for most users | Higher values may trigger rate limits |\n| **Include File Content** | Full context for AI repair | Enable for accuracy | Increases token usage significantly |\n| **Require Detailed Plan** | AI explains before suggesting | Enable for safety | Reduces risk of inappropriate changes |\n| **Context Window Monitoring** | Track merged file size | Auto-calculated | Exceeding limits reduces effectiveness |\n\n### 🎯 Feature Benefits & Limitations\n\n| Feature | Benefits | Limitations | Best Practices |\n|---------|----------|-------------|----------------|\n| **Review Mode** | Systematic tracking, team collaboration | Local storage only | Use for structured review processes |\n| **Parallel Tasks** | 3-5x faster processing, better resource use | Rate limits, higher costs | Start with 3-5, adjust based on provider |\n| **Multi-File Analysis** | Cross-file consistency, architecture insights | Context window limits, slower processing | Group related files only (component + test + types) |\n| **AI Repair** | Quick fixes, learning tool | HTML reports only, separate API calls | Use selectively for complex issues |\n\n### 💡 Optimization Tips\n\n**Performance Optimization**:\n\n- Start with 3 parallel tasks, increase gradually\n- Monitor provider rate limits and adjust accordingly\n- Use multi-file analysis for related components only\n\n**Cost Management**:\n\n- Higher parallel tasks = faster completion but higher short-term costs\n- Balance speed vs. cost based on project needs\n- Estimate requests, tokens, cost and time up front with the [review cost estimator](review-estimator.html)\n\n**Quality Assurance**:\n\n- Enable \"Require Detailed Plan\" for AI suggestions\n- Use Review Mode for systematic code review processes\n- Test advanced settings with small files first\n",
+      "privacy": "## 🔒 Privacy & Security\n\n### Data Privacy\n\n- All processing happens locally or through your chosen AI provider\n- Your code and documents never pass through our servers\n- API keys stored locally using Chrome's secure storage system\n- No content data collection or sharing\n\n### Security Features\n\n- Local API key storage (protected by Chrome's security system)\n- Direct connection to AI providers using your own credentials\n- No intermediate servers for content processing\n- Local storage of all settings and preferences\n\n### What We Store\n\n**Locally on Your Device:**\n- API keys and provider settings\n- Custom validation rules you create\n- Usage history and review results\n- Interface preferences and settings\n\n**On Our Servers (Minimal):**\n- Basic account information (email, name from Google OAuth)\n- Subscription status and billing information\n- No source code, documents, or AI analysis results\n\n### Third-Party Data Sharing\n\n- **AI Providers**: Your content is sent directly to your chosen AI provider using your API keys\n- **Payment Processing**: Handled by Paddle (our payment processor)\n- **Authentication**: Google OAuth for secure login\n- **No Content Sharing**: We never see or store your code or documents\n",
+      "subscription": "## 💎 Subscription Policy\n\n### 🎁 New User Experience\n\n**7-Day Pro Trial**: All new users automatically get full Pro access for 7 days\n\n- No credit card required to start\n- Full access to all Pro features\n- Seamless transition to Free tier if not upgraded\n\n### 💰 Annual Subscription Benefit\n\n**Pay for 10 months, get 12 months**: Annual subscribers save 2 months compared to monthly billing\n\n### 📊 Feature Comparison\n\n| Feature | Free Version | Pro Version |\n|---------|-------------|-------------|\n| File Analysis | ✅ Multi files | ✅ Multi files |\n| All AI Providers | ✅ All supported | ✅ All supported |\n| Predefined Rules | ✅ All rule sets | ✅ All rule sets |\n| Multi-File Analysis | ✅ Supported | ✅ Supported |\n| Basic Export | ✅ HTML | ✅ HTML |\n| Custom Rules | ❌ Not available | ✅ Create & import |\n| Review Mode | ❌ Not available | ✅ Accept/Pending/Reject |\n| Parallel Tasks | ❌ 1 task only | ✅ Up to 10 tasks |\n| AI Repair Suggestions | ❌ Not available | ✅ In exported reports |\n| Advanced Export | ❌ Basic formats only | ✅ Enhanced HTML with AI fixes |\n\n### 🏷️ Pricing\n\n- **Annual Plan**: $59.9/year (equivalent to ~$5/month)\n- **Monthly Plan**: $5.9/month\n\n### 🔄 Subscription Management\n\n- Cancel anytime, continue using until period ends\n- Automatic renewal (can be disabled)\n",
+      "legal": "## ⚖️ Legal & Disclaimers\n\n### 🤖 AI Results Disclaimer\n\n**Important Notice**: All AI-generated review results and suggestions are provided for informational purposes only and should not be considered as professional advice or guaranteed solutions.\n\n- AI analysis results are **not guaranteed to be accurate or complete**\n- Users must **independently verify all AI suggestions** before implementation\n- DeepReview **does not warrant the correctness** of any AI-generated content\n- Users are **solely responsible** for any decisions made based on AI output\n- AI models may produce **false positives, false negatives, or incorrect recommendations**\n\n**Recommendation**: Always use human judgment and expertise when evaluating AI suggestions. Treat AI output as a helpful starting point for further investigation, not as definitive guidance.\n\n### 🛡️ Third-Party Services\n\nDeepReview integrates with various third-party AI services. Users are responsible for:\n\n- Complying with each AI provider's terms of service\n- Managing their own API usage and costs\n- Understanding the limitations of each AI model\n- Protecting their API keys and credentials\n\n### 📜 Open Source Components\n\nThis software includes the following open source components:\n- **Monaco Editor** - Microsoft Corporation (MIT License)\n- **Mammoth.js** - Michael Williamson (BSD 2-Clause License)\n\n\n### ⚠️ Limitation of Liability\n\nDeepReview and its developers shall not be liable for any direct, indirect, incidental, special, or consequential damages arising from the use of AI-generated content or this software.\n",
+      "releases": "---\nupdated: 2026-10-19\nchanges:\n  - 2026-10-19: Added the release notes section\n---\n\n## 📦 Release Notes\n\nWhat changed in each version of the DeepReview extension, newest first. Check **Breaking changes** before updating: they list settings or behavior you may need to adjust.\n\n{{release-notes}}\n",
+      "support": "---\nupdated: 2026-10-19\nchanges:\n  - 2026-10-19: Described the feedback question at the end of sections\n---\n\n## 📞 Support & Feedback\n\n### Getting Help\n\n- Email: support@deepreview.cloud\n\n### Feedback\n\nWe value your feedback! Help us improve DeepReview by sharing your experience and suggestions.\n\nWhen a section ends with **Was this section helpful?**, answer it to tell us whether that part of the guide worked for you, and add a comment if you like. Where the question is not shown, email us instead. Your answer is sent with the section and language you were reading; if you are offline, it is kept in your browser and sent later.\n"
+    },
+    "zh": {
+      "scenarios": "---\nupdated: 2026-10-19\nchanges:\n  - 2026-10-19: 第1步添加了指向\"AI 供应商配置\"章节的链接\n---\n\n## 🎯 应用场景 {#application-scenarios}\n\nDeepReview 是一个高度灵活的 AI 驱动的审查工具，支持预定义和自定义规则。\n- **错误检测**：语法错误、逻辑错误、潜在运行时错误\n- **安全漏洞检测**：SQL注入、XSS攻击、认证问题等\n- **性能优化**：资源泄漏、低效算法、不当的数据结构使用\n- **代码风格**：命名规范、注释完整性、代码组织结构\n- **技术文档**：API文档、用户手册、技术规范\n- **一致性检查**：术语使用、格式统一、内容完整性\n- **可读性提升**：语言清晰度、逻辑结构、示例代码\n- **标准化**：团队编码规范统一\n\n### 💻 审查工作流程 {#review-workflow}\n\n通过以下步骤体验 DeepReview 的完整功能：\n\n#### 第1步：配置 AI 供应商 {#step-1-configure-ai-provider}\n首先需要配置您的 AI 供应商设置，选择合适的模型和 API。支持的供应商及各自获取 API 密钥的方法见[AI 供应商配置](#providers)。\n\n<div class=\"operation-step\">\n  <img src=\"assets/images/step1-settings.png\" alt=\"配置 AI 供应商\" class=\"step-image\" />\n  <p class=\"step-description\">在设置界面中选择 AI 供应商（如 Deepseek），配置模型参数和 API 密钥。系统会自动测试连接确保配置正确。</p>\n</div>\n\n#### 第2步：导入要审查的文件 {#step-2-import-files-for-review}\n将需要审查的代码文件导入到系统中。\n\n<div class=\"operation-step\">\n  <img src=\"assets/images/step2-import-files.png\" alt=\"导入文件\" class=\"step-image\" />\n  <p class=\"step-description\">点击\"Import Files\"按钮导入Python文件。系统支持多种编程语言，会自动识别文件类型并显示代码内容。</p>\n</div>\n\n#### 第3步：选择审查规则 {#step-3-select-review-rules}\n根据代码类型选择合适的预定义规则集。\n\n<div class=\"operation-step\">\n  <img src=\"assets/images/step3-select-rules.png\" alt=\"选择规则\" class=\"step-image\" />\n  <p class=\"step-description\">点击\"Import Rules\"选择代码审查规则。系统提供多种预定义规则集，包括代码风格、安全检查、性能优化等。</p>\n</div>\n\n#### 第4步：开始AI审查 {#step-4-start-ai-review}\n启动 AI 审查进程，等待分析完成。\n\n<div class=\"operation-step\">\n  <img src=\"assets/images/step4-start-review.png\" alt=\"开始审查\" class=\"step-image\" />\n  <p class=\"step-description\">点击\"Start Review\"按钮开始审查。系统会显示进度条，AI会逐条分析选中的规则并生成详细的审查报告。</p>\n</div>\n\n#### 第5步：查看审查结果 {#step-5-view-review-results}\n获得详细的 AI 审查报告和改进建议。\n\n<div class=\"operation-step\">\n  <img src=\"assets/images/step5-view-results.png\" alt=\"查看结果\" class=\"step-image\" />\n  <p class=\"step-description\">审查完成后，右侧面板显示详细的发现问题和改进建议。每个问题都包含具体的代码位置、问题描述和解决方案。</p>\n</div>\n\n#### 第6步：处理审查建议 {#step-6-handle-review-suggestions}\n根据 AI 建议对代码进行相应的修改和优化。\n\n<div class=\"operation-step\">\n  <img src=\"assets/images/step6-handle-suggestions.png\" alt=\"处理建议\" class=\"step-image\" />\n  <p class=\"step-description\">可以接受、拒绝或标记为待处理状态。系统支持导出审查报告，方便团队协作和代码改进跟踪。</p>\n</div>\n",
+      "customRules": "---\nupdated: 2026-10-19\nchanges:\n  - 2026-10-19: 加入规则集库链接\n  - 2026-10-19: 新增页内规则编辑器\n---\n\n## 📝 自定义规则 {#custom-rules}\n\nDeepReview 允许您创建和导入针对特定需求的自定义规则。自定义规则能够帮您执行编码标准、业务逻辑、合规要求以及超越标准代码质量检查的领域特定验证。\n\n### 🎯 自定义规则应用场景 {#use-cases-for-custom-rules}\n\n#### **1. 系统需求验证** {#1-system-requirements-validation}\n在将系统需求分解为详细规格后，创建自定义规则来验证：\n\n- **功能实现完整性**：确保所有必需功能都已实现\n- **业务逻辑准确性**：验证代码正确实现业务规则  \n- **接口合规性**：检查API端点是否符合规范\n- **数据流验证**：验证正确的数据处理和转换\n\n#### **2. 内容合规性与审核** {#2-content-compliance-moderation}\n针对处理用户生成内容或社区交互的平台：\n\n- **社区准则**：检查帖子、评论是否违反政策\n- **内容标准**：验证格式化、语言适当性\n- **法规合规**：确保内容符合法律要求（GDPR、无障碍访问等）\n- **品牌准则**：验证内容符合公司标准\n\n#### **3. 团队特定标准** {#3-team-specific-standards}\n\n- **架构模式**：强制执行特定设计模式或框架\n- **安全协议**：检查自定义安全实现\n- **性能要求**：根据特定性能标准进行验证\n- **文档标准**：确保适当的代码文档和注释\n\n### ✍️ 创建自定义规则 {#creating-custom-rules}\n\n自定义规则使用简单的 `.txt` 文件，包含分类和规则定义：\n\n<div class=\"operation-step\">\n  <img src=\"assets/images/self-rule-syntax.png\" alt=\"自定义规则语法\" class=\"step-image\" />\n  <p class=\"step-description\">使用 <code>#</code> 表示分类，<code>##</code> 表示规则标题。每个规则可以包含多个验证点和详细说明。</p>\n</div>\n\n### 🧪 规则编辑器 {#rule-editor}\n\n在下方输入或粘贴规则文件，导入前先进行检查。预览会按规则面板的方式显示分类和规则，并列出不在分类下的规则、空规则、重复规则和过长描述等问题及其行号。草稿会保存在当前浏览器中。\n\n<div data-widget=\"rule-editor\"></div>\n\n需要参考示例？[规则集库](rule-gallery.html)为上述每种应用场景提供了现成的中英文规则集。\n\n### 📥 导入自定义规则 {#importing-custom-rules}\n\n1. **导入过程**：在 DeepReview 中使用\"导入规则\"按钮\n2. **审查和选择**：选择要激活的规则进行审查\n3. **应用和测试**：使用您的自定义规则运行审查\n\n<div class=\"operation-step\">\n  <img src=\"assets/images/self-rule-display.png\" alt=\"自定义规则显示\" class=\"step-image\" />\n  <p class=\"step-description\">导入后，您的自定义规则会出现在规则面板中，您可以选择、组织并将它们应用到代码或文档审查中。</p>\n</div>\n\n### 🔧 最佳实践 {#best-practices}\n\n#### **编写有效规则：** {#writing-effective-rules}\n\n- **具体明确**：清楚定义要检查的内容和预期结果\n- **包含示例**：尽可能提供代码示例或场景\n- **使用清晰语言**：编写AI能够理解并一致应用的规则\n- **迭代测试**：从简单规则开始，根据结果进行完善\n\n#### **规则组织：** {#rule-organization}\n\n- **逻辑分组**：在有意义的分类下分组相关规则\n- **优先级别**：组织时考虑规则重要性\n- **定期更新**：随着需求演变维护和更新规则\n- **团队协作**：与团队共享和审查规则集\n\n### 💡 高级应用 {#advanced-applications}\n\n- **合规审计**：定期根据法规要求进行验证\n- **质量门槛**：将自定义规则作为发布标准强制执行\n\n自定义规则将 DeepReview 从通用工具转变为专门针对您确切要求和工作流程的专业验证系统。\n",
+      "providers": "---\nupdated: 2026-10-19\nchanges:\n  - 2026-10-19: 在“常见 API 问题”中新增 API 故障排查向导\n  - 2026-10-19: 服务商与模型信息改由服务商目录统一生成\n---\n\n## 🔗 AI 供应商配置 {#ai-provider-setup}\n\nDeepReview 支持多个 AI 供应商，您可以选择最适合您需求和预算的供应商。\n\n### 🌟 支持的 AI 供应商 {#supported-ai-providers}\n\n{{providers-table}}\n\n> **重要免责声明**: DeepReview是独立的第三方工具，与上述任何AI供应商均无官方合作关系、关联关系或背书。用户必须直接从相应的供应商处获取自己的API密钥，并遵守各供应商的服务条款。DeepReview仅提供便捷的界面来连接这些服务，使用您的个人API凭据。\n\n> **关于OpenAI兼容模式**: 如果您希望使用的AI供应商不在上述列表中，可以尝试通过\"OpenAI兼容\"选项进行连接。许多第三方AI供应商都支持OpenAI兼容的API接口。只需选择\"OpenAI兼容\"作为您的供应商，输入相应的API端点URL，并使用您的供应商API密钥即可。\n\n### 🔧 配置步骤 {#configuration-steps}\n\n1. 打开 DeepReview 设置并导航到\"通用\"标签页\n2. 从支持的供应商下拉列表中选择 AI 供应商\n3. 输入您的 API 密钥并选择要使用的具体模型\n4. 配置 API URL、上下文窗口和输出长度设置\n5. 点击\"测试 API 连接\"验证设置\n6. 保存配置 - 设置在本地存储并加密\n\n### 🔐 安全与隐私 {#security-privacy}\n\n- **本地存储**：所有 API 密钥都使用Chrome的安全存储系统存储在您的设备上\n- **无服务器传输**：您的密钥永远不会通过我们的服务器\n- **直接通信**：DeepReview 直接连接到您选择的 AI 供应商\n\n\n\n### 🛠️ API 常见问题与解决方案 {#common-api-issues-solutions}\n\n不确定遇到的是下面哪类问题？告诉故障排查向导您看到的现象，它会找出对应的类别，逐步引导您完成各项检查；如果都无法解决，还会生成一封包含已尝试步骤的支持邮件。\n\n<div data-widget=\"troubleshooter\"></div>\n\n#### 🔗 连接问题 {#connection-issues}\n\n1. 确保网络连接稳定\n2. 确认端点 URL 正确\n3. 尝试手动 API 调用验证连通性\n4. 检查防火墙设置\n5. 考虑某些地区可能屏蔽特定供应商\n\n#### 🔐 身份验证问题 {#authentication-issues}\n\n1. 仔细检查 API 密钥是否正确\n2. 确保账户处于活跃状态\n3. 验证账户有足够的额度/余额\n4. 确保 API 密钥具有所需权限\n5. 尝试生成新的 API 密钥\n\n#### ⚡ 速率限制和配额 {#rate-limiting-quotas}\n\n1. 查看您套餐的速率限制\n2. 考虑升级到更高级别\n3. 间隔 API 请求\n4. 尽可能合并多个请求\n\n#### 📄 响应格式问题 {#response-format-issues}\n\n1. 减少上下文窗口设置（注意：DeepReview 按字符数而非 token 数计算）\n2. 将大文件分解为较小的块\n3. 限制每次请求的文本量\n4. 使用上下文限制更大的模型\n5. 处理前删除不必要的内容\n\n#### 🚀 性能问题 {#performance-issues}\n\n1. 验证供应商的服务状态\n2. 设置较低的 max_tokens 限制\n3. 切换到更快的模型如 {{provider:openai}} 的 mini 模型\n4. 使用简洁明确的规则\n\n### 💡 供应商选择建议 {#provider-selection-tips}\n\n- **代码审查推荐**：{{provider:openai}}、{{model:claude-3-5-sonnet}} 或 {{provider:deepseek}}\n- **大文件处理**：{{provider:gemini}}（{{context:gemini}} 上下文）或 {{provider:claude}}（{{context:claude}} 上下文）\n- **成本效益优先**：{{provider:openai}} 的 mini 模型、{{provider:moonshot}} 或本地模型\n- **中文内容优化**：{{provider:qwen}}\n- **最新功能体验**：{{provider:openai}}、{{model:claude-3-5-sonnet}} 或 {{model:gemini-1.5-pro}}\n- **隐私保护优先**：通过 Ollama、vLLM 或 LM Studio 使用本地模型\n",
+      "basic": "---\nupdated: 2026-10-19\nchanges:\n  - 2026-10-19: 新增上下文窗口与输出长度设置计算器\n  - 2026-10-19: 服务商与模型信息改由服务商目录统一生成\n  - 2026-10-19: 章节标题改为“基础功能”\n---\n\n## ⚙️ 基础功能 {#basic-functions}\n\n### 🌟 配置选项 {#configuration-options}\n\n| 设置项 | 功能 | 默认值/选项 | 注意事项 |\n|-------|------|------------|----------|\n| **语言** | 设置用户界面语言 | English, 中文 | 影响界面语言及AI返回结果 |\n| **AI供应商** | 选择AI服务提供商 | {{provider-options}} | 每个供应商有不同的模型、定价和功能 |\n| **AI模型** | 选择具体模型 | 根据供应商自动更新 | 更大模型 = 更好质量 + 更高成本 |\n| **API URL** | 自定义API端点 | 根据供应商自动填充 | 仅OpenAI Compatible时必填 |\n| **API密钥** | 身份验证凭据 | 用户提供 | 本地加密存储，绝不与服务器共享 |\n| **输出长度** | AI响应token限制 | 4000 tokens (建议100-8000) | 太小会截断，太大会被拒绝 |\n| **上下文窗口** | 每请求输入字符限制 | 32768 字符 | 超限时自动分片，需根据API提供商token限制合理设置 |\n| **连接测试** | 验证API配置 | 测试按钮 | 使用前验证设置 |\n\n### 📊 分析与导出设置 {#analysis-export-settings}\n\n| 设置项 | 功能 | 选项 | 使用场景 |\n|-------|------|------|----------|\n| **详细程度** | 控制分析深度 | 简单, 均衡, 详细 | 简单=快速；详细=彻底+较慢 |\n| **导出排版** | 报告组织结构 | 按规则, 按文件 | 按规则=规则导向；按文件=文件导向 |\n| **过滤通过项** | 仅显示问题 | 启用/禁用 | 启用=仅问题；禁用=所有结果 |\n| **折叠功能** | HTML报告导航 | 启用/禁用 | 启用适合多章节的大型报告 |\n| **重置设置** | 恢复默认值 | 一键重置 | 无法撤销，保留API密钥 |\n\n### 🔧 配置建议 {#configuration-tips}\n\n- **代码审查推荐**：选择编程能力强的模型（{{provider:openai}}、{{model:claude-3-5-sonnet}}、{{provider:deepseek}}）\n- **大文件处理**：使用大上下文窗口的供应商（{{provider:gemini}} {{context:gemini}}、{{provider:claude}} {{context:claude}}、{{provider:moonshot}} {{context:moonshot}}）\n- **成本效益优先**：考虑 {{provider:openai}} 的 mini 模型、{{provider:deepseek}} 或通过 {{provider:openai-compatible}}的本地模型\n- **中文内容优化**：{{provider:qwen}}提供更好的中文理解\n- **隐私保护优先**：通过 Ollama 使用本地模型配合 {{provider:openai-compatible}}设置\n\n### ⚠️ 重要说明 {#important-notes}\n\n**上下文窗口设置：**\n\n- DeepReview 按**字符数**而非 token 数分片文件\n- 设置过大可能导致超出 token 限制而 API 调用失败\n- 如遇到 API 错误，请尝试减小上下文窗口大小\n- 可使用下方的设置计算器为所用模型计算安全的取值\n\n### 🧮 设置计算器 {#settings-calculator}\n\n选择供应商、模型和要审查的内容类型，即可得到推荐的**上下文窗口**（字符数）和**输出长度**（tokens）。使用 OpenAI兼容 端点时，请根据模型文档填写上下文长度和输出上限。结果下方列出了计算所依据的假设；如果供应商仍拒绝请求，请进一步减小上下文窗口。\n\n<div data-widget=\"settings-calculator\"></div>\n",
+      "advanced": "---\nupdated: 2026-10-19\nchanges:\n  - 2026-10-19: 在“成本管理”中加入审查成本估算器链接\n  - 2026-10-19: 章节标题改为“高级功能”\n---\n\n## 🚀 高级功能 {#advanced-features}\n\n### ⚡ 核心高级功能 {#core-advanced-features}\n\n| 功能 | 作用 | 选项/设置 | 需要Pro | 使用场景 |\n|------|------|----------|---------|----------|\n| **审阅模式** | 结果管理与过滤 | 接受/待处理/拒绝状态 | 否 | 团队审查、QA工作流、进度跟踪 |\n| **并行任务** | 并发API请求 | 1-10个任务（免费版最多1个） | 是(>1) | 多文件处理、加速审查 |\n| **多文件分析** | 文件整体分析 | 启用/禁用 | 否 | 跨文件依赖、架构验证 |\n| **AI修复建议** | 报告中生成修复按钮 | 启用/禁用 + 子选项 | 是 | 快速修复、AI学习建议 |\n\n### 🔧 详细配置 {#detailed-configuration}\n\n| 设置项 | 描述 | 建议值 | 重要提醒 |\n|-------|------|--------|----------|\n| **并行任务数** | 同时进行的API调用数量 | 大多数用户3-8个 | 高值可能触发速率限制 |\n| **包含文件内容** | AI修复的完整上下文 | 启用以提高准确性 | 显著增加token使用量 |\n| **要求详细计划** | AI先解释再建议 | 启用以提高安全性 | 降低不当更改的风险 |\n| **上下文窗口监控** | 跟踪合并文件大小 | 自动计算 | 超限会降低效果 |\n\n### 🎯 功能优势与限制 {#feature-benefits-limitations}\n\n| 功能 | 优势 | 限制 | 最佳实践 |\n|------|------|------|----------|\n| **审阅模式** | 系统化跟踪、团队协作 | 仅本地存储 | 用于结构化审查流程 |\n| **并行任务** | 3-5倍处理加速、更好资源利用 | 速率限制、成本增加 | 从3-5开始，根据供应商调整 |\n| **多文件分析** | 跨文件一致性、架构洞察 | 上下文窗口限制、处理较慢 | 仅分组相关文件（组件+测试+类型） |\n| **AI修复** | 快速修复、学习工具 | 仅HTML报告、单独API调用 | 有选择地用于复杂问题 |\n\n### 💡 优化建议 {#optimization-tips}\n\n**性能优化**：\n\n- 从3个并行任务开始，逐步增加\n- 监控供应商速率限制并相应调整\n- 仅对相关组件使用多文件分析\n\n**成本管理**：\n\n- 更高并行任务数 = 更快完成但短期成本更高\n- 根据项目需求平衡速度与成本\n- 使用[审查费用估算](review-estimator.html)提前估算请求数、tokens、费用和耗时\n\n**质量保证**：\n\n- 为AI建议启用\"要求详细计划\"\n- 使用审阅模式进行系统化代码审查流程\n- 先用小文件测试高级设置\n",
+      "privacy": "---\nupdated: 2026-10-19\nchanges:\n  - 2026-10-19: 补全隐私政策的中文翻译\n---\n\n## 🔒 隐私与安全 {#privacy-security}\n\n### 数据隐私 {#data-privacy}\n\n- 所有处理都在本地或通过您选择的 AI 供应商进行\n- 您的代码和文档从不经过我们的服务器\n- API 密钥使用 Chrome 的安全存储系统保存在本地\n- 不收集或共享任何内容数据\n\n### 安全功能 {#security-features}\n\n- API 密钥本地存储（受 Chrome 安全机制保护）\n- 使用您自己的凭据直接连接 AI 供应商\n- 内容处理不经过任何中间服务器\n- 所有设置和偏好均保存在本地\n\n### 我们存储的内容 {#what-we-store}\n\n**保存在您的设备上：**\n- API 密钥和供应商设置\n- 您创建的自定义验证规则\n- 使用历史和审核结果\n- 界面偏好和设置\n\n**保存在我们的服务器上（最少必要）：**\n- 基本账户信息（来自 Google OAuth 的邮箱和姓名）\n- 订阅状态和账单信息\n- 不包含任何源代码、文档或 AI 分析结果\n\n### 第三方数据共享 {#third-party-data-sharing}\n\n- **AI 供应商**：您的内容通过您的 API 密钥直接发送给您选择的 AI 供应商\n- **支付处理**：由 Paddle（我们的支付服务商）处理\n- **身份验证**：使用 Google OAuth 安全登录\n- **不共享内容**：我们从不查看或存储您的代码和文档\n",
+      "subscription": "## 💎 订阅政策 {#subscription-policy}\n\n### 🎁 新用户体验 {#new-user-experience}\n\n**7天高级功能体验**：所有新用户自动获得7天完整Pro功能访问\n\n- 无需信用卡即可开始\n- 完整访问所有Pro功能\n- 如不升级可无缝转为免费版\n\n### 💰 年费会员优惠 {#annual-subscription-benefit}\n\n**付10个月享12个月**： 年费会员相比月付节省2个月费用\n\n### 📊 功能对比 {#feature-comparison}\n\n| 功能 | 免费版 | Pro版 |\n|------|--------|-------|\n| 文件分析 | ✅ 多个文件 | ✅ 多个文件 |\n| 所有AI供应商 | ✅ 全部支持 | ✅ 全部支持 |\n| 预定义规则 | ✅ 所有规则集 | ✅ 所有规则集 |\n| 多文件分析 | ✅ 支持 | ✅ 支持 |\n| 基础导出 | ✅ HTML | ✅ HTML |\n| 审阅模式 | ❌不支持 | ✅ 接受/待定/拒绝 |\n| 自定义规则 | ❌ 不可用 | ✅ 创建&导入 |\n| 并行任务 | ❌ 仅1个任务 | ✅ 最多10个任务 |\n| AI修复建议 | ❌ 不可用 | ✅ 导出报告中可用 |\n| 高级导出 | ❌ 仅基础格式 | ✅ 增强HTML含AI修复 |\n\n### 🏷️ 定价 {#pricing}\n\n- **年度套餐**：$59.9/年（相当于约$5/月）\n- **月度套餐**：$5.9/月\n\n### 🔄 订阅管理 {#subscription-management}\n\n- 随时取消，服务使用至当期结束\n- 自动续费（可关闭）\n",
+      "legal": "## ⚖️ 法律声明与免责 {#legal-disclaimers}\n\n### 🤖 AI结果免责声明 {#ai-results-disclaimer}\n\n**重要提示**：所有AI生成的审查结果和建议仅供参考，不应被视为专业建议或保证的解决方案。\n\n- AI分析结果**不保证准确性或完整性**\n- 用户必须在实施前**独立验证所有AI建议**\n- DeepReview**不保证任何AI生成内容的正确性**\n- 用户**完全负责**基于AI输出做出的任何决定\n- AI模型可能产生**误报、漏报或错误建议**\n\n**建议**：在评估AI建议时始终使用人类判断和专业知识。将AI输出视为进一步调查的有用起点，而非最终指导。\n\n### 🛡️ 第三方服务 {#third-party-services}\n\nDeepReview集成了各种第三方AI服务。用户有责任：\n\n- 遵守各AI供应商的服务条款\n- 管理自己的API使用和费用\n- 了解各AI模型的局限性\n- 保护其API密钥和凭据\n\n### 📜 开源组件 {#open-source-components}\n\n本软件包含以下开源组件：\n- **Monaco Editor** - Microsoft Corporation (MIT许可证)\n- **Mammoth.js** - Michael Williamson (BSD 2-Clause许可证)\n\n### ⚠️ 责任限制 {#limitation-of-liability}\n\nDeepReview及其开发者不对因使用AI生成内容或本软件而产生的任何直接、间接、偶然、特殊或后果性损害承担责任。\n",
+      "releases": "---\nupdated: 2026-10-19\nchanges:\n  - 2026-10-19: 新增发行说明章节\n---\n\n## 📦 发行说明 {#release-notes}\n\nDeepReview 扩展各版本的变更，最新版本在前。更新前请先查看**不兼容变更**：其中列出了可能需要调整的设置或行为。\n\n{{release-notes}}\n",
+      "support": "---\nupdated: 2026-10-19\nchanges:\n  - 2026-10-19: 说明章节末尾的反馈问题\n---\n\n## 📞 支持与反馈 {#support-feedback}\n\n### 获取帮助 {#getting-help}\n\n- 邮箱：support@deepreview.cloud\n\n### 反馈 {#feedback}\n\n我们重视您的反馈！通过分享您的体验和建议来帮助我们改进 DeepReview。\n\n如果章节末尾显示**本节内容对您有帮助吗？**，请回答它，告诉我们这部分指南是否对您有用，也可以附上评论。未显示该问题时，请通过邮件联系我们。您的回答会连同您正在阅读的章节和语言一起发送；如果您处于离线状态，回答会先保存在浏览器中，稍后再发送。\n"
+    }
+  },
+  "providers": {
+    "priceCurrency": "USD",
+    "providers": [
+      {
+        "id": "openai",
+        "name": {
+          "en": "OpenAI",
+          "zh": "OpenAI"
+        },
+        "shortName": {
+          "en": "OpenAI",
+          "zh": "OpenAI"
+        },
+        "featured": true,
+        "apiUrl": "https://api.openai.com/v1",
+        "website": "https://platform.openai.com",
+        "context": {
+          "min": 128000,
+          "max": 200000
+        },
+        "models": [
+          {
+            "id": "gpt-4.1",
+            "name": "GPT-4.1",
+            "maxOutput": 32768,
+            "price": {
+              "input": 2,
+              "output": 8
+            }
+          },
+          {
+            "id": "gpt-4.1-mini",
+            "name": "GPT-4.1-mini",
+            "maxOutput": 32768,
+            "price": {
+              "input": 0.4,
+              "output": 1.6
+            }
+          },
+          {
+            "id": "o3-mini",
+            "name": "o3-mini",
+            "maxOutput": 100000,
+            "price": {
+              "input": 1.1,
+              "output": 4.4
+            }
+          },
+          {
+            "id": "gpt-5",
+            "name": "GPT-5",
+            "maxOutput": 128000,
+            "price": {
+              "input": 1.25,
+              "output": 10
+            }
+          },
+          {
+            "id": "gpt-5-mini",
+            "name": "GPT-5-mini",
+            "maxOutput": 128000,
+            "price": {
+              "input": 0.25,
+              "output": 2
+            }
+          },
+          {
+            "id": "gpt-5-nano",
+            "name": "GPT-5-nano",
+            "maxOutput": 128000,
+            "price": {
+              "input": 0.05,
+              "output": 0.4
+            }
+          }
+        ]
+      },
+      {
+        "id": "grok",
+        "name": {
+          "en": "xAI Grok",
+          "zh": "xAI Grok"
+        },
+        "shortName": {
+          "en": "Grok",
+          "zh": "Grok"
+        },
+        "apiUrl": "https://api.x.ai/v1",
+        "website": "https://x.ai",
+        "context": {
+          "min": 200000,
+          "max": 1700000
+        },
+        "models": [
+          {
+            "id": "grok-3",
+            "name": "Grok-3",
+            "maxOutput": 16384,
+            "price": {
+              "input": 3,
+              "output": 15
+            }
+          },
+          {
+            "id": "grok-3-mini",
+            "name": "Grok-3-mini",
+            "maxOutput": 16384,
+            "price": {
+              "input": 0.3,
+              "output": 0.5
+            }
+          },
+          {
+            "id": "grok-4",
+            "name": "Grok-4",
+            "maxOutput": 16384,
+            "price": {
+              "input": 3,
+              "output": 15
+            }
+          }
+        ]
+      },
+      {
+        "id": "claude",
+        "name": {
+          "en": "Anthropic Claude",
+          "zh": "Anthropic Claude"
+        },
+        "shortName": {
+          "en": "Claude",
+          "zh": "Claude"
+        },
+        "featured": true,
+        "apiUrl": "https://api.anthropic.com/v1",
+        "website": "https://console.anthropic.com",
+        "models": [
+          {
+            "id": "claude-3-5-sonnet",
+            "name": "Claude-3.5 Sonnet",
+            "context": 200000,
+            "maxOutput": 8192,
+            "price": {
+              "input": 3,
+              "output": 15
+            }
+          },
+          {
+            "id": "claude-3-5-haiku",
+            "name": "Claude-3.5 Haiku",
+            "context": 200000,
+            "maxOutput": 8192,
+            "price": {
+              "input": 0.8,
+              "output": 4
+            }
+          },
+          {
+            "id": "claude-3-7-sonnet",
+            "name": "Claude-3.7 Sonnet",
+            "context": 200000,
+            "maxOutput": 64000,
+            "price": {
+              "input": 3,
+              "output": 15
+            }
+          },
+          {
+            "id": "claude-opus-4",
+            "name": "Claude-Opus-4",
+            "context": 200000,
+            "maxOutput": 32000,
+            "price": {
+              "input": 15,
+              "output": 75
+            }
+          },
+          {
+            "id": "claude-sonnet-4",
+            "name": "Claude-Sonnet-4",
+            "context": 200000,
+            "maxOutput": 64000,
+            "price": {
+              "input": 3,
+              "output": 15
+            }
+          },
+          {
+            "id": "claude-opus-4-1",
+            "name": "Claude-Opus-4.1",
+            "context": 200000,
+            "maxOutput": 32000,
+            "price": {
+              "input": 15,
+              "output": 75
+            }
+          }
+        ]
+      },
+      {
+        "id": "deepseek",
+        "name": {
+          "en": "DeepSeek",
+          "zh": "DeepSeek"
+        },
+        "shortName": {
+          "en": "DeepSeek",
+          "zh": "DeepSeek"
+        },
+        "featured": true,
+        "apiUrl": "https://api.deepseek.com/v1",
+        "website": "https://platform.deepseek.com",
+        "models": [
+          {
+            "id": "deepseek-chat",
+            "name": "DeepSeek-Chat",
+            "context": 32000,
+            "maxOutput": 8192,
+            "price": {
+              "input": 0.27,
+              "output": 1.1
+            }
+          },
+          {
+            "id": "deepseek-reasoner",
+            "name": "DeepSeek-Reasoner",
+            "context": 32000,
+            "price": {
+              "input": 0.55,
+              "output": 2.19
+            }
+          }
+        ]
+      },
+      {
+        "id": "gemini",
+        "name": {
+          "en": "Google Gemini",
+          "zh": "Google Gemini"
+        },
+        "shortName": {
+          "en": "Gemini",
+          "zh": "Gemini"
+        },
+        "featured": true,
+        "apiUrl": "https://generativelanguage.googleapis.com/v1beta",
+        "website": "https://ai.google.dev",
+        "context": {
+          "min": 32000,
+          "max": 1000000
+        },
+        "models": [
+          {
+            "id": "gemini-1.5-pro",
+            "name": "Gemini-1.5 Pro",
+            "maxOutput": 8192,
+            "price": {
+              "input": 1.25,
+              "output": 5
+            }
+          },
+          {
+            "id": "gemini-1.5-flash",
+            "name": "Gemini-1.5 Flash",
+            "maxOutput": 8192,
+            "price": {
+              "input": 0.075,
+              "output": 0.3
+            }
+          },
+          {
+            "id": "gemini-2.5-pro",
+            "name": "Gemini-2.5 Pro",
+            "maxOutput": 65536,
+            "price": {
+              "input": 1.25,
+              "output": 10
+            }
+          },
+          {
+            "id": "gemini-2.5-flash",
+            "name": "Gemini-2.5 Flash",
+            "maxOutput": 65536,
+            "price": {
+              "input": 0.3,
+              "output": 2.5
+            }
+          }
+        ]
+      },
+      {
+        "id": "qwen",
+        "name": {
+          "en": "Alibaba Qwen",
+          "zh": "阿里云通义千问"
+        },
+        "shortName": {
+          "en": "Qwen",
+          "zh": "通义千问"
+        },
+        "apiUrl": "https://dashscope.aliyuncs.com/compatible-mode/v1",
+        "website": "https://dashscope.aliyuncs.com",
+        "models": [
+          {
+            "id": "qwen-max",
+            "name": "Qwen-Max",
+            "context": 131072,
+            "maxOutput": 8192,
+            "price": {
+              "input": 1.6,
+              "output": 6.4
+            }
+          },
+          {
+            "id": "qwen-plus",
+            "name": "Qwen-Plus",
+            "context": 131072,
+            "maxOutput": 8192,
+            "price": {
+              "input": 0.4,
+              "output": 1.2
+            }
+          },
+          {
+            "id": "qwen-turbo",
+            "name": "Qwen-Turbo",
+            "context": 131072,
+            "maxOutput": 8192,
+            "price": {
+              "input": 0.05,
+              "output": 0.2
+            }
+          }
+        ]
+      },
+      {
+        "id": "moonshot",
+        "name": {
+          "en": "Moonshot (Kimi)",
+          "zh": "月之暗面 (Kimi)"
+        },
+        "shortName": {
+          "en": "Kimi",
+          "zh": "Kimi"
+        },
+        "apiUrl": "https://api.moonshot.cn/v1",
+        "website": "https://platform.moonshot.cn",
+        "models": [
+          {
+            "id": "moonshot-v1-8k",
+            "name": "Moonshot-v1-8k",
+            "context": 8192,
+            "price": {
+              "input": 1.7,
+              "output": 1.7
+            }
+          },
+          {
+            "id": "moonshot-v1-32k",
+            "name": "Moonshot-v1-32k",
+            "context": 32768,
+            "price": {
+              "input": 3.4,
+              "output": 3.4
+            }
+          },
+          {
+            "id": "moonshot-v1-128k",
+            "name": "Moonshot-v1-128k",
+            "context": 131072,
+            "price": {
+              "input": 8.4,
+              "output": 8.4
+            }
+          }
+        ]
+      },
+      {
+        "id": "openai-compatible",
+        "name": {
+          "en": "OpenAI Compatible",
+          "zh": "OpenAI兼容"
+        },
+        "shortName": {
+          "en": "OpenAI Compatible",
+          "zh": "OpenAI兼容"
+        },
+        "compatible": true,
+        "apiUrl": null,
+        "website": null,
+        "models": []
+      }
+    ]
+  },
+  "releases": {
+    "releases": [
+      {
+        "version": "1.1.2",
+        "date": "2025-08-31",
+        "highlights": {
+          "en": [
+            "**Review Mode** to accept, keep pending or reject each review result",
+            "**Parallel Tasks**: up to 10 concurrent API requests with Pro",
+            "**Multi-File Analysis** reviews related files as one unit",
+            "**AI Repair Suggestions** add fix buttons to HTML reports"
+          ],
+          "zh": [
+            "**审阅模式**：逐条接受、待处理或拒绝审查结果",
+            "**并行任务**：专业版最多可同时发起 10 个 API 请求",
+            "**多文件分析**：将相关文件作为一个整体进行审查",
+            "**AI修复建议**：在 HTML 报告中加入修复按钮"
+          ]
+        },
+        "breaking": {
+          "en": [],
+          "zh": []
+        }
+      }
+    ]
+  }
+};
@@ -0,0 +1,137 @@
+/**
+ * DeepReview User Guide - locale registry
+ * Message catalogs for the guide chrome; each locale registers itself from
+ * assets/locales/<code>.js so new languages need no changes to the app
+ */
+
+// The reader's last picked language, shared by the guide and the rule gallery
+const LANGUAGE_STORAGE_KEY = 'user-guide-lang';
+
+class GuideI18n {
+  /**
+   * @param {string} defaultLanguage - locale every lookup falls back to
+   */
+  constructor(defaultLanguage = 'en') {
+    this.defaultLanguage = defaultLanguage;
+    this.locales = new Map();
+  }
+
+  /**
+   * @param {string} code - language code used in ?lang= and content/<code>/
+   * @param {Object} locale
+   * @param {string} locale.name - language name in that language, shown in the picker
+   * @param {string} locale.dateLocale - BCP 47 tag for dates, e.g. en-US
+   * @param {Object} locale.messages - nested message catalog
+   */
+  register(code, locale) {
+    this.locales.set(code, {
+      code,
+      name: locale.name || code,
+      dateLocale: locale.dateLocale || code,
+      messages: locale.messages || {}
+    });
+  }
+
+  has(code) {
+    return this.locales.has(code);
+  }
+
+  get(code) {
+    return this.locales.get(code) || this.locales.get(this.defaultLanguage) || null;
+  }
+
+  list() {
+    return [...this.locales.values()];
+  }
+
+  /**
+   * Pick the first registered locale matching the browser preferences.
+   * Region variants match their base language: zh-CN -> zh
+   */
+  detect(preferred = []) {
+    for (const tag of preferred) {
+      const lower = String(tag).toLowerCase();
+      const match = this.list().find(locale => locale.code.toLowerCase() === lower) ||
+        this.list().find(locale => locale.code.toLowerCase() === lower.split('-')[0]);
+      if (match) return match.code;
+    }
+    return null;
+  }
+
+  /**
+   * Language for the page: ?lang=, then the reader's last choice, then the
+   * browser preferences, then the default language
+   */
+  resolveLanguage() {
+    const param = new URLSearchParams(window.location.search).get('lang');
+    if (param && this.has(param)) return param;
+
+    let stored = null;
+    try {
+      stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    } catch (error) {
+      // Storage disabled: fall through to the browser preferences
+    }
+    if (stored && this.has(stored)) return stored;
+
+    return this.detect(navigator.languages || [navigator.language]) || this.defaultLanguage;
+  }
+
+  /**
+   * Remember a language the reader picked so other guide pages open in it
+   */
+  rememberLanguage(code) {
+    try {
+      localStorage.setItem(LANGUAGE_STORAGE_KEY, code);
+    } catch (error) {
+      // Storage disabled: the choice only lasts for this page
+    }
+  }
+
+  /**
+   * Look up a dotted message key, falling back to the default locale and
+   * then to the key itself. {name} placeholders are filled from params.
+   */
+  translate(code, key, params = {}) {
+    const message = this.lookup(code, key) ?? this.lookup(this.defaultLanguage, key) ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) =>
+      Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+    );
+  }
+
+  /**
+   * Translate the static page chrome marked with data-i18n, data-i18n-title
+   * and data-i18n-aria-label attributes
+   */
+  translateDocument(code) {
+    document.documentElement.lang = code;
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = this.translate(code, el.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-title]').forEach(el => {
+      el.title = this.translate(code, el.dataset.i18nTitle);
+    });
+    document.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+      el.setAttribute('aria-label', this.translate(code, el.dataset.i18nAriaLabel));
+    });
+  }
+
+  lookup(code, key) {
+    const locale = this.locales.get(code);
+    if (!locale) return null;
+
+    const value = key.split('.').reduce(
+      (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+      locale.messages
+    );
+    return typeof value === 'string' ? value : null;
+  }
+}
+
+// 创建全局实例
+window.guideI18n = new GuideI18n();
+
+// 导出供其他脚本使用
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GuideI18n;
+}
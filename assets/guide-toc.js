@@ -0,0 +1,170 @@
+/**
+ * DeepReview User Guide - "On this page" outline
+ * Builds a table of contents from the rendered section headings and
+ * highlights the heading currently in view (scroll-spy)
+ */
+
+class GuideToc {
+  /**
+   * @param {HTMLElement} container - element the outline is rendered into
+   * @param {HTMLElement} scrollContainer - scrollable content area (.guide-content)
+   * @param {Object} options
+   * @param {Function} options.onSelect - called with the heading id when an entry is clicked
+   */
+  constructor(container, scrollContainer, options = {}) {
+    this.container = container;
+    this.scrollContainer = scrollContainer;
+    this.onSelect = options.onSelect || null;
+    this.headings = [];
+    this.activeId = null;
+    this.ticking = false;
+    this.title = 'On this page';
+
+    this.onScroll = () => {
+      if (this.ticking) return;
+      this.ticking = true;
+      requestAnimationFrame(() => {
+        this.ticking = false;
+        this.updateActive();
+      });
+    };
+
+    // The page scrolls on the window on most layouts, .guide-content on others
+    this.scrollContainer.addEventListener('scroll', this.onScroll, { passive: true });
+    window.addEventListener('scroll', this.onScroll, { passive: true });
+
+    this.container.addEventListener('click', (e) => {
+      const link = e.target.closest('.toc-link');
+      // Modified clicks keep the browser's own handling (new tab, etc.)
+      if (!link || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+      e.preventDefault();
+      this.scrollTo(link.dataset.target);
+      if (this.onSelect) {
+        this.onSelect(link.dataset.target);
+      }
+    });
+  }
+
+  /**
+   * Rebuild the outline from the h3/h4 headings of a freshly rendered article
+   *
+   * @param {HTMLElement} article
+   * @param {Function} [href] - link target for a heading id, so entries still work
+   *   when opened in a new tab, copied or bookmarked; defaults to #<id>
+   */
+  build(article, href = id => `#${id}`) {
+    this.headings = [...article.querySelectorAll('h3, h4')];
+    this.activeId = null;
+
+    // Fewer than two headings is not worth an outline
+    if (this.headings.length < 2) {
+      this.clear();
+      return;
+    }
+
+    // Headings normally carry renderer slugs; number any that do not
+    this.headings.forEach((heading, index) => {
+      if (!heading.id) {
+        heading.id = `section-heading-${index + 1}`;
+      }
+    });
+
+    const title = document.createElement('p');
+    title.className = 'toc-title';
+    title.textContent = this.title;
+
+    const list = document.createElement('ul');
+    list.className = 'toc-list';
+
+    this.headings.forEach(heading => {
+      const item = document.createElement('li');
+      item.className = `toc-item toc-level-${heading.tagName.slice(1)}`;
+
+      const link = document.createElement('a');
+      link.className = 'toc-link';
+      link.href = href(heading.id);
+      link.dataset.target = heading.id;
+      link.textContent = heading.textContent.trim();
+
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+
+    this.container.replaceChildren(title, list);
+    this.container.hidden = false;
+    this.updateActive();
+  }
+
+  clear() {
+    this.headings = [];
+    this.activeId = null;
+    this.container.replaceChildren();
+    this.container.hidden = true;
+  }
+
+  setTitle(title) {
+    this.title = title;
+    const titleElement = this.container.querySelector('.toc-title');
+    if (titleElement) {
+      titleElement.textContent = title;
+    }
+  }
+
+  /**
+   * Smoothly scroll to a heading and mark it active right away
+   */
+  scrollTo(id) {
+    const heading = this.headings.find(h => h.id === id);
+    if (!heading) return;
+
+    heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    this.setActive(id);
+  }
+
+  /**
+   * The active heading is the last one whose top has passed the sticky headers
+   */
+  updateActive() {
+    if (this.headings.length === 0) return;
+
+    const offset = this.getStickyOffset();
+    let current = this.headings[0];
+
+    for (const heading of this.headings) {
+      if (heading.getBoundingClientRect().top - offset <= 1) {
+        current = heading;
+      } else {
+        break;
+      }
+    }
+
+    this.setActive(current.id);
+  }
+
+  getStickyOffset() {
+    const siteHeader = document.querySelector('.site-header');
+    const contentHeader = document.querySelector('.content-header');
+    const height = el => (el ? el.getBoundingClientRect().height : 0);
+    return height(siteHeader) + height(contentHeader) + 16;
+  }
+
+  setActive(id) {
+    if (this.activeId === id) return;
+    this.activeId = id;
+
+    this.container.querySelectorAll('.toc-link').forEach(link => {
+      const active = link.dataset.target === id;
+      link.classList.toggle('active', active);
+      if (active) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+}
+
+// 导出供其他脚本使用
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GuideToc;
+}
@@ -0,0 +1,19 @@
+/**
+ * DeepReview HTML escaping
+ * Escape text for element content and quoted attribute values in the markup
+ * the site's scripts build. Load it before the scripts that use it.
+ */
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// 导出供其他脚本使用
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = escapeHtml;
+}
@@ -0,0 +1,157 @@
+/**
+ * DeepReview HTML Sanitizer
+ * Allowlist-based cleanup for HTML the user guide injects into the page
+ */
+
+// Attributes allowed on every allowlisted tag
+const GLOBAL_ATTRIBUTES = ['class', 'id', 'title', 'lang', 'dir'];
+
+// Tag name -> extra attributes allowed on that tag
+const ALLOWED_TAGS = {
+  a: ['href', 'target', 'rel'],
+  abbr: [],
+  b: [],
+  blockquote: [],
+  br: [],
+  code: [],
+  del: [],
+  details: ['open'],
+  // <div data-widget="rule-editor"> marks where the guide mounts an interactive widget;
+  // only names the guide registers are mounted, the attribute itself runs nothing
+  div: ['data-widget'],
+  em: [],
+  figcaption: [],
+  figure: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  hr: [],
+  i: [],
+  img: ['src', 'alt', 'width', 'height', 'loading'],
+  kbd: [],
+  li: [],
+  mark: [],
+  ol: ['start'],
+  p: [],
+  pre: [],
+  s: [],
+  section: [],
+  small: [],
+  span: [],
+  strong: [],
+  sub: [],
+  summary: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ['align', 'colspan', 'rowspan'],
+  tfoot: [],
+  th: ['align', 'colspan', 'rowspan'],
+  thead: [],
+  tr: [],
+  u: [],
+  ul: []
+};
+
+// Removed together with their contents instead of being unwrapped
+const DROPPED_TAGS = [
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'template',
+  'noscript', 'textarea', 'select', 'option', 'form', 'input', 'button', 'link', 'meta',
+  'base', 'svg', 'math'
+];
+
+const URL_ATTRIBUTES = ['href', 'src'];
+const SAFE_URL = /^(?:https?:|mailto:|#|\.{0,2}\/|[^:/?#]*(?:[/?#]|$))/i;
+
+class HtmlSanitizer {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.reservedIds - ids used by the page chrome; content may not reuse them
+   */
+  constructor(options = {}) {
+    this.allowedTags = options.allowedTags || ALLOWED_TAGS;
+    this.reservedIds = new Set(options.reservedIds || []);
+  }
+
+  /**
+   * Sanitize an HTML string into a DocumentFragment ready to insert
+   */
+  sanitizeToFragment(html) {
+    // <template> parses without running scripts or loading images
+    const template = document.createElement('template');
+    template.innerHTML = String(html);
+    this.sanitizeChildren(template.content);
+    return template.content;
+  }
+
+  /**
+   * Sanitize an HTML string and return the cleaned markup
+   */
+  sanitize(html) {
+    const container = document.createElement('div');
+    container.appendChild(this.sanitizeToFragment(html));
+    return container.innerHTML;
+  }
+
+  sanitizeChildren(parent) {
+    [...parent.childNodes].forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove();
+        return;
+      }
+
+      const tag = node.tagName.toLowerCase();
+
+      if (DROPPED_TAGS.includes(tag)) {
+        node.remove();
+        return;
+      }
+
+      // Unknown tags are unwrapped so their text stays readable
+      if (!Object.prototype.hasOwnProperty.call(this.allowedTags, tag)) {
+        this.sanitizeChildren(node);
+        node.replaceWith(...node.childNodes);
+        return;
+      }
+
+      this.sanitizeAttributes(node, tag);
+      this.sanitizeChildren(node);
+    });
+  }
+
+  sanitizeAttributes(element, tag) {
+    const allowed = GLOBAL_ATTRIBUTES.concat(this.allowedTags[tag]);
+
+    [...element.attributes].forEach(attribute => {
+      const name = attribute.name.toLowerCase();
+      const value = attribute.value;
+
+      if (!allowed.includes(name)) {
+        element.removeAttribute(attribute.name);
+      } else if (URL_ATTRIBUTES.includes(name) && !this.isSafeUrl(value)) {
+        element.removeAttribute(attribute.name);
+      } else if (name === 'id' && this.reservedIds.has(value)) {
+        element.removeAttribute(attribute.name);
+      }
+    });
+
+    if (tag === 'a' && element.getAttribute('target')) {
+      element.setAttribute('target', '_blank');
+      element.setAttribute('rel', 'noopener noreferrer');
+    }
+  }
+
+  /**
+   * Allow http(s), mailto, fragment and relative URLs only
+   */
+  isSafeUrl(value) {
+    // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+    const normalized = String(value).replace(/[\u0000- \u007f-\u009f]/g, '');
+    return SAFE_URL.test(normalized);
+  }
+}
+
+// 导出供其他脚本使用
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HtmlSanitizer;
+}
@@ -0,0 +1,345 @@
+/**
+ * DeepReview User Guide - screenshot lightbox
+ * Shows a section's screenshots one at a time in a modal dialog, with their
+ * step descriptions as captions. The arrow keys step through the section,
+ * the mouse wheel, a pinch or the zoom buttons zoom in, and dragging pans
+ * the zoomed screenshot. Focus stays in the dialog while it is open and goes
+ * back to the screenshot on close.
+ */
+
+const MIN_LIGHTBOX_ZOOM = 1;
+const MAX_LIGHTBOX_ZOOM = 4;
+// Zoom factor per button press or key press; the wheel zooms in proportion to how far it turns
+const LIGHTBOX_ZOOM_STEP = 1.25;
+
+class ImageLightbox {
+  /**
+   * @param {Object} options
+   * @param {Function} options.t - translates a message key for the current language
+   */
+  constructor(options = {}) {
+    this.t = options.t || (key => key);
+    this.modal = null;
+    this.images = [];
+    this.index = 0;
+    this.returnFocus = null;
+    this.zoom = 1;
+    this.pan = { x: 0, y: 0 };
+    // Pointers currently down on the screenshot, for dragging and pinching
+    this.pointers = new Map();
+    this.gesture = null;
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+
+  isOpen() {
+    return this.modal !== null;
+  }
+
+  /**
+   * @param {HTMLImageElement[]} images - every screenshot of the section, in order
+   * @param {number} index - the one to show first
+   */
+  open(images, index = 0) {
+    if (this.isOpen()) this.close();
+    this.images = images;
+    this.returnFocus = document.activeElement;
+
+    // Build with DOM APIs so image attributes are never parsed as markup
+    this.modal = document.createElement('div');
+    this.modal.className = 'image-modal';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'image-modal-content';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', 'imageLightboxTitle');
+    dialog.setAttribute('aria-describedby', 'imageLightboxCaption');
+
+    const stage = document.createElement('div');
+    stage.className = 'image-lightbox-stage';
+    const enlarged = document.createElement('img');
+    enlarged.className = 'enlarged-image';
+    enlarged.draggable = false;
+    stage.appendChild(enlarged);
+
+    const caption = document.createElement('div');
+    caption.className = 'image-lightbox-caption';
+    const title = document.createElement('p');
+    title.className = 'image-lightbox-title';
+    title.id = 'imageLightboxTitle';
+    const description = document.createElement('p');
+    description.className = 'image-lightbox-description';
+    description.id = 'imageLightboxCaption';
+    caption.append(title, description);
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'image-lightbox-toolbar';
+    toolbar.append(
+      this.createButton('previous', '‹', 'image.previous'),
+      this.createButton('next', '›', 'image.next'),
+      this.createButton('zoom-out', '−', 'image.zoomOut'),
+      this.createButton('zoom-reset', '100%', 'image.zoomReset'),
+      this.createButton('zoom-in', '+', 'image.zoomIn')
+    );
+
+    const closeButton = this.createButton('close', '×', 'image.close');
+    closeButton.classList.add('close-modal');
+
+    dialog.append(stage, caption, toolbar, closeButton);
+    this.modal.appendChild(dialog);
+    this.bindEvents(stage);
+    document.body.appendChild(this.modal);
+    // On the document rather than the modal, so keys still work after a click on the screenshot drops focus
+    document.addEventListener('keydown', this.handleKeydown);
+
+    this.show(index);
+    closeButton.focus();
+  }
+
+  close() {
+    if (!this.isOpen()) return;
+    document.removeEventListener('keydown', this.handleKeydown);
+    this.modal.remove();
+    this.modal = null;
+    this.pointers.clear();
+    this.gesture = null;
+
+    // Return to the screenshot the reader ended on; it may differ from the one they opened
+    const target = this.images[this.index] && this.images[this.index].isConnected ? this.images[this.index] : this.returnFocus;
+    if (target && typeof target.focus === 'function') {
+      target.focus();
+    }
+    this.returnFocus = null;
+    this.images = [];
+  }
+
+  createButton(action, label, key) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'image-lightbox-button';
+    button.dataset.action = action;
+    button.textContent = label;
+    button.title = this.t(key);
+    button.setAttribute('aria-label', this.t(key));
+    return button;
+  }
+
+  bindEvents(stage) {
+    this.modal.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (button) {
+        this.runAction(button.dataset.action);
+      } else if (e.target === this.modal) {
+        this.close();
+      }
+    });
+
+    stage.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      this.zoomAt(this.zoom * Math.exp(-e.deltaY * 0.002), e.clientX, e.clientY);
+    }, { passive: false });
+    stage.addEventListener('dblclick', (e) => {
+      this.zoomAt(this.zoom > MIN_LIGHTBOX_ZOOM ? MIN_LIGHTBOX_ZOOM : 2, e.clientX, e.clientY);
+    });
+    stage.addEventListener('pointerdown', (e) => this.handlePointerDown(e, stage));
+    stage.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    ['pointerup', 'pointercancel'].forEach(type => {
+      stage.addEventListener(type, (e) => this.handlePointerUp(e));
+    });
+  }
+
+  runAction(action) {
+    switch (action) {
+      case 'previous':
+        this.show(this.index - 1);
+        break;
+      case 'next':
+        this.show(this.index + 1);
+        break;
+      case 'zoom-in':
+        this.setZoom(this.zoom * LIGHTBOX_ZOOM_STEP);
+        break;
+      case 'zoom-out':
+        this.setZoom(this.zoom / LIGHTBOX_ZOOM_STEP);
+        break;
+      case 'zoom-reset':
+        this.setZoom(MIN_LIGHTBOX_ZOOM);
+        break;
+      case 'close':
+        this.close();
+        break;
+    }
+  }
+
+  handleKeydown(e) {
+    const actions = {
+      ArrowLeft: 'previous',
+      ArrowRight: 'next',
+      '+': 'zoom-in',
+      '=': 'zoom-in',
+      '-': 'zoom-out',
+      '0': 'zoom-reset',
+      Escape: 'close'
+    };
+
+    if (e.key === 'Tab') {
+      this.trapFocus(e);
+    } else if (e.key === 'Home' || e.key === 'End') {
+      e.preventDefault();
+      this.show(e.key === 'Home' ? 0 : this.images.length - 1);
+    } else if (actions[e.key] && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      e.preventDefault();
+      this.runAction(actions[e.key]);
+    }
+  }
+
+  /**
+   * Keep Tab and Shift+Tab cycling through the dialog's own buttons
+   */
+  trapFocus(e) {
+    const buttons = [...this.modal.querySelectorAll('button:not([disabled]):not([hidden])')];
+    if (buttons.length === 0) return;
+    const first = buttons[0];
+    const last = buttons[buttons.length - 1];
+    const outside = !this.modal.contains(document.activeElement);
+
+    if (e.shiftKey && (document.activeElement === first || outside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || outside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Show the screenshot at index, wrapping around at either end
+   */
+  show(index) {
+    const count = this.images.length;
+    if (count === 0) return;
+    this.index = (index + count) % count;
+
+    const image = this.images[this.index];
+    const enlarged = this.modal.querySelector('.enlarged-image');
+    enlarged.src = image.currentSrc || image.src;
+    enlarged.alt = image.alt;
+
+    const step = image.closest('.operation-step');
+    const description = step ? step.querySelector('.step-description') : null;
+    const position = this.t('image.position', { index: this.index + 1, count });
+    this.modal.querySelector('.image-lightbox-title').textContent = image.alt ? `${image.alt} · ${position}` : position;
+    this.modal.querySelector('.image-lightbox-description').textContent = description ? description.textContent.trim() : '';
+
+    const single = count < 2;
+    this.modal.querySelectorAll('[data-action="previous"], [data-action="next"]').forEach(button => {
+      button.hidden = single;
+    });
+
+    this.setZoom(MIN_LIGHTBOX_ZOOM);
+  }
+
+  setZoom(zoom) {
+    const stage = this.modal.querySelector('.image-lightbox-stage');
+    const rect = stage.getBoundingClientRect();
+    this.zoomAt(zoom, rect.left + rect.width / 2, rect.top + rect.height / 2);
+  }
+
+  /**
+   * Zoom to the given level keeping the point under (clientX, clientY) in place
+   */
+  zoomAt(zoom, clientX, clientY) {
+    const next = Math.min(MAX_LIGHTBOX_ZOOM, Math.max(MIN_LIGHTBOX_ZOOM, zoom));
+    const stage = this.modal.querySelector('.image-lightbox-stage');
+    const rect = stage.getBoundingClientRect();
+    // Offset of the point from the stage centre, where the transform origin sits
+    const x = clientX - rect.left - rect.width / 2;
+    const y = clientY - rect.top - rect.height / 2;
+    const ratio = next / this.zoom;
+
+    this.pan = {
+      x: x - (x - this.pan.x) * ratio,
+      y: y - (y - this.pan.y) * ratio
+    };
+    this.zoom = next;
+    this.applyTransform();
+  }
+
+  applyTransform() {
+    const stage = this.modal.querySelector('.image-lightbox-stage');
+    const enlarged = this.modal.querySelector('.enlarged-image');
+
+    if (this.zoom === MIN_LIGHTBOX_ZOOM) {
+      this.pan = { x: 0, y: 0 };
+    } else {
+      // Stop panning once an edge of the screenshot reaches the edge of the stage
+      const maxX = Math.max(0, (enlarged.offsetWidth * this.zoom - stage.clientWidth) / 2);
+      const maxY = Math.max(0, (enlarged.offsetHeight * this.zoom - stage.clientHeight) / 2);
+      this.pan = {
+        x: Math.min(maxX, Math.max(-maxX, this.pan.x)),
+        y: Math.min(maxY, Math.max(-maxY, this.pan.y))
+      };
+    }
+
+    enlarged.style.transform = `translate(${this.pan.x}px, ${this.pan.y}px) scale(${this.zoom})`;
+    stage.classList.toggle('zoomed', this.zoom > MIN_LIGHTBOX_ZOOM);
+
+    const percent = `${Math.round(this.zoom * 100)}%`;
+    const reset = this.modal.querySelector('[data-action="zoom-reset"]');
+    reset.textContent = percent;
+    [['zoom-in', this.zoom >= MAX_LIGHTBOX_ZOOM], ['zoom-out', this.zoom <= MIN_LIGHTBOX_ZOOM]].forEach(([action, disabled]) => {
+      const button = this.modal.querySelector(`[data-action="${action}"]`);
+      // A disabled button drops focus; keep it on the zoom controls
+      if (disabled && document.activeElement === button) reset.focus();
+      button.disabled = disabled;
+    });
+  }
+
+  handlePointerDown(e, stage) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    if (typeof stage.setPointerCapture === 'function') {
+      stage.setPointerCapture(e.pointerId);
+    }
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    this.gesture = this.describeGesture();
+  }
+
+  handlePointerMove(e) {
+    if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const current = this.describeGesture();
+
+    if (this.pointers.size >= 2 && this.gesture.distance > 0) {
+      // Pinch: zoom around the midpoint by how far the fingers spread
+      this.zoomAt(this.gesture.zoom * current.distance / this.gesture.distance, current.x, current.y);
+    } else if (this.zoom > MIN_LIGHTBOX_ZOOM) {
+      this.pan = {
+        x: this.gesture.pan.x + current.x - this.gesture.x,
+        y: this.gesture.pan.y + current.y - this.gesture.y
+      };
+      this.applyTransform();
+    }
+  }
+
+  handlePointerUp(e) {
+    this.pointers.delete(e.pointerId);
+    // Continue with the fingers still down as a fresh gesture
+    this.gesture = this.pointers.size > 0 ? this.describeGesture() : null;
+  }
+
+  /**
+   * Midpoint and spread of the pointers that are down, with the zoom and pan they started from
+   */
+  describeGesture() {
+    const points = [...this.pointers.values()];
+    const x = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+    const y = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+    const distance = points.length >= 2 ? Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) : 0;
+    return { x, y, distance, zoom: this.zoom, pan: { ...this.pan } };
+  }
+}
+
+// 导出供其他脚本使用
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageLightbox;
+}
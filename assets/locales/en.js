@@ -0,0 +1,379 @@
+/**
+ * User guide messages - English
+ */
+window.guideI18n.register('en', {
+  name: 'English',
+  dateLocale: 'en-US',
+  messages: {
+    guide: {
+      title: 'User Guide',
+      loading: 'Loading user guide...'
+    },
+    controls: {
+      language: 'Language',
+      print: 'Print this section',
+      printManual: 'Print full guide',
+      shortcuts: 'Keyboard shortcuts (?)'
+    },
+    sections: {
+      scenarios: 'Application Scenarios',
+      customRules: 'Custom Rules',
+      providers: 'AI Provider Setup',
+      basic: 'Basic Functions',
+      advanced: 'Advanced Features',
+      privacy: 'Privacy & Security',
+      subscription: 'Subscription Policy',
+      legal: 'Legal & Disclaimers',
+      releases: 'Release Notes',
+      support: 'Support & Feedback'
+    },
+    search: {
+      placeholder: 'Search the guide...',
+      empty: 'No results found'
+    },
+    toc: {
+      title: 'On this page'
+    },
+    manual: {
+      contents: 'Contents'
+    },
+    heading: {
+      copyLink: 'Copy link to this heading',
+      linkCopied: 'Link copied'
+    },
+    nav: {
+      label: 'Guide sections',
+      announce: 'Showing section: {title}',
+      open: 'Open the section list',
+      close: 'Close the section list'
+    },
+    pagination: {
+      previous: 'Previous',
+      next: 'Next'
+    },
+    footer: {
+      lastUpdated: 'Last updated:',
+      issue: 'Found an issue?',
+      contact: 'Let us know'
+    },
+    history: {
+      title: 'What changed',
+      unknown: 'Unknown',
+      recent: 'Updated',
+      recentTitle: 'Updated in the last {days} days'
+    },
+    feedback: {
+      label: 'Section feedback',
+      question: 'Was this section helpful?',
+      yes: 'Yes',
+      no: 'No',
+      commentUp: 'What helped? (optional)',
+      commentDown: 'What was missing or unclear? (optional)',
+      send: 'Send feedback',
+      thanks: 'Thanks for your feedback!',
+      queued: 'You seem to be offline. Your feedback is saved in this browser and will be sent once you are back online.'
+    },
+    feedbackAdmin: {
+      title: 'Guide Feedback',
+      intro: 'Answers to "Was this helpful?" for every section of the user guide.',
+      language: 'Content language',
+      allLanguages: 'All languages',
+      refresh: 'Refresh',
+      loading: 'Loading feedback...',
+      loadError: 'Could not load feedback from {endpoint}.',
+      noEndpoint: 'No feedback endpoint is configured for this site, so the guide does not ask for feedback.',
+      empty: 'No feedback yet.',
+      total: 'Responses: {count} · {percent}% found it helpful',
+      responses: 'Responses: {count}',
+      table: {
+        section: 'Section',
+        up: '👍 Helpful',
+        down: '👎 Not helpful',
+        helpful: 'Helpful',
+        comments: 'Comments'
+      },
+      rating: {
+        up: 'Helpful',
+        down: 'Not helpful'
+      },
+      byHeading: 'By heading',
+      wholeSection: 'Whole section',
+      comments: 'Comments',
+      noComments: 'No comments.'
+    },
+    palette: {
+      title: 'Go to a section or heading',
+      placeholder: 'Type a section or heading name',
+      results: 'Matching sections and headings',
+      hint: '↑↓ to move · Enter to open · Esc to close',
+      noResults: 'No matching section or heading'
+    },
+    shortcuts: {
+      title: 'Keyboard shortcuts',
+      closeLabel: 'Close',
+      palette: 'Jump to a section or heading',
+      search: 'Search the guide',
+      next: 'Next section',
+      previous: 'Previous section',
+      theme: 'Switch the theme: match system, light, dark',
+      language: 'Switch to the next language',
+      print: 'Print this section',
+      help: 'Show this list',
+      close: 'Close a dialog or the search results',
+      note: 'Single-key shortcuts are off while you type in a field.'
+    },
+    theme: {
+      system: 'Theme: match system (click for light)',
+      light: 'Theme: light (click for dark)',
+      dark: 'Theme: dark (click to match system)'
+    },
+    translation: {
+      missing: 'This section is not available in {language} yet, so it is shown in {fallback}.'
+    },
+    ruleEditor: {
+      label: 'Rule file',
+      placeholder: '# Category\n## Rule title\n1. What the AI should check',
+      example: 'Load example',
+      clear: 'Clear',
+      download: 'Download .txt',
+      empty: 'Type or paste a rule file to see how DeepReview will read it.',
+      summary: 'Categories: {categories} · Rules: {rules} · Problems: {problems}',
+      noCategory: 'No category',
+      ruleCount: 'Rules: {count}',
+      line: 'Line {line}',
+      problem: '{severity}: {message}',
+      severity: {
+        error: 'Error',
+        warning: 'Warning'
+      },
+      lint: {
+        missingTitle: 'Heading has no title',
+        outsideCategory: 'Rule "{title}" is not inside a category; add a # category line above it',
+        emptyCategory: 'Category "{title}" has no rules',
+        emptyRule: 'Rule "{title}" has no description',
+        longRule: 'Rule "{title}" is {length} characters long; keep descriptions under {max}',
+        duplicateRule: 'Rule title "{title}" is already used on line {first}',
+        duplicateCategory: 'Category "{title}" is already used on line {first}',
+        deepHeading: 'Only # and ## headings are recognized; this line is part of the rule description',
+        strayText: 'Text before the first heading is ignored',
+        noRules: 'No rules found; start rules with ##'
+      },
+      exampleFile: '# General Code Rules\n\n## Check code style consistency\n1. Consistent indentation style (spaces or tabs)\n2. Consistent naming conventions (camelCase, snake_case, etc.)\n\n## Check code comment quality\n1. Appropriate comments for complex logic\n2. Documentation comments for functions and classes\n\n# JavaScript/TypeScript Rules\n\n## Check JavaScript variable declaration standards\n1. Proper use of let, const instead of var\n2. Use const for variables that won\'t be reassigned\n'
+    },
+    gallery: {
+      title: 'Rule Set Gallery',
+      intro: 'Ready-made custom rule sets for common review tasks. Preview a set, download the .txt and import it with "Import Rules" in DeepReview, or open it in the rule editor to adapt it first.',
+      loading: 'Loading rule sets...',
+      loadError: 'Unable to load the rule sets. Please try refreshing the page.',
+      filterLabel: 'Filter by tag',
+      allTags: 'All',
+      empty: 'No rule sets match this filter.',
+      stats: 'Categories: {categories} · Rules: {rules}',
+      preview: 'Preview rules',
+      download: 'Download .txt',
+      openInEditor: 'Open in rule editor',
+      replaceDraft: 'The rule editor already holds a draft of yours. Replace it with this rule set?',
+      fallback: 'Not available in {language} yet, so it is shown in {fallback}.',
+      useCases: {
+        requirements: 'System Requirements Validation',
+        compliance: 'Content Compliance & Moderation',
+        team: 'Team-Specific Standards'
+      },
+      tags: {
+        requirements: 'Requirements',
+        'business-logic': 'Business logic',
+        api: 'API',
+        content: 'Content',
+        moderation: 'Moderation',
+        gdpr: 'GDPR',
+        privacy: 'Privacy',
+        accessibility: 'Accessibility',
+        html: 'HTML',
+        javascript: 'JavaScript',
+        'code-style': 'Code style',
+        architecture: 'Architecture',
+        security: 'Security',
+        performance: 'Performance'
+      }
+    },
+    providerCatalog: {
+      table: {
+        provider: 'Provider',
+        models: 'Models',
+        context: 'Context Length',
+        apiUrl: 'Default API URL',
+        website: 'Official Website'
+      },
+      contextRange: '{range} tokens',
+      contextVaries: 'Varies by provider',
+      customEndpoints: 'Support for custom API endpoints',
+      userProvided: 'Your endpoint URL',
+      variousProviders: 'Various third-party providers'
+    },
+    releaseNotes: {
+      subscribe: 'Subscribe to new releases with the [Atom feed]({url}).',
+      version: 'Version {version}',
+      released: 'Released {date}',
+      highlights: 'Highlights',
+      breaking: '⚠️ Breaking changes',
+      feedTitle: 'DeepReview extension releases',
+      feedSubtitle: 'What changed in each version of the DeepReview extension'
+    },
+    settingsCalculator: {
+      provider: 'Provider',
+      model: 'Model',
+      customContext: 'Model context length (tokens)',
+      customOutput: 'Model output limit (tokens, optional)',
+      contentType: 'Content being reviewed',
+      contentTypes: {
+        code: 'Code',
+        english: 'English text',
+        chinese: 'Chinese text'
+      },
+      contextWindow: 'Context Window',
+      outputLength: 'Output Length',
+      characters: '{count} characters',
+      tokens: '{count} tokens',
+      tooSmall: 'This context length is too small to leave room for the review instructions and your rules.',
+      invalidContext: 'Enter the context length of your model in tokens.',
+      assumptions: 'Based on',
+      assumption: {
+        charsPerToken: 'About {ratio} characters per token for {contentType}',
+        limits: '{model}: {context} tokens of context, up to {output} tokens of output',
+        limitsShared: '{model}: {context} tokens of context, shared by input and output',
+        limitsAssumed: '{model}: {context} tokens of context, the smallest {provider} lists, and up to {output} tokens of output',
+        limitsAssumedShared: '{model}: {context} tokens of context, the smallest {provider} lists, shared by input and output',
+        output: 'Output Length of at most {max} tokens and a quarter of the context',
+        reserve: '{tokens} tokens kept free for DeepReview\'s instructions and your rules',
+        margin: '{percent}% safety margin on what is left, for about {tokens} tokens of input per request'
+      }
+    },
+    estimator: {
+      title: 'Review Cost Estimator',
+      intro: 'Estimate how many API requests, tokens, money and time a review will take before you run it. Prices come from the editable table below.',
+      loading: 'Loading models...',
+      loadError: 'Unable to load the model list. Please try refreshing the page.',
+      invalid: 'Enter a positive number in every field to see an estimate.',
+      files: 'Files',
+      fileCount: 'Number of files',
+      fileSize: 'Average file size (KB)',
+      multiFile: 'Multi-File Analysis',
+      review: 'Review',
+      ruleCount: 'Selected rules',
+      detailLevel: 'Detail Level',
+      detail: {
+        simple: 'Simple',
+        balanced: 'Balanced',
+        detailed: 'Detailed'
+      },
+      contextWindow: 'Context Window (characters)',
+      outputLength: 'Output Length (tokens)',
+      advanced: 'Advanced',
+      parallelTasks: 'Parallel Tasks (1-10)',
+      aiRepair: 'AI Repair Suggestions',
+      includeFileContent: 'Include File Content',
+      results: 'Estimate',
+      requests: 'API requests',
+      requestsDetail: '{review} review + {repair} repair',
+      tokens: 'Tokens',
+      tokensDetail: '{input} input + {output} output',
+      cost: 'Provider cost',
+      costDetail: '{input} input + {output} output',
+      time: 'Wall-clock time',
+      timeDetail: 'With {parallel} parallel tasks',
+      duration: {
+        seconds: '{seconds} s',
+        minutes: '{minutes} min {seconds} s',
+        hours: '{hours} h {minutes} min'
+      },
+      assumption: {
+        fileSize: '{size} KB per file is about {chars} characters, at {bytes} B per UTF-8 character',
+        chunks: '{files} files split into {chunks} chunks of about {tokens} tokens',
+        chunksMerged: '{files} files merged and split into {chunks} chunks of about {tokens} tokens',
+        requests: 'One request per chunk and selected rule, each with {tokens} tokens of instructions and rule text',
+        output: 'About {tokens} tokens of output per review request at {detail} detail',
+        repairFull: 'AI repair requested for {percent}% of results, sending the whole chunk and returning {output} tokens',
+        repairSnippet: 'AI repair requested for {percent}% of results, sending a {snippet}-token snippet and returning {output} tokens',
+        timing: '{latency} s per request plus {speed} output tokens per second',
+        price: '{model}: {input} input and {output} output per million tokens'
+      },
+      warnings: {
+        contextTooLarge: 'With this Context Window and Output Length, requests may exceed the context length of {model}.',
+        outputTooLarge: '{model} returns at most {max} tokens, so a larger Output Length may be rejected.',
+        parallelPro: 'More than one parallel task requires DeepReview Pro.',
+        calculatorLink: 'Work out safe values'
+      },
+      prices: {
+        title: 'Price table',
+        intro: 'Prices per million tokens. Check your provider\'s current price list and edit any price here; your edits are kept in this browser.',
+        reset: 'Reset prices',
+        model: 'Model',
+        provider: 'Provider',
+        input: 'Input ({currency})',
+        output: 'Output ({currency})',
+        inputLabel: '{model} input price per million tokens',
+        outputLabel: '{model} output price per million tokens'
+      }
+    },
+    troubleshooter: {
+      title: 'API troubleshooter',
+      intro: 'Fill in what you know; every field is optional.',
+      provider: 'Provider',
+      providerUnknown: 'Not sure',
+      symptom: 'What happens',
+      symptoms: {
+        connection: 'The connection test fails or nothing comes back',
+        rejected: 'Requests are refused because of the key or account',
+        limited: 'It works at first, then fails after several requests',
+        malformed: 'Results are cut off, empty or unreadable',
+        slow: 'Reviews are very slow or time out',
+        unknown: 'Not sure / something else'
+      },
+      status: 'HTTP status',
+      errorText: 'Error message',
+      diagnose: 'Find the cause',
+      diagnosisTitle: 'Diagnosis',
+      likely: 'This looks like:',
+      otherCategories: 'Not it? Pick another category:',
+      noMatch: 'Nothing you entered points to a specific category. Pick the one closest to what you see:',
+      stepProgress: 'Step {step} of {total}',
+      checkpoint: 'Did this fix the problem?',
+      yes: 'Yes, it works now',
+      no: 'No, next step',
+      resolvedTitle: 'Problem solved',
+      resolved: 'Great! DeepReview should work normally again. If the problem comes back, run the troubleshooter again.',
+      contactTitle: 'Contact support',
+      contact: 'None of the steps helped. Send the summary below to {email} and we will look into it.',
+      sendEmail: 'Email support',
+      back: 'Back to categories',
+      restart: 'Start over',
+      email: {
+        subject: 'DeepReview API problem: {category}',
+        greeting: 'Hello DeepReview support, I am having an API problem and the troubleshooter did not solve it.',
+        notProvided: '(not provided)',
+        field: '{label}: {value}',
+        category: 'Category',
+        tried: 'Steps I tried without success:',
+        browser: 'Browser'
+      }
+    },
+    error: {
+      title: '⚠️ Loading Error',
+      message: 'Unable to load the user guide content. Please try refreshing the page.',
+      refresh: 'Refresh Page'
+    },
+    image: {
+      close: 'Close',
+      enlarge: 'Enlarge screenshot: {alt}',
+      position: 'Screenshot {index} of {count}',
+      previous: 'Previous screenshot (←)',
+      next: 'Next screenshot (→)',
+      zoomIn: 'Zoom in (+)',
+      zoomOut: 'Zoom out (−)',
+      zoomReset: 'Reset zoom (0)'
+    },
+    offline: {
+      notice: 'Offline — content may be outdated'
+    }
+  }
+});
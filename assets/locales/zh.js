@@ -0,0 +1,379 @@
+/**
+ * User guide messages - 简体中文
+ */
+window.guideI18n.register('zh', {
+  name: '中文',
+  dateLocale: 'zh-CN',
+  messages: {
+    guide: {
+      title: '用户手册',
+      loading: '正在加载用户手册...'
+    },
+    controls: {
+      language: '语言',
+      print: '打印本节',
+      printManual: '打印完整手册',
+      shortcuts: '键盘快捷键（?）'
+    },
+    sections: {
+      scenarios: '应用场景',
+      customRules: '自定义规则',
+      providers: 'AI 供应商配置',
+      basic: '基础功能',
+      advanced: '高级功能',
+      privacy: '隐私与安全',
+      subscription: '订阅政策',
+      legal: '法律声明与免责',
+      releases: '发行说明',
+      support: '支持与反馈'
+    },
+    search: {
+      placeholder: '搜索用户手册...',
+      empty: '未找到相关内容'
+    },
+    toc: {
+      title: '本页内容'
+    },
+    manual: {
+      contents: '目录'
+    },
+    heading: {
+      copyLink: '复制此标题的链接',
+      linkCopied: '链接已复制'
+    },
+    nav: {
+      label: '手册章节',
+      announce: '当前章节：{title}',
+      open: '打开章节列表',
+      close: '关闭章节列表'
+    },
+    pagination: {
+      previous: '上一节',
+      next: '下一节'
+    },
+    footer: {
+      lastUpdated: '最后更新：',
+      issue: '发现问题？',
+      contact: '告诉我们'
+    },
+    history: {
+      title: '更新记录',
+      unknown: '未知',
+      recent: '新',
+      recentTitle: '最近 {days} 天内有更新'
+    },
+    feedback: {
+      label: '章节反馈',
+      question: '本节内容对您有帮助吗？',
+      yes: '有帮助',
+      no: '没有帮助',
+      commentUp: '哪些内容对您有帮助？（可选）',
+      commentDown: '哪些内容缺失或不清楚？（可选）',
+      send: '提交反馈',
+      thanks: '感谢您的反馈！',
+      queued: '您似乎处于离线状态。反馈已保存在此浏览器中，恢复联网后会自动发送。'
+    },
+    feedbackAdmin: {
+      title: '指南反馈',
+      intro: '用户指南各章节“是否有帮助”的回答汇总。',
+      language: '内容语言',
+      allLanguages: '全部语言',
+      refresh: '刷新',
+      loading: '正在加载反馈...',
+      loadError: '无法从 {endpoint} 加载反馈。',
+      noEndpoint: '本站未配置反馈接口，因此指南不会收集反馈。',
+      empty: '暂无反馈。',
+      total: '共 {count} 条回答，{percent}% 认为有帮助',
+      responses: '{count} 条回答',
+      table: {
+        section: '章节',
+        up: '👍 有帮助',
+        down: '👎 没有帮助',
+        helpful: '有帮助比例',
+        comments: '评论'
+      },
+      rating: {
+        up: '有帮助',
+        down: '没有帮助'
+      },
+      byHeading: '按标题',
+      wholeSection: '整个章节',
+      comments: '评论',
+      noComments: '暂无评论。'
+    },
+    palette: {
+      title: '跳转到章节或标题',
+      placeholder: '输入章节或标题名称',
+      results: '匹配的章节和标题',
+      hint: '↑↓ 选择 · Enter 打开 · Esc 关闭',
+      noResults: '没有匹配的章节或标题'
+    },
+    shortcuts: {
+      title: '键盘快捷键',
+      closeLabel: '关闭',
+      palette: '跳转到章节或标题',
+      search: '搜索手册',
+      next: '下一节',
+      previous: '上一节',
+      theme: '切换主题：跟随系统、浅色、深色',
+      language: '切换到下一种语言',
+      print: '打印本节',
+      help: '显示此列表',
+      close: '关闭对话框或搜索结果',
+      note: '在输入框中输入时，单键快捷键不会生效。'
+    },
+    theme: {
+      system: '主题：跟随系统（点击切换为浅色）',
+      light: '主题：浅色（点击切换为深色）',
+      dark: '主题：深色（点击切换为跟随系统）'
+    },
+    translation: {
+      missing: '本节暂无{language}版本，以下显示{fallback}内容。'
+    },
+    ruleEditor: {
+      label: '规则文件',
+      placeholder: '# 分类\n## 规则标题\n1. 需要 AI 检查的内容',
+      example: '载入示例',
+      clear: '清空',
+      download: '下载 .txt',
+      empty: '输入或粘贴规则文件，查看 DeepReview 将如何解析。',
+      summary: '分类：{categories} · 规则：{rules} · 问题：{problems}',
+      noCategory: '未分类',
+      ruleCount: '规则：{count}',
+      line: '第 {line} 行',
+      problem: '{severity}：{message}',
+      severity: {
+        error: '错误',
+        warning: '警告'
+      },
+      lint: {
+        missingTitle: '标题为空',
+        outsideCategory: '规则“{title}”不在任何分类下，请在其上方添加 # 分类行',
+        emptyCategory: '分类“{title}”中没有规则',
+        emptyRule: '规则“{title}”没有描述',
+        longRule: '规则“{title}”长 {length} 个字符，建议描述不超过 {max} 个字符',
+        duplicateRule: '规则标题“{title}”已在第 {first} 行使用',
+        duplicateCategory: '分类“{title}”已在第 {first} 行使用',
+        deepHeading: '只识别 # 和 ## 标题，此行将作为规则描述的一部分',
+        strayText: '第一个标题之前的文字会被忽略',
+        noRules: '未找到规则，规则需以 ## 开头'
+      },
+      exampleFile: '# 通用代码规则\n\n## 检查代码风格一致性\n1. 缩进风格一致（空格或制表符）\n2. 命名规范一致（camelCase、snake_case 等）\n\n## 检查代码注释质量\n1. 复杂逻辑配有适当注释\n2. 函数和类带有文档注释\n\n# JavaScript/TypeScript 规则\n\n## 检查 JavaScript 变量声明规范\n1. 使用 let、const 而不是 var\n2. 不会重新赋值的变量使用 const\n'
+    },
+    gallery: {
+      title: '规则集库',
+      intro: '适用于常见审核任务的现成自定义规则集。预览规则集，下载 .txt 后在 DeepReview 中通过“导入规则”导入，或先在规则编辑器中打开进行调整。',
+      loading: '正在加载规则集...',
+      loadError: '无法加载规则集，请尝试刷新页面。',
+      filterLabel: '按标签筛选',
+      allTags: '全部',
+      empty: '没有符合筛选条件的规则集。',
+      stats: '分类：{categories} · 规则：{rules}',
+      preview: '预览规则',
+      download: '下载 .txt',
+      openInEditor: '在规则编辑器中打开',
+      replaceDraft: '规则编辑器中已有您的草稿。要用此规则集替换它吗？',
+      fallback: '暂无{language}版本，以下显示{fallback}内容。',
+      useCases: {
+        requirements: '系统需求验证',
+        compliance: '内容合规性与审核',
+        team: '团队特定标准'
+      },
+      tags: {
+        requirements: '需求',
+        'business-logic': '业务逻辑',
+        api: 'API',
+        content: '内容',
+        moderation: '审核',
+        gdpr: 'GDPR',
+        privacy: '隐私',
+        accessibility: '无障碍',
+        html: 'HTML',
+        javascript: 'JavaScript',
+        'code-style': '代码风格',
+        architecture: '架构',
+        security: '安全',
+        performance: '性能'
+      }
+    },
+    providerCatalog: {
+      table: {
+        provider: '供应商',
+        models: '模型',
+        context: '上下文长度',
+        apiUrl: '默认 API 地址',
+        website: '官方网站'
+      },
+      contextRange: '{range} tokens',
+      contextVaries: '因供应商而异',
+      customEndpoints: '支持自定义API端点',
+      userProvided: '您的端点地址',
+      variousProviders: '多种第三方供应商'
+    },
+    releaseNotes: {
+      subscribe: '可通过 [Atom 订阅源]({url})订阅新版本。',
+      version: '版本 {version}',
+      released: '发布于 {date}',
+      highlights: '主要更新',
+      breaking: '⚠️ 不兼容变更',
+      feedTitle: 'DeepReview 扩展版本发布',
+      feedSubtitle: 'DeepReview 扩展各版本的变更'
+    },
+    settingsCalculator: {
+      provider: '供应商',
+      model: '模型',
+      customContext: '模型上下文长度（tokens）',
+      customOutput: '模型输出上限（tokens，可选）',
+      contentType: '审查内容',
+      contentTypes: {
+        code: '代码',
+        english: '英文文本',
+        chinese: '中文文本'
+      },
+      contextWindow: '上下文窗口',
+      outputLength: '输出长度',
+      characters: '{count} 字符',
+      tokens: '{count} tokens',
+      tooSmall: '该上下文长度过小，无法为审查指令和规则留出空间。',
+      invalidContext: '请输入模型的上下文长度（tokens）。',
+      assumptions: '计算依据',
+      assumption: {
+        charsPerToken: '{contentType}约每 token {ratio} 个字符',
+        limits: '{model}：上下文 {context} tokens，输出最多 {output} tokens',
+        limitsShared: '{model}：上下文 {context} tokens，输入和输出共用',
+        limitsAssumed: '{model}：上下文按 {provider} 列出的最小值 {context} tokens 计算，输出最多 {output} tokens',
+        limitsAssumedShared: '{model}：上下文按 {provider} 列出的最小值 {context} tokens 计算，输入和输出共用',
+        output: '输出长度不超过 {max} tokens，且不超过上下文的四分之一',
+        reserve: '为 DeepReview 的审查指令和规则预留 {tokens} tokens',
+        margin: '对剩余部分保留 {percent}% 安全余量，每次请求约 {tokens} tokens 输入'
+      }
+    },
+    estimator: {
+      title: '审查费用估算',
+      intro: '在运行审查前估算所需的 API 请求数、tokens、费用和时间。价格取自下方可编辑的价格表。',
+      loading: '正在加载模型...',
+      loadError: '无法加载模型列表，请尝试刷新页面。',
+      invalid: '请在每个字段中填写正数以查看估算结果。',
+      files: '文件',
+      fileCount: '文件数量',
+      fileSize: '平均文件大小（KB）',
+      multiFile: '多文件分析',
+      review: '审查',
+      ruleCount: '选中的规则数',
+      detailLevel: '详细程度',
+      detail: {
+        simple: '简单',
+        balanced: '均衡',
+        detailed: '详细'
+      },
+      contextWindow: '上下文窗口（字符）',
+      outputLength: '输出长度（tokens）',
+      advanced: '高级',
+      parallelTasks: '并行任务（1-10）',
+      aiRepair: 'AI修复建议',
+      includeFileContent: '包含文件内容',
+      results: '估算结果',
+      requests: 'API 请求',
+      requestsDetail: '审查 {review} + 修复 {repair}',
+      tokens: 'Tokens',
+      tokensDetail: '输入 {input} + 输出 {output}',
+      cost: '供应商费用',
+      costDetail: '输入 {input} + 输出 {output}',
+      time: '总耗时',
+      timeDetail: '使用 {parallel} 个并行任务',
+      duration: {
+        seconds: '{seconds} 秒',
+        minutes: '{minutes} 分 {seconds} 秒',
+        hours: '{hours} 小时 {minutes} 分'
+      },
+      assumption: {
+        fileSize: '每个文件 {size} KB，按 UTF-8 每字符 {bytes} 字节计约 {chars} 个字符',
+        chunks: '{files} 个文件分为 {chunks} 个分片，每片约 {tokens} tokens',
+        chunksMerged: '{files} 个文件合并后分为 {chunks} 个分片，每片约 {tokens} tokens',
+        requests: '每个分片对每条选中规则发送一次请求，每次包含 {tokens} tokens 的指令和规则文本',
+        output: '{detail}详细程度下每次审查请求约输出 {tokens} tokens',
+        repairFull: '{percent}% 的结果请求 AI 修复，发送整个分片并返回 {output} tokens',
+        repairSnippet: '{percent}% 的结果请求 AI 修复，发送 {snippet} tokens 的代码片段并返回 {output} tokens',
+        timing: '每次请求 {latency} 秒延迟，外加每秒输出 {speed} tokens',
+        price: '{model}：每百万 tokens 输入 {input}，输出 {output}'
+      },
+      warnings: {
+        contextTooLarge: '按当前的上下文窗口和输出长度，请求可能超出 {model} 的上下文长度。',
+        outputTooLarge: '{model} 最多返回 {max} tokens，更大的输出长度可能会被拒绝。',
+        parallelPro: '多于一个并行任务需要 DeepReview Pro。',
+        calculatorLink: '计算安全的取值'
+      },
+      prices: {
+        title: '价格表',
+        intro: '价格按每百万 tokens 计。请查看供应商当前的价目表，并可在此编辑任意价格；修改会保存在本浏览器中。',
+        reset: '重置价格',
+        model: '模型',
+        provider: '供应商',
+        input: '输入（{currency}）',
+        output: '输出（{currency}）',
+        inputLabel: '{model} 每百万 tokens 输入价格',
+        outputLabel: '{model} 每百万 tokens 输出价格'
+      }
+    },
+    troubleshooter: {
+      title: 'API 故障排查向导',
+      intro: '填写您了解的信息，所有字段均为可选。',
+      provider: '供应商',
+      providerUnknown: '不确定',
+      symptom: '现象',
+      symptoms: {
+        connection: '连接测试失败或没有任何返回',
+        rejected: '请求因密钥或账户问题被拒绝',
+        limited: '开始正常，发送多次请求后失败',
+        malformed: '结果被截断、为空或无法读取',
+        slow: '审查非常慢或超时',
+        unknown: '不确定 / 其他情况'
+      },
+      status: 'HTTP 状态码',
+      errorText: '错误信息',
+      diagnose: '查找原因',
+      diagnosisTitle: '诊断结果',
+      likely: '看起来是：',
+      otherCategories: '不是这个？选择其他类别：',
+      noMatch: '根据您填写的信息无法确定具体类别，请选择最接近的一项：',
+      stepProgress: '第 {step} 步，共 {total} 步',
+      checkpoint: '问题解决了吗？',
+      yes: '是，已恢复正常',
+      no: '否，下一步',
+      resolvedTitle: '问题已解决',
+      resolved: '太好了！DeepReview 应该已恢复正常。如果问题再次出现，请重新运行故障排查向导。',
+      contactTitle: '联系支持',
+      contact: '以上步骤都没有解决问题。请将下面的摘要发送到 {email}，我们会尽快处理。',
+      sendEmail: '发送邮件给支持团队',
+      back: '返回类别选择',
+      restart: '重新开始',
+      email: {
+        subject: 'DeepReview API 问题：{category}',
+        greeting: 'DeepReview 支持团队您好，我遇到了 API 问题，故障排查向导未能解决。',
+        notProvided: '（未提供）',
+        field: '{label}：{value}',
+        category: '问题类别',
+        tried: '已尝试但无效的步骤：',
+        browser: '浏览器'
+      }
+    },
+    error: {
+      title: '⚠️ 加载错误',
+      message: '无法加载用户手册内容，请尝试刷新页面。',
+      refresh: '刷新页面'
+    },
+    image: {
+      close: '关闭',
+      enlarge: '放大截图：{alt}',
+      position: '第 {index} 张，共 {count} 张',
+      previous: '上一张截图（←）',
+      next: '下一张截图（→）',
+      zoomIn: '放大（+）',
+      zoomOut: '缩小（−）',
+      zoomReset: '恢复原始大小（0）'
+    },
+    offline: {
+      notice: '离线 — 内容可能不是最新版本'
+    }
+  }
+});
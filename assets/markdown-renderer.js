@@ -0,0 +1,818 @@
+/**
+ * DeepReview Markdown Renderer
+ * CommonMark block and inline parsing plus GFM tables and strikethrough,
+ * used to render the user guide content in content/<lang>/<section>.md
+ */
+
+const HTML_BLOCK_TAGS = [
+  'address', 'article', 'aside', 'base', 'basefont', 'blockquote', 'body', 'caption', 'center',
+  'col', 'colgroup', 'dd', 'details', 'dialog', 'dir', 'div', 'dl', 'dt', 'fieldset', 'figcaption',
+  'figure', 'footer', 'form', 'frame', 'frameset', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head',
+  'header', 'hr', 'html', 'iframe', 'legend', 'li', 'link', 'main', 'menu', 'menuitem', 'nav',
+  'noframes', 'ol', 'optgroup', 'option', 'p', 'param', 'search', 'section', 'summary', 'table',
+  'tbody', 'td', 'tfoot', 'th', 'thead', 'title', 'tr', 'track', 'ul'
+];
+
+const HTML_BLOCK_START = new RegExp(`^<\\/?(?:${HTML_BLOCK_TAGS.join('|')})(?:\\s|\\/?>|$)`, 'i');
+const HTML_RAW_START = /^<(script|pre|style|textarea)(?:\s|>|$)/i;
+const HTML_TAG_ATTRIBUTE = '(?:\\s+[A-Za-z_:][\\w.:-]*(?:\\s*=\\s*(?:[^\\s"\'=<>`]+|\'[^\']*\'|"[^"]*"))?)';
+const HTML_OPEN_TAG = `<[A-Za-z][A-Za-z0-9-]*${HTML_TAG_ATTRIBUTE}*\\s*\\/?>`;
+const HTML_CLOSE_TAG = '<\\/[A-Za-z][A-Za-z0-9-]*\\s*>';
+const HTML_LONE_TAG = new RegExp(`^(?:${HTML_OPEN_TAG}|${HTML_CLOSE_TAG})\\s*$`);
+const INLINE_HTML = new RegExp(`^(?:${HTML_OPEN_TAG}|${HTML_CLOSE_TAG}|<!--[\\s\\S]*?-->)`);
+
+const ENTITY = /^&(?:#\d{1,7}|#[xX][\da-fA-F]{1,6}|[A-Za-z][A-Za-z0-9]{1,31});/;
+const AUTOLINK = /^<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*)>/;
+const EMAIL_AUTOLINK = /^<([A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*)>/;
+const LINK_TARGET = /^\(\s*(<[^<>\n]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^)\\]|\\.)*\)))?\s*\)/;
+const ASCII_PUNCTUATION = /[!-/:-@[-`{-~]/;
+const UNICODE_PUNCTUATION = /[\p{P}\p{S}]/u;
+
+class MarkdownRenderer {
+  /**
+   * Render a Markdown document to an HTML string
+   */
+  render(markdown) {
+    return this.renderBlocks(this.parse(markdown));
+  }
+
+  /**
+   * Parse a Markdown document into a list of block nodes.
+   * Top-level blocks carry the source line they start on, and every
+   * heading gets a unique id (see assignHeadingIds)
+   */
+  parse(markdown) {
+    const lines = String(markdown)
+      .replace(/\r\n?/g, '\n')
+      .replace(/\t/g, '    ')
+      .split('\n');
+    const blocks = this.parseBlocks(lines, true);
+    this.assignHeadingIds(blocks, new Map());
+    return blocks;
+  }
+
+  /**
+   * Give each heading an id: an explicit trailing {#custom-id} wins,
+   * otherwise a slug of the heading text, de-duplicated with -1, -2...
+   */
+  assignHeadingIds(blocks, used) {
+    blocks.forEach(block => {
+      if (block.type === 'heading') {
+        const explicit = block.text.match(/\s*\{#([^\s{}]+)\}$/);
+        if (explicit) {
+          block.text = block.text.slice(0, explicit.index);
+        }
+
+        const base = explicit ? explicit[1] : this.slugify(block.text) || 'section';
+        const count = used.get(base) || 0;
+        used.set(base, count + 1);
+        block.id = count === 0 ? base : `${base}-${count}`;
+      } else if (block.type === 'blockquote') {
+        this.assignHeadingIds(block.children, used);
+      } else if (block.type === 'list') {
+        block.items.forEach(item => this.assignHeadingIds(item, used));
+      }
+    });
+  }
+
+  /**
+   * Slug for a heading: inline Markdown, emoji and punctuation removed,
+   * words joined by "-". Letters of any script are kept.
+   */
+  slugify(text) {
+    return text
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/<[^>]*>/g, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+      .trim()
+      .replace(/[\s_]+/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Block parsing
+  // ---------------------------------------------------------------------------
+
+  parseBlocks(lines, trackLines = false) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const start = i;
+      const count = blocks.length;
+
+      if (this.isBlank(line)) {
+        i++;
+        continue;
+      }
+
+      const content = line.trimStart();
+
+      if (this.indentOf(line) >= 4) {
+        i = this.parseIndentedCode(lines, i, blocks);
+      } else if (this.isFenceStart(content)) {
+        i = this.parseFencedCode(lines, i, blocks);
+      } else if (/^#{1,6}(?:[ \t]|$)/.test(content)) {
+        blocks.push(this.parseAtxHeading(content));
+        i++;
+      } else if (this.isThematicBreak(content)) {
+        blocks.push({ type: 'hr' });
+        i++;
+      } else if (content.startsWith('>')) {
+        i = this.parseBlockquote(lines, i, blocks);
+      } else if (this.htmlBlockEnd(content, false)) {
+        i = this.parseHtmlBlock(lines, i, blocks);
+      } else if (this.matchListMarker(line)) {
+        i = this.parseList(lines, i, blocks);
+      } else if (this.isTableStart(lines, i)) {
+        i = this.parseTable(lines, i, blocks);
+      } else {
+        i = this.parseParagraph(lines, i, blocks);
+      }
+
+      if (trackLines) {
+        blocks.slice(count).forEach(block => {
+          block.line = start;
+        });
+      }
+    }
+
+    return blocks;
+  }
+
+  parseIndentedCode(lines, i, blocks) {
+    const code = [];
+    while (i < lines.length && (this.isBlank(lines[i]) || this.indentOf(lines[i]) >= 4)) {
+      code.push(lines[i].slice(4));
+      i++;
+    }
+    while (code.length && this.isBlank(code[code.length - 1])) {
+      code.pop();
+    }
+    blocks.push({ type: 'code', lang: '', text: code.join('\n') + '\n' });
+    return i;
+  }
+
+  isFenceStart(content) {
+    return /^(`{3,})[^`]*$/.test(content) || /^~{3,}/.test(content);
+  }
+
+  parseFencedCode(lines, i, blocks) {
+    const indent = this.indentOf(lines[i]);
+    const opening = lines[i].trimStart().match(/^(`{3,}|~{3,})(.*)$/);
+    const fence = opening[1];
+    const lang = opening[2].trim().split(/\s+/)[0] || '';
+    const closing = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}\\s*$`);
+    const code = [];
+
+    i++;
+    while (i < lines.length && !closing.test(lines[i])) {
+      const stripped = lines[i].replace(new RegExp(`^ {0,${indent}}`), '');
+      code.push(stripped);
+      i++;
+    }
+
+    blocks.push({
+      type: 'code',
+      lang: this.unescapeBackslashes(lang),
+      text: code.length ? code.join('\n') + '\n' : ''
+    });
+    return i + 1;
+  }
+
+  parseAtxHeading(content) {
+    const match = content.match(/^(#{1,6})(.*)$/);
+    let text = match[2].trim();
+    if (/^#+$/.test(text)) {
+      text = '';
+    } else {
+      text = text.replace(/[ \t]+#+[ \t]*$/, '').trim();
+    }
+    return { type: 'heading', level: match[1].length, text };
+  }
+
+  isThematicBreak(content) {
+    return /^(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/.test(content);
+  }
+
+  parseBlockquote(lines, i, blocks) {
+    const inner = [];
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const quoted = line.match(/^ {0,3}> ?(.*)$/);
+
+      if (quoted) {
+        inner.push(quoted[1]);
+      } else if (!this.isBlank(line) && inner.length && !this.isBlank(inner[inner.length - 1]) && !this.startsBlock(line)) {
+        // Lazy continuation of a quoted paragraph
+        inner.push(line);
+      } else {
+        break;
+      }
+      i++;
+    }
+
+    blocks.push({ type: 'blockquote', children: this.parseBlocks(inner) });
+    return i;
+  }
+
+  /**
+   * Return the end condition for an HTML block starting with content,
+   * or null when the line does not start one
+   */
+  htmlBlockEnd(content, inParagraph) {
+    const raw = content.match(HTML_RAW_START);
+    if (raw) return new RegExp(`</${raw[1]}>`, 'i');
+    if (content.startsWith('<!--')) return /-->/;
+    if (content.startsWith('<?')) return /\?>/;
+    if (/^<![A-Za-z]/.test(content)) return />/;
+    if (content.startsWith('<![CDATA[')) return /\]\]>/;
+    if (HTML_BLOCK_START.test(content)) return 'blank';
+    if (!inParagraph && HTML_LONE_TAG.test(content)) return 'blank';
+    return null;
+  }
+
+  parseHtmlBlock(lines, i, blocks) {
+    const end = this.htmlBlockEnd(lines[i].trimStart(), false);
+    const html = [];
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (end === 'blank' && this.isBlank(line)) break;
+      html.push(line);
+      i++;
+      if (end !== 'blank' && end.test(line)) break;
+    }
+
+    blocks.push({ type: 'html', html: html.join('\n') });
+    return i;
+  }
+
+  /**
+   * Match a list item marker, returning its type and the column its content starts at
+   */
+  matchListMarker(line) {
+    const match = line.match(/^( {0,3})([-+*]|\d{1,9}[.)])( *)(.*)$/);
+    if (!match) return null;
+
+    const [, indent, marker, spacing, rest] = match;
+    if (spacing.length === 0 && rest.length > 0) return null;
+
+    const ordered = /\d/.test(marker[0]);
+    const empty = rest.length === 0;
+    // Five or more spaces after the marker means the content is indented code
+    const padding = empty || spacing.length > 4 ? 1 : spacing.length;
+
+    return {
+      ordered,
+      bullet: ordered ? marker.slice(-1) : marker,
+      start: ordered ? parseInt(marker, 10) : null,
+      contentIndent: indent.length + marker.length + padding,
+      empty
+    };
+  }
+
+  parseList(lines, i, blocks) {
+    const first = this.matchListMarker(lines[i]);
+    const list = {
+      type: 'list',
+      ordered: first.ordered,
+      start: first.start,
+      tight: true,
+      items: []
+    };
+
+    while (i < lines.length) {
+      const marker = this.matchListMarker(lines[i]);
+      if (!marker || marker.ordered !== first.ordered || marker.bullet !== first.bullet) break;
+      // A thematic break wins over a "- - -" list item
+      if (this.isThematicBreak(lines[i].trimStart())) break;
+
+      const itemLines = [lines[i].length > marker.contentIndent ? lines[i].slice(marker.contentIndent) : ''];
+      i++;
+
+      while (i < lines.length) {
+        const line = lines[i];
+
+        if (this.isBlank(line)) {
+          itemLines.push('');
+        } else if (this.indentOf(line) >= marker.contentIndent) {
+          itemLines.push(line.slice(marker.contentIndent));
+        } else if (!this.isBlank(itemLines[itemLines.length - 1]) && !this.matchListMarker(line) &&
+          !this.startsBlock(line) && !this.isTableStart(lines, i)) {
+          // Lazy continuation of the item's paragraph
+          itemLines.push(line.trimStart());
+        } else {
+          break;
+        }
+        i++;
+      }
+
+      let trailingBlank = false;
+      while (itemLines.length > 1 && this.isBlank(itemLines[itemLines.length - 1])) {
+        itemLines.pop();
+        trailingBlank = true;
+      }
+
+      if (this.hasBlankBetweenBlocks(itemLines)) {
+        list.tight = false;
+      }
+
+      list.items.push(this.parseBlocks(itemLines));
+
+      if (trailingBlank && i < lines.length) {
+        const next = this.matchListMarker(lines[i]);
+        if (next && next.ordered === first.ordered && next.bullet === first.bullet) {
+          list.tight = false;
+        }
+      }
+    }
+
+    blocks.push(list);
+    return i;
+  }
+
+  /**
+   * A list is loose when blank lines separate blocks directly inside an item
+   */
+  hasBlankBetweenBlocks(itemLines) {
+    let inFence = false;
+    for (let j = 0; j < itemLines.length; j++) {
+      const content = itemLines[j].trimStart();
+      if (this.isFenceStart(content)) inFence = !inFence;
+      if (inFence || !this.isBlank(itemLines[j])) continue;
+
+      const next = itemLines.slice(j + 1).find(line => !this.isBlank(line));
+      if (next !== undefined && this.indentOf(next) === 0 && !this.matchListMarker(itemLines[j - 1] || '')) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  isDelimiterRow(line) {
+    if (!line.includes('|') && !/^\s*:?-+:?\s*$/.test(line)) return false;
+    const cells = this.splitRow(line);
+    return cells.length > 0 && cells.every(cell => /^:?-+:?$/.test(cell.trim()));
+  }
+
+  isTableStart(lines, i) {
+    if (i + 1 >= lines.length || !lines[i].includes('|')) return false;
+    if (this.indentOf(lines[i]) >= 4 || !this.isDelimiterRow(lines[i + 1])) return false;
+    return this.splitRow(lines[i]).length === this.splitRow(lines[i + 1]).length;
+  }
+
+  /**
+   * Split a table row on unescaped pipes outside code spans; the
+   * leading and trailing pipes are optional
+   */
+  splitRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+    const cells = [];
+    let cell = '';
+    let codeFence = 0;
+
+    for (let j = 0; j < row.length; j++) {
+      const ch = row[j];
+      if (ch === '\\' && row[j + 1] === '|') {
+        cell += codeFence ? '\\|' : '|';
+        j++;
+      } else if (ch === '`') {
+        let run = 1;
+        while (row[j + run] === '`') run++;
+        codeFence = codeFence === run ? 0 : (codeFence || run);
+        cell += '`'.repeat(run);
+        j += run - 1;
+      } else if (ch === '|' && !codeFence) {
+        cells.push(cell);
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    cells.push(cell);
+
+    return cells.map(value => value.trim());
+  }
+
+  parseTable(lines, i, blocks) {
+    const header = this.splitRow(lines[i]);
+    const align = this.splitRow(lines[i + 1]).map(cell => {
+      const value = cell.trim();
+      if (value.startsWith(':') && value.endsWith(':')) return 'center';
+      if (value.endsWith(':')) return 'right';
+      if (value.startsWith(':')) return 'left';
+      return null;
+    });
+    const rows = [];
+
+    i += 2;
+    while (i < lines.length && !this.isBlank(lines[i]) && !this.startsBlock(lines[i])) {
+      const cells = this.splitRow(lines[i]);
+      // Rows are normalized to the header width: pad missing cells, drop extras
+      rows.push(header.map((_, index) => cells[index] || ''));
+      i++;
+    }
+
+    blocks.push({ type: 'table', align, header, rows });
+    return i;
+  }
+
+  parseParagraph(lines, i, blocks) {
+    const text = [lines[i].trimStart()];
+    i++;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (this.isBlank(line)) break;
+
+      const setext = line.match(/^ {0,3}(=+|-+)\s*$/);
+      if (setext) {
+        blocks.push({
+          type: 'heading',
+          level: setext[1][0] === '=' ? 1 : 2,
+          text: text.join('\n').trim()
+        });
+        return i + 1;
+      }
+
+      if (this.startsBlock(line, true) || this.isTableStart(lines, i)) break;
+      text.push(line.trimStart());
+      i++;
+    }
+
+    blocks.push({ type: 'paragraph', text: text.join('\n').replace(/\s+$/, '') });
+    return i;
+  }
+
+  /**
+   * Whether a line starts a block that may interrupt a paragraph
+   */
+  startsBlock(line, inParagraph = true) {
+    if (this.indentOf(line) >= 4) return false;
+    const content = line.trimStart();
+
+    if (this.isFenceStart(content)) return true;
+    if (/^#{1,6}(?:[ \t]|$)/.test(content)) return true;
+    if (content.startsWith('>')) return true;
+    if (this.isThematicBreak(content)) return true;
+    if (this.htmlBlockEnd(content, inParagraph)) return true;
+
+    const marker = this.matchListMarker(line);
+    if (marker && !marker.empty && (!marker.ordered || marker.start === 1)) return true;
+
+    return false;
+  }
+
+  isBlank(line) {
+    return /^\s*$/.test(line);
+  }
+
+  indentOf(line) {
+    return line.match(/^ */)[0].length;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Block rendering
+  // ---------------------------------------------------------------------------
+
+  renderBlocks(blocks, tight = false) {
+    return blocks.map(block => this.renderBlock(block, tight)).join('\n');
+  }
+
+  renderBlock(block, tight) {
+    switch (block.type) {
+      case 'heading': {
+        const id = block.id ? ` id="${this.escapeAttribute(block.id)}"` : '';
+        return `<h${block.level}${id}>${this.renderInline(block.text)}</h${block.level}>`;
+      }
+      case 'paragraph':
+        return tight ? this.renderInline(block.text) : `<p>${this.renderInline(block.text)}</p>`;
+      case 'code': {
+        const langClass = block.lang ? ` class="language-${this.escapeHtml(block.lang)}"` : '';
+        return `<pre><code${langClass}>${this.escapeHtml(block.text)}</code></pre>`;
+      }
+      case 'html':
+        return block.html;
+      case 'hr':
+        return '<hr />';
+      case 'blockquote':
+        return `<blockquote>\n${this.renderBlocks(block.children)}\n</blockquote>`;
+      case 'list':
+        return this.renderList(block);
+      case 'table':
+        return this.renderTable(block);
+      default:
+        return '';
+    }
+  }
+
+  renderList(list) {
+    const tag = list.ordered ? 'ol' : 'ul';
+    const start = list.ordered && list.start !== 1 ? ` start="${list.start}"` : '';
+    const items = list.items.map(item => `<li>${this.renderBlocks(item, list.tight)}</li>`);
+    return `<${tag}${start}>\n${items.join('\n')}\n</${tag}>`;
+  }
+
+  renderTable(table) {
+    const alignAttr = index => table.align[index] ? ` align="${table.align[index]}"` : '';
+    const header = table.header
+      .map((cell, index) => `<th${alignAttr(index)}>${this.renderInline(cell)}</th>`)
+      .join('');
+    const rows = table.rows
+      .map(row => `<tr>${row.map((cell, index) => `<td${alignAttr(index)}>${this.renderInline(cell)}</td>`).join('')}</tr>`)
+      .join('\n');
+
+    return `<table>\n<thead>\n<tr>${header}</tr>\n</thead>${rows ? `\n<tbody>\n${rows}\n</tbody>` : ''}\n</table>`;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Inline parsing
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Render inline Markdown (emphasis, code spans, links, images, raw HTML)
+   */
+  renderInline(text) {
+    const nodes = [];
+    const brackets = [];
+    let buffer = '';
+    let i = 0;
+
+    const flush = () => {
+      if (buffer) {
+        nodes.push({ type: 'html', value: buffer });
+        buffer = '';
+      }
+    };
+
+    while (i < text.length) {
+      const ch = text[i];
+      const rest = text.slice(i);
+
+      if (ch === '\\') {
+        const next = text[i + 1];
+        if (next === '\n') {
+          flush();
+          nodes.push({ type: 'html', value: '<br />\n' });
+          i += 2;
+        } else if (next && ASCII_PUNCTUATION.test(next)) {
+          buffer += this.escapeHtml(next);
+          i += 2;
+        } else {
+          buffer += '\\';
+          i++;
+        }
+      } else if (ch === '`') {
+        const run = rest.match(/^`+/)[0];
+        const closeIndex = this.findClosingBackticks(text, i + run.length, run.length);
+        if (closeIndex === -1) {
+          buffer += run;
+          i += run.length;
+        } else {
+          let code = text.slice(i + run.length, closeIndex).replace(/\n/g, ' ');
+          if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+          buffer += `<code>${this.escapeHtml(code)}</code>`;
+          i = closeIndex + run.length;
+        }
+      } else if (ch === '<') {
+        const autolink = rest.match(AUTOLINK);
+        const email = !autolink && rest.match(EMAIL_AUTOLINK);
+        const html = !autolink && !email && rest.match(INLINE_HTML);
+        if (autolink) {
+          buffer += this.renderLink(autolink[1], '', this.escapeHtml(autolink[1]));
+          i += autolink[0].length;
+        } else if (email) {
+          buffer += `<a href="mailto:${this.escapeAttribute(email[1])}">${this.escapeHtml(email[1])}</a>`;
+          i += email[0].length;
+        } else if (html) {
+          buffer += html[0];
+          i += html[0].length;
+        } else {
+          buffer += '&lt;';
+          i++;
+        }
+      } else if (ch === '&') {
+        const entity = rest.match(ENTITY);
+        buffer += entity ? entity[0] : '&amp;';
+        i += entity ? entity[0].length : 1;
+      } else if (ch === '!' && text[i + 1] === '[') {
+        flush();
+        brackets.push({ index: nodes.length, image: true, active: true });
+        nodes.push({ type: 'html', value: '![' });
+        i += 2;
+      } else if (ch === '[') {
+        flush();
+        brackets.push({ index: nodes.length, image: false, active: true });
+        nodes.push({ type: 'html', value: '[' });
+        i++;
+      } else if (ch === ']') {
+        flush();
+        i = this.closeBracket(text, i, nodes, brackets);
+      } else if (ch === '*' || ch === '_' || ch === '~') {
+        flush();
+        const run = rest.match(ch === '*' ? /^\*+/ : ch === '_' ? /^_+/ : /^~+/)[0];
+        nodes.push(this.createDelimiter(text, i, run));
+        i += run.length;
+      } else if (ch === '\n') {
+        const hardBreak = /  $/.test(buffer);
+        buffer = buffer.replace(/ +$/, '');
+        flush();
+        nodes.push({ type: 'html', value: hardBreak ? '<br />\n' : '\n' });
+        i++;
+      } else if (ch === '>' || ch === '"') {
+        buffer += this.escapeHtml(ch);
+        i++;
+      } else {
+        buffer += ch;
+        i++;
+      }
+    }
+
+    flush();
+    this.processEmphasis(nodes, 0);
+    return this.renderNodes(nodes);
+  }
+
+  findClosingBackticks(text, from, length) {
+    const pattern = new RegExp(`(?<!\`)\`{${length}}(?!\`)`, 'g');
+    pattern.lastIndex = from;
+    const match = pattern.exec(text);
+    return match ? match.index : -1;
+  }
+
+  /**
+   * Resolve "]" against the nearest opening bracket as a link or image
+   */
+  closeBracket(text, i, nodes, brackets) {
+    const opener = brackets.pop();
+    const target = text.slice(i + 1).match(LINK_TARGET);
+
+    if (!opener || !opener.active || !target) {
+      nodes.push({ type: 'html', value: ']' });
+      return i + 1;
+    }
+
+    const inner = nodes.splice(opener.index);
+    inner.shift();
+    this.processEmphasis(inner, 0);
+    const label = this.renderNodes(inner);
+
+    let destination = target[1];
+    if (destination.startsWith('<')) destination = destination.slice(1, -1);
+    destination = this.unescapeBackslashes(destination);
+    const title = target[2] ? this.unescapeBackslashes(target[2].slice(1, -1)) : '';
+
+    if (opener.image) {
+      const alt = label.replace(/<[^>]*>/g, '');
+      const titleAttr = title ? ` title="${this.escapeAttribute(title)}"` : '';
+      nodes.push({ type: 'html', value: `<img src="${this.escapeAttribute(destination)}" alt="${this.escapeAttribute(alt)}"${titleAttr} />` });
+    } else {
+      nodes.push({ type: 'html', value: this.renderLink(destination, title, label) });
+      // Links may not contain other links
+      brackets.forEach(bracket => {
+        if (!bracket.image) bracket.active = false;
+      });
+    }
+
+    return i + 1 + target[0].length;
+  }
+
+  renderLink(href, title, label) {
+    const titleAttr = title ? ` title="${this.escapeAttribute(title)}"` : '';
+    const external = /^https?:\/\//i.test(href) ? ' target="_blank" rel="noopener noreferrer"' : '';
+    return `<a href="${this.escapeAttribute(href)}"${titleAttr}${external}>${label}</a>`;
+  }
+
+  /**
+   * Classify a run of *, _ or ~ using the CommonMark flanking rules
+   */
+  createDelimiter(text, index, run) {
+    const before = index > 0 ? text[index - 1] : ' ';
+    const after = index + run.length < text.length ? text[index + run.length] : ' ';
+    const whitespace = value => /\s/.test(value);
+    const punctuation = value => ASCII_PUNCTUATION.test(value) || UNICODE_PUNCTUATION.test(value);
+
+    const leftFlanking = !whitespace(after) &&
+      (!punctuation(after) || whitespace(before) || punctuation(before));
+    const rightFlanking = !whitespace(before) &&
+      (!punctuation(before) || whitespace(after) || punctuation(after));
+
+    let canOpen = leftFlanking;
+    let canClose = rightFlanking;
+    if (run[0] === '_') {
+      canOpen = leftFlanking && (!rightFlanking || punctuation(before));
+      canClose = rightFlanking && (!leftFlanking || punctuation(after));
+    }
+
+    return {
+      type: 'delimiter',
+      char: run[0],
+      count: run.length,
+      originalCount: run.length,
+      canOpen,
+      canClose
+    };
+  }
+
+  /**
+   * Match emphasis delimiters, replacing each matched pair and its
+   * contents with a single rendered node
+   */
+  processEmphasis(nodes, bottom) {
+    let closerIndex = bottom;
+
+    while (closerIndex < nodes.length) {
+      const closer = nodes[closerIndex];
+      if (closer.type !== 'delimiter' || !closer.canClose) {
+        closerIndex++;
+        continue;
+      }
+
+      let openerIndex = -1;
+      for (let j = closerIndex - 1; j >= bottom; j--) {
+        const opener = nodes[j];
+        if (opener.type !== 'delimiter' || opener.char !== closer.char || !opener.canOpen) continue;
+        if (closer.char === '~' && (opener.count !== closer.count || opener.count > 2)) continue;
+        const ruleOfThree = (opener.canClose || closer.canOpen) &&
+          (opener.originalCount + closer.originalCount) % 3 === 0 &&
+          !(opener.originalCount % 3 === 0 && closer.originalCount % 3 === 0);
+        if (ruleOfThree && closer.char !== '~') continue;
+        openerIndex = j;
+        break;
+      }
+
+      if (openerIndex === -1) {
+        closerIndex++;
+        continue;
+      }
+
+      const opener = nodes[openerIndex];
+      let tag;
+      let used;
+      if (closer.char === '~') {
+        tag = 'del';
+        used = opener.count;
+      } else {
+        used = opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+        tag = used === 2 ? 'strong' : 'em';
+      }
+
+      const inner = this.renderNodes(nodes.slice(openerIndex + 1, closerIndex));
+      opener.count -= used;
+      closer.count -= used;
+      nodes.splice(openerIndex + 1, closerIndex - openerIndex - 1, { type: 'html', value: `<${tag}>${inner}</${tag}>` });
+
+      closerIndex = openerIndex + 2;
+      if (opener.count === 0) {
+        nodes.splice(openerIndex, 1);
+        closerIndex--;
+      }
+      if (closer.count === 0) {
+        nodes.splice(closerIndex, 1);
+      }
+    }
+  }
+
+  renderNodes(nodes) {
+    return nodes
+      .map(node => node.type === 'delimiter' ? node.char.repeat(node.count) : node.value)
+      .join('');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  unescapeBackslashes(text) {
+    return text.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+  }
+
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  escapeAttribute(text) {
+    return String(text)
+      .replace(/&(?!(?:#\d{1,7}|#[xX][\da-fA-F]{1,6}|[A-Za-z][A-Za-z0-9]{1,31});)/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// 导出供其他脚本使用
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarkdownRenderer;
+}
@@ -0,0 +1,181 @@
+/**
+ * DeepReview provider catalog
+ * Renders provider and model facts from content/providers.json into the
+ * guide Markdown and the site pages, so every page quotes the same data.
+ *
+ * Tokens expanded in guide content:
+ *   {{providers-table}}   table of every provider, its models, context, API URL and website
+ *   {{provider-options}}  comma-separated provider names, as listed in the settings
+ *   {{provider:id}}       provider name
+ *   {{model:id}}          model name
+ *   {{context:id}}        largest context window of a provider or model, e.g. 1M
+ */
+
+const CATALOG_TOKEN = /\{\{([a-z-]+)(?::([\w.-]+))?\}\}/g;
+
+class ProviderCatalog {
+  /**
+   * @param {Object} data - parsed content/providers.json
+   */
+  constructor(data) {
+    this.providers = data.providers || [];
+    // Currency of the model prices, which are per million tokens
+    this.priceCurrency = data.priceCurrency || 'USD';
+  }
+
+  getProvider(id) {
+    return this.providers.find(provider => provider.id === id) || null;
+  }
+
+  /**
+   * @returns {{ provider: Object, model: Object }|null}
+   */
+  getModel(id) {
+    for (const provider of this.providers) {
+      const model = provider.models.find(item => item.id === id);
+      if (model) return { provider, model };
+    }
+    return null;
+  }
+
+  localized(values, lang) {
+    return values[lang] || values.en || '';
+  }
+
+  /**
+   * Smallest and largest context window of a provider, in tokens: the range
+   * it publishes, or the span of its models' windows
+   *
+   * @returns {{ min: number, max: number }|null}
+   */
+  getContextRange(provider) {
+    if (provider.context) return provider.context;
+    const contexts = provider.models.map(model => model.context).filter(Boolean);
+    return contexts.length > 0 ? { min: Math.min(...contexts), max: Math.max(...contexts) } : null;
+  }
+
+  /**
+   * Largest context window of a provider or a single model, in tokens; null
+   * for models whose provider only publishes a range
+   */
+  getMaxContext(id) {
+    const provider = this.getProvider(id);
+    if (provider) {
+      const range = this.getContextRange(provider);
+      return range ? range.max : null;
+    }
+    const found = this.getModel(id);
+    return found && found.model.context ? found.model.context : null;
+  }
+
+  /**
+   * 8192 -> 8K, 131072 -> 131K, 1700000 -> 1.7M
+   */
+  formatContext(tokens) {
+    return tokens >= 1000000 ? `${Number((tokens / 1000000).toFixed(1))}M` : `${Math.round(tokens / 1000)}K`;
+  }
+
+  formatContextRange(provider) {
+    const { min, max } = this.getContextRange(provider);
+    return min === max ? this.formatContext(max) : `${this.formatContext(min)} - ${this.formatContext(max)}`;
+  }
+
+  /**
+   * Short names of the providers highlighted on the site pages
+   */
+  getFeaturedNames(lang) {
+    return this.providers
+      .filter(provider => provider.featured)
+      .map(provider => this.localized(provider.shortName, lang));
+  }
+
+  /**
+   * Join names the way the language lists alternatives: "A, B or C"
+   */
+  formatList(names, lang) {
+    if (typeof Intl !== 'undefined' && Intl.ListFormat) {
+      return new Intl.ListFormat(lang, { type: 'disjunction' }).format(names);
+    }
+    return names.join(', ');
+  }
+
+  /**
+   * Replace catalog tokens in a Markdown string; unknown tokens are left
+   * in place so they show up in review (see scripts/check-provider-catalog.js)
+   *
+   * @param {string} markdown
+   * @param {string} lang
+   * @param {Function} t - translates a message key, used for table labels
+   */
+  expand(markdown, lang, t = key => key) {
+    return markdown.replace(CATALOG_TOKEN, (token, name, id) => {
+      const value = this.resolveToken(name, id, lang, t);
+      return value === null ? token : value;
+    });
+  }
+
+  resolveToken(name, id, lang, t) {
+    switch (name) {
+      case 'providers-table':
+        return id ? null : this.renderProvidersTable(lang, t);
+      case 'provider-options':
+        return id ? null : this.providers.map(provider => this.localized(provider.shortName, lang)).join(', ');
+      case 'provider': {
+        const provider = this.getProvider(id);
+        return provider ? this.localized(provider.name, lang) : null;
+      }
+      case 'model': {
+        const found = this.getModel(id);
+        return found ? found.model.name : null;
+      }
+      case 'context': {
+        const tokens = this.getMaxContext(id);
+        return tokens ? this.formatContext(tokens) : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Tokens in a Markdown string that do not resolve against the catalog
+   */
+  findUnknownTokens(markdown) {
+    return [...markdown.matchAll(CATALOG_TOKEN)]
+      .filter(([, name, id]) => this.resolveToken(name, id, 'en', key => key) === null)
+      .map(([token]) => token);
+  }
+
+  renderProvidersTable(lang, t) {
+    const header = ['provider', 'models', 'context', 'apiUrl', 'website']
+      .map(column => t(`providerCatalog.table.${column}`));
+
+    const rows = this.providers.map(provider => {
+      if (provider.compatible) {
+        return [
+          `**${this.localized(provider.name, lang)}**`,
+          t('providerCatalog.customEndpoints'),
+          t('providerCatalog.contextVaries'),
+          t('providerCatalog.userProvided'),
+          t('providerCatalog.variousProviders')
+        ];
+      }
+      return [
+        `**${this.localized(provider.name, lang)}**`,
+        provider.models.map(model => model.name).join(', '),
+        t('providerCatalog.contextRange', { range: this.formatContextRange(provider) }),
+        `\`${provider.apiUrl}\``,
+        `[${new URL(provider.website).host}](${provider.website})`
+      ];
+    });
+
+    return [header, header.map(() => '---'), ...rows]
+      .map(cells => `| ${cells.join(' | ')} |`)
+      .join('\n');
+  }
+}
+
+// 导出供其他脚本使用
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProviderCatalog;
+}
@@ -0,0 +1,88 @@
+/**
+ * DeepReview release notes
+ * Renders the extension releases in content/releases.json into the guide
+ * Markdown; scripts/build-release-feed.js turns the same entries into the
+ * Atom feeds under feeds/.
+ *
+ * Tokens expanded in guide content:
+ *   {{release-notes}}   feed link and every release, newest first
+ */
+
+const RELEASE_NOTES_TOKEN = /\{\{release-notes\}\}/g;
+
+class ReleaseNotes {
+  /**
+   * @param {Object} data - parsed content/releases.json
+   */
+  constructor(data) {
+    // Newest first, as listed in the file
+    this.releases = data.releases || [];
+  }
+
+  getLatest() {
+    return this.releases[0] || null;
+  }
+
+  /**
+   * Items of a release in a language, falling back to English
+   */
+  localized(values, lang) {
+    if (!values) return [];
+    return values[lang] || values.en || [];
+  }
+
+  /**
+   * Heading id of a release, e.g. v1.1.2 for user-guide.html#releases/v1.1.2
+   */
+  anchor(release) {
+    return `v${release.version}`;
+  }
+
+  /**
+   * Path of the Atom feed for a language, relative to the site root
+   */
+  feedPath(lang) {
+    return `feeds/releases-${lang}.xml`;
+  }
+
+  /**
+   * Replace the release notes token in a Markdown string
+   *
+   * @param {string} markdown
+   * @param {string} lang
+   * @param {Function} t - translates a message key
+   * @param {Function} formatDate - formats a YYYY-MM-DD release date
+   */
+  expand(markdown, lang, t = key => key, formatDate = date => date) {
+    return markdown.replace(RELEASE_NOTES_TOKEN, () => this.render(lang, t, formatDate));
+  }
+
+  render(lang, t, formatDate) {
+    const subscribe = t('releaseNotes.subscribe', { url: this.feedPath(lang) });
+    const releases = this.releases.map(release => [
+      `### ${t('releaseNotes.version', { version: release.version })} {#${this.anchor(release)}}`,
+      `*${t('releaseNotes.released', { date: formatDate(release.date) })}*`,
+      this.renderBody(release, lang, t)
+    ].join('\n\n'));
+    return [subscribe, ...releases].join('\n\n');
+  }
+
+  /**
+   * Highlights and breaking changes of one release, as Markdown
+   */
+  renderBody(release, lang, t) {
+    const list = items => items.map(item => `- ${item}`).join('\n');
+    const parts = [`**${t('releaseNotes.highlights')}**`, list(this.localized(release.highlights, lang))];
+
+    const breaking = this.localized(release.breaking, lang);
+    if (breaking.length > 0) {
+      parts.push(`**${t('releaseNotes.breaking')}**`, list(breaking));
+    }
+    return parts.join('\n\n');
+  }
+}
+
+// 导出供其他脚本使用
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReleaseNotes;
+}
@@ -0,0 +1,469 @@
+/**
+ * DeepReview Review Cost Estimator
+ * Requests, tokens, provider cost and wall-clock time of a review, worked out
+ * from the files, rules and settings it will run with. Models and default
+ * prices come from content/providers.json; the chars-per-token ratios and the
+ * prompt reserve are the token budget the settings calculator also uses
+ * (assets/token-budget.js).
+ */
+
+// Prices the reader edited, by model id; everything else uses the catalog price
+const ESTIMATOR_PRICES_KEY = 'review-estimator-prices';
+// Typical output of one review request by Detail Level, in tokens
+const DETAIL_OUTPUT_TOKENS = { simple: 400, balanced: 800, detailed: 1600 };
+// Share of review results expected to get an AI repair suggestion
+const REPAIR_SHARE = 0.3;
+// Input of a repair request when Include File Content is off: the flagged snippet only
+const REPAIR_SNIPPET_TOKENS = 500;
+const REPAIR_OUTPUT_TOKENS = 1000;
+// Rough timing of one request: fixed latency plus generation speed
+const REQUEST_LATENCY_SECONDS = 2;
+const OUTPUT_TOKENS_PER_SECOND = 50;
+
+class ReviewEstimatorApp {
+  /**
+   * @param {Object} options
+   * @param {Object} options.budget - characters per token, bytes per character
+   *   and prompt reserve (assets/token-budget.js)
+   */
+  constructor(options = {}) {
+    this.budget = options.budget;
+    this.i18n = window.guideI18n;
+    this.currentLang = this.i18n.resolveLanguage();
+    this.catalog = null;
+    this.prices = this.loadPrices();
+
+    this.init();
+  }
+
+  async init() {
+    this.bindEvents();
+    this.renderLanguagePicker();
+    this.i18n.translateDocument(this.currentLang);
+
+    try {
+      const response = await fetch('content/providers.json');
+      if (!response.ok) {
+        throw new Error(`content/providers.json: HTTP ${response.status}`);
+      }
+      this.catalog = new ProviderCatalog(await response.json());
+    } catch (error) {
+      console.error('Failed to load provider catalog:', error);
+      this.showError();
+      return;
+    }
+
+    this.render();
+  }
+
+  t(key, params) {
+    return this.i18n.translate(this.currentLang, key, params);
+  }
+
+  /**
+   * Every model to estimate with. Providers without catalog models (OpenAI
+   * Compatible) appear as one entry with unknown limits and a zero price.
+   */
+  getModels() {
+    return this.catalog.providers.flatMap(provider => {
+      const providerName = this.catalog.localized(provider.name, this.currentLang);
+      if (provider.models.length === 0) {
+        return [{ id: provider.id, name: providerName, providerName, context: null, maxOutput: null, price: { input: 0, output: 0 } }];
+      }
+      return provider.models.map(model => ({ maxOutput: null, ...model, providerName }));
+    });
+  }
+
+  getModel(id) {
+    return this.getModels().find(model => model.id === id) || null;
+  }
+
+  getPrice(model) {
+    return { ...model.price, ...this.prices[model.id] };
+  }
+
+  render() {
+    this.renderModels();
+    this.renderPriceTable();
+    this.update();
+  }
+
+  renderModels() {
+    const select = document.getElementById('modelSelect');
+    const selected = select.value;
+
+    select.replaceChildren(...this.catalog.providers.map(provider => {
+      const group = document.createElement('optgroup');
+      group.label = this.catalog.localized(provider.name, this.currentLang);
+      const models = provider.models.length > 0 ? provider.models : [{ id: provider.id, name: group.label }];
+      group.append(...models.map(model => new Option(model.name, model.id)));
+      return group;
+    }));
+
+    if (selected) select.value = selected;
+  }
+
+  renderPriceTable() {
+    const table = document.getElementById('priceTable');
+    const headers = ['model', 'provider', 'input', 'output'].map(column =>
+      `<th scope="col">${escapeHtml(this.t(`estimator.prices.${column}`, { currency: this.catalog.priceCurrency }))}</th>`
+    ).join('');
+
+    const rows = this.getModels().map(model => {
+      const price = this.getPrice(model);
+      const cells = ['input', 'output'].map(kind => `
+        <td>
+          <input type="number" min="0" step="0.01" value="${price[kind]}" data-model="${escapeHtml(model.id)}" data-kind="${kind}"
+            aria-label="${escapeHtml(this.t(`estimator.prices.${kind}Label`, { model: model.name }))}">
+        </td>
+      `).join('');
+      return `
+        <tr data-model="${escapeHtml(model.id)}">
+          <th scope="row">${escapeHtml(model.name)}</th>
+          <td>${escapeHtml(model.providerName)}</td>
+          ${cells}
+        </tr>
+      `;
+    }).join('');
+
+    table.innerHTML = `<thead><tr>${headers}</tr></thead><tbody>${rows}</tbody>`;
+  }
+
+  /**
+   * Form values as numbers and flags, or null while any number is invalid
+   */
+  readSettings() {
+    const form = document.getElementById('estimatorForm');
+    const data = new FormData(form);
+    const number = name => Number(data.get(name));
+
+    const settings = {
+      model: data.get('model'),
+      contentType: data.get('contentType'),
+      detail: data.get('detail'),
+      fileCount: number('fileCount'),
+      fileSize: number('fileSize'),
+      ruleCount: number('ruleCount'),
+      contextWindow: number('contextWindow'),
+      outputLength: number('outputLength'),
+      parallel: Math.min(10, Math.floor(number('parallel'))),
+      multiFile: form.elements.multiFile.checked,
+      aiRepair: form.elements.aiRepair.checked,
+      includeFileContent: form.elements.aiRepair.checked && form.elements.includeFileContent.checked
+    };
+
+    const positive = ['fileCount', 'fileSize', 'ruleCount', 'contextWindow', 'outputLength', 'parallel'];
+    return positive.every(name => Number.isFinite(settings[name]) && settings[name] > 0) ? settings : null;
+  }
+
+  /**
+   * Files are split into chunks of Context Window characters (merged first
+   * with Multi-File Analysis), and every chunk is reviewed once per selected
+   * rule. With AI repair, a share of the results gets a follow-up request.
+   */
+  estimate(settings, price) {
+    const charsPerToken = this.budget.charsPerToken[settings.contentType];
+    // File sizes are in KB of UTF-8, where a CJK character takes three bytes
+    const fileChars = Math.ceil(settings.fileSize * 1024 / this.budget.bytesPerChar[settings.contentType]);
+    const totalChars = fileChars * settings.fileCount;
+    const chunks = settings.multiFile
+      ? Math.ceil(totalChars / settings.contextWindow)
+      : settings.fileCount * Math.ceil(fileChars / settings.contextWindow);
+    const chunkTokens = Math.ceil(totalChars / chunks / charsPerToken);
+
+    const reviewRequests = chunks * settings.ruleCount;
+    const reviewOutput = Math.min(DETAIL_OUTPUT_TOKENS[settings.detail], settings.outputLength);
+    const repairRequests = settings.aiRepair ? Math.ceil(reviewRequests * REPAIR_SHARE) : 0;
+    const repairInput = this.budget.promptReserveTokens + (settings.includeFileContent ? chunkTokens : REPAIR_SNIPPET_TOKENS);
+    const repairOutput = Math.min(REPAIR_OUTPUT_TOKENS, settings.outputLength);
+
+    const inputTokens = reviewRequests * (this.budget.promptReserveTokens + chunkTokens) + repairRequests * repairInput;
+    const outputTokens = reviewRequests * reviewOutput + repairRequests * repairOutput;
+
+    // Requests run in rounds of Parallel Tasks at a time
+    const requestSeconds = output => REQUEST_LATENCY_SECONDS + output / OUTPUT_TOKENS_PER_SECOND;
+    const seconds = Math.ceil(reviewRequests / settings.parallel) * requestSeconds(reviewOutput) +
+      Math.ceil(repairRequests / settings.parallel) * requestSeconds(repairOutput);
+
+    return {
+      fileChars,
+      chunks,
+      chunkTokens,
+      reviewRequests,
+      repairRequests,
+      reviewOutput,
+      repairOutput,
+      inputTokens,
+      outputTokens,
+      inputCost: inputTokens / 1000000 * price.input,
+      outputCost: outputTokens / 1000000 * price.output,
+      seconds: Math.round(seconds)
+    };
+  }
+
+  update() {
+    if (!this.catalog) return;
+
+    const form = document.getElementById('estimatorForm');
+    form.elements.includeFileContent.disabled = !form.elements.aiRepair.checked;
+
+    const results = document.getElementById('estimatorResults');
+    const settings = this.readSettings();
+    const model = settings && this.getModel(settings.model);
+    if (!model) {
+      results.innerHTML = `<p class="estimator-warning">${escapeHtml(this.t('estimator.invalid'))}</p>`;
+      return;
+    }
+
+    document.querySelectorAll('#priceTable tbody tr').forEach(row => {
+      row.classList.toggle('is-selected', row.dataset.model === model.id);
+    });
+
+    const price = this.getPrice(model);
+    const estimate = this.estimate(settings, price);
+    const number = value => new Intl.NumberFormat(this.i18n.get(this.currentLang).dateLocale).format(value);
+
+    const figures = [
+      {
+        label: this.t('estimator.requests'),
+        value: number(estimate.reviewRequests + estimate.repairRequests),
+        detail: this.t('estimator.requestsDetail', { review: number(estimate.reviewRequests), repair: number(estimate.repairRequests) })
+      },
+      {
+        label: this.t('estimator.tokens'),
+        value: number(estimate.inputTokens + estimate.outputTokens),
+        detail: this.t('estimator.tokensDetail', { input: number(estimate.inputTokens), output: number(estimate.outputTokens) })
+      },
+      {
+        label: this.t('estimator.cost'),
+        value: this.formatCost(estimate.inputCost + estimate.outputCost),
+        detail: this.t('estimator.costDetail', { input: this.formatCost(estimate.inputCost), output: this.formatCost(estimate.outputCost) })
+      },
+      {
+        label: this.t('estimator.time'),
+        value: this.formatDuration(estimate.seconds),
+        detail: this.t('estimator.timeDetail', { parallel: number(settings.parallel) })
+      }
+    ];
+
+    results.innerHTML = `
+      <h2>${escapeHtml(this.t('estimator.results'))}</h2>
+      <dl class="estimator-figures">
+        ${figures.map(figure => `
+          <div>
+            <dt>${escapeHtml(figure.label)}</dt>
+            <dd class="estimator-value">${escapeHtml(figure.value)}</dd>
+            <dd class="estimator-detail">${escapeHtml(figure.detail)}</dd>
+          </div>
+        `).join('')}
+      </dl>
+      <ul class="estimator-warnings"></ul>
+      <p class="estimator-assumptions-title">${escapeHtml(this.t('settingsCalculator.assumptions'))}</p>
+      <ul class="estimator-assumptions">
+        ${this.getAssumptions(settings, model, price, estimate, number).map(text => `<li>${escapeHtml(text)}</li>`).join('')}
+      </ul>
+    `;
+
+    this.renderWarnings(results.querySelector('.estimator-warnings'), settings, model);
+  }
+
+  getAssumptions(settings, model, price, estimate, number) {
+    const assumptions = [
+      this.t('estimator.assumption.fileSize', {
+        size: number(settings.fileSize),
+        chars: number(estimate.fileChars),
+        bytes: number(this.budget.bytesPerChar[settings.contentType])
+      }),
+      this.t(settings.multiFile ? 'estimator.assumption.chunksMerged' : 'estimator.assumption.chunks', {
+        files: number(settings.fileCount),
+        chunks: number(estimate.chunks),
+        tokens: number(estimate.chunkTokens)
+      }),
+      this.t('settingsCalculator.assumption.charsPerToken', {
+        ratio: number(this.budget.charsPerToken[settings.contentType]),
+        contentType: this.t(`settingsCalculator.contentTypes.${settings.contentType}`)
+      }),
+      this.t('estimator.assumption.requests', { tokens: number(this.budget.promptReserveTokens) }),
+      this.t('estimator.assumption.output', {
+        tokens: number(estimate.reviewOutput),
+        detail: this.t(`estimator.detail.${settings.detail}`)
+      })
+    ];
+
+    if (settings.aiRepair) {
+      assumptions.push(this.t(settings.includeFileContent ? 'estimator.assumption.repairFull' : 'estimator.assumption.repairSnippet', {
+        percent: number(REPAIR_SHARE * 100),
+        output: number(estimate.repairOutput),
+        snippet: number(REPAIR_SNIPPET_TOKENS)
+      }));
+    }
+
+    assumptions.push(
+      this.t('estimator.assumption.timing', { latency: number(REQUEST_LATENCY_SECONDS), speed: number(OUTPUT_TOKENS_PER_SECOND) }),
+      this.t('estimator.assumption.price', {
+        model: model.name,
+        input: this.formatCost(price.input),
+        output: this.formatCost(price.output)
+      })
+    );
+    return assumptions;
+  }
+
+  /**
+   * Settings the chosen model will reject, and the Pro requirement for parallel tasks
+   */
+  renderWarnings(list, settings, model) {
+    const warnings = [];
+
+    if (model.context) {
+      const requestTokens = this.budget.promptReserveTokens + Math.ceil(settings.contextWindow / this.budget.charsPerToken[settings.contentType]) + settings.outputLength;
+      if (requestTokens > model.context) {
+        warnings.push({ text: this.t('estimator.warnings.contextTooLarge', { model: model.name }), link: true });
+      }
+    }
+    if (model.maxOutput && settings.outputLength > model.maxOutput) {
+      warnings.push({ text: this.t('estimator.warnings.outputTooLarge', { model: model.name, max: model.maxOutput }), link: true });
+    }
+    if (settings.parallel > 1) {
+      warnings.push({ text: this.t('estimator.warnings.parallelPro') });
+    }
+
+    list.replaceChildren(...warnings.map(warning => {
+      const item = document.createElement('li');
+      item.textContent = warning.text;
+      if (warning.link) {
+        const link = document.createElement('a');
+        link.href = `user-guide.html?lang=${encodeURIComponent(this.currentLang)}#basic/settings-calculator`;
+        link.textContent = this.t('estimator.warnings.calculatorLink');
+        item.append(' ', link);
+      }
+      return item;
+    }));
+  }
+
+  formatCost(amount) {
+    return new Intl.NumberFormat(this.i18n.get(this.currentLang).dateLocale, {
+      style: 'currency',
+      currency: this.catalog.priceCurrency,
+      minimumFractionDigits: 2,
+      maximumFractionDigits: amount > 0 && amount < 1 ? 4 : 2
+    }).format(amount);
+  }
+
+  formatDuration(seconds) {
+    if (seconds < 60) {
+      return this.t('estimator.duration.seconds', { seconds });
+    }
+    if (seconds < 3600) {
+      return this.t('estimator.duration.minutes', { minutes: Math.floor(seconds / 60), seconds: seconds % 60 });
+    }
+    return this.t('estimator.duration.hours', { hours: Math.floor(seconds / 3600), minutes: Math.floor(seconds % 3600 / 60) });
+  }
+
+  loadPrices() {
+    try {
+      return JSON.parse(localStorage.getItem(ESTIMATOR_PRICES_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Keep a price the reader typed; prices equal to the catalog are dropped
+   * so later catalog updates still reach them
+   */
+  savePrice(modelId, kind, value) {
+    const model = this.getModel(modelId);
+    if (!model || !Number.isFinite(value) || value < 0) return;
+
+    const edited = { ...this.prices[modelId], [kind]: value };
+    if (edited[kind] === model.price[kind]) {
+      delete edited[kind];
+    }
+    if (Object.keys(edited).length > 0) {
+      this.prices[modelId] = edited;
+    } else {
+      delete this.prices[modelId];
+    }
+    this.storePrices();
+  }
+
+  resetPrices() {
+    this.prices = {};
+    this.storePrices();
+    this.renderPriceTable();
+    this.update();
+  }
+
+  storePrices() {
+    try {
+      if (Object.keys(this.prices).length > 0) {
+        localStorage.setItem(ESTIMATOR_PRICES_KEY, JSON.stringify(this.prices));
+      } else {
+        localStorage.removeItem(ESTIMATOR_PRICES_KEY);
+      }
+    } catch (error) {
+      // Storage disabled: edits only last for this page
+    }
+  }
+
+  renderLanguagePicker() {
+    const select = document.getElementById('langSelect');
+    select.replaceChildren(...this.i18n.list().map(locale => {
+      const option = new Option(locale.name, locale.code);
+      option.lang = locale.code;
+      return option;
+    }));
+    select.value = this.currentLang;
+  }
+
+  switchLanguage(lang) {
+    if (!this.i18n.has(lang) || lang === this.currentLang) return;
+
+    this.currentLang = lang;
+    this.i18n.rememberLanguage(lang);
+    this.i18n.translateDocument(lang);
+
+    const url = new URL(window.location);
+    url.searchParams.set('lang', lang);
+    window.history.replaceState({}, '', url);
+
+    if (this.catalog) {
+      this.render();
+    }
+  }
+
+  showError() {
+    document.getElementById('estimatorResults').innerHTML = `
+      <div class="error-state">
+        <p>${escapeHtml(this.t('estimator.loadError'))}</p>
+        <button class="btn btn-primary" onclick="window.location.reload()">${escapeHtml(this.t('error.refresh'))}</button>
+      </div>
+    `;
+  }
+
+  bindEvents() {
+    const form = document.getElementById('estimatorForm');
+    form.addEventListener('input', () => this.update());
+    form.addEventListener('change', () => this.update());
+    form.addEventListener('submit', (e) => e.preventDefault());
+
+    document.getElementById('priceTable').addEventListener('input', (e) => {
+      const input = e.target.closest('input[data-model]');
+      if (!input || input.value === '') return;
+      this.savePrice(input.dataset.model, input.dataset.kind, Number(input.value));
+      this.update();
+    });
+
+    document.getElementById('resetPrices').addEventListener('click', () => this.resetPrices());
+
+    document.getElementById('langSelect').addEventListener('change', (e) => {
+      this.switchLanguage(e.target.value);
+    });
+  }
+}
+
+// Initialize the estimator when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new ReviewEstimatorApp({ budget: TOKEN_BUDGET });
+});
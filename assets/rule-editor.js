@@ -0,0 +1,229 @@
+/**
+ * DeepReview User Guide - custom rule editor widget
+ * Live preview and lint results for a rule file typed or pasted into the guide.
+ * Mounted on <div data-widget="rule-editor"></div> in the guide content.
+ */
+
+const RULE_DRAFT_KEY = 'user-guide-rule-draft';
+
+class RuleEditor {
+  /**
+   * @param {HTMLElement} container - placeholder element to render into
+   * @param {Object} options
+   * @param {Function} options.t - translates a message key for the current language
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.t = options.t || (key => key);
+    this.parser = new RuleFileParser();
+    this.updateTimer = null;
+
+    this.render();
+    this.textarea.value = this.loadDraft();
+    this.update();
+  }
+
+  render() {
+    this.container.classList.add('rule-editor');
+
+    const inputId = `rule-editor-input-${Math.random().toString(36).slice(2, 8)}`;
+    this.container.innerHTML = `
+      <div class="rule-editor-input">
+        <label class="rule-editor-label" for="${inputId}">${escapeHtml(this.t('ruleEditor.label'))}</label>
+        <textarea class="rule-editor-text" id="${inputId}" rows="14" spellcheck="false"></textarea>
+        <div class="rule-editor-actions">
+          <button type="button" class="btn btn-ghost btn-sm" data-action="example">${escapeHtml(this.t('ruleEditor.example'))}</button>
+          <button type="button" class="btn btn-ghost btn-sm" data-action="clear">${escapeHtml(this.t('ruleEditor.clear'))}</button>
+          <button type="button" class="btn btn-primary btn-sm" data-action="download">${escapeHtml(this.t('ruleEditor.download'))}</button>
+        </div>
+      </div>
+      <div class="rule-editor-output">
+        <p class="rule-editor-summary" aria-live="polite"></p>
+        <div class="rule-editor-tree"></div>
+        <ul class="rule-editor-problems"></ul>
+      </div>
+    `;
+
+    this.textarea = this.container.querySelector('.rule-editor-text');
+    this.textarea.placeholder = this.t('ruleEditor.placeholder');
+    this.summary = this.container.querySelector('.rule-editor-summary');
+    this.tree = this.container.querySelector('.rule-editor-tree');
+    this.problemList = this.container.querySelector('.rule-editor-problems');
+
+    this.textarea.addEventListener('input', () => {
+      clearTimeout(this.updateTimer);
+      this.updateTimer = setTimeout(() => this.update(), 150);
+    });
+
+    this.container.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-action]');
+      if (action) {
+        this.handleAction(action.dataset.action);
+        return;
+      }
+
+      const problem = e.target.closest('.rule-problem');
+      if (problem) {
+        this.selectLine(Number(problem.dataset.line));
+      }
+    });
+  }
+
+  handleAction(action) {
+    switch (action) {
+      case 'example':
+        this.textarea.value = this.t('ruleEditor.exampleFile');
+        break;
+      case 'clear':
+        this.textarea.value = '';
+        break;
+      case 'download':
+        this.download();
+        return;
+    }
+    this.update();
+    this.textarea.focus();
+  }
+
+  update() {
+    const text = this.textarea.value;
+    this.saveDraft(text);
+
+    if (!text.trim()) {
+      this.summary.textContent = this.t('ruleEditor.empty');
+      this.tree.replaceChildren();
+      this.problemList.replaceChildren();
+      return;
+    }
+
+    const { categories, problems } = this.parser.parse(text);
+    const ruleCount = categories.reduce((sum, category) => sum + category.rules.length, 0);
+
+    this.summary.textContent = this.t('ruleEditor.summary', {
+      categories: categories.filter(category => category.title !== null).length,
+      rules: ruleCount,
+      problems: problems.length
+    });
+
+    this.renderTree(categories);
+    this.renderProblems(problems);
+  }
+
+  renderTree(categories) {
+    this.tree.replaceChildren(...RuleEditor.createTree(categories, this.t));
+  }
+
+  /**
+   * Category -> rule tree laid out like the extension's rules panel.
+   * Shared with the rule gallery; returns one element per category.
+   */
+  static createTree(categories, t) {
+    return categories.map(category => {
+      const group = document.createElement('section');
+      group.className = 'rule-category';
+      if (category.title === null) {
+        group.classList.add('uncategorized');
+      }
+
+      const header = document.createElement('div');
+      header.className = 'rule-category-header';
+      const title = document.createElement('span');
+      title.className = 'rule-category-title';
+      title.textContent = category.title === null ? t('ruleEditor.noCategory') : category.title;
+      const count = document.createElement('span');
+      count.className = 'rule-category-count';
+      count.textContent = t('ruleEditor.ruleCount', { count: category.rules.length });
+      header.append(title, count);
+      group.appendChild(header);
+
+      category.rules.forEach(rule => {
+        const details = document.createElement('details');
+        details.className = 'rule-item';
+        const summary = document.createElement('summary');
+        summary.textContent = rule.title;
+        const description = document.createElement('pre');
+        description.className = 'rule-description';
+        description.textContent = rule.description;
+        details.append(summary, description);
+        group.appendChild(details);
+      });
+
+      return group;
+    });
+  }
+
+  renderProblems(problems) {
+    this.problemList.replaceChildren(...problems.map(problem => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `rule-problem ${problem.severity}`;
+      button.dataset.line = problem.line;
+
+      const location = document.createElement('span');
+      location.className = 'rule-problem-line';
+      location.textContent = this.t('ruleEditor.line', { line: problem.line });
+      const message = document.createElement('span');
+      message.textContent = this.t('ruleEditor.problem', {
+        severity: this.t(`ruleEditor.severity.${problem.severity}`),
+        message: this.t(`ruleEditor.lint.${problem.code}`, problem.params)
+      });
+
+      button.append(location, message);
+      item.appendChild(button);
+      return item;
+    }));
+  }
+
+  /**
+   * Select a 1-based line in the textarea so the problem can be fixed in place
+   */
+  selectLine(line) {
+    const lines = this.textarea.value.split('\n');
+    const start = lines.slice(0, line - 1).reduce((sum, text) => sum + text.length + 1, 0);
+    const end = start + (lines[line - 1] || '').length;
+    this.textarea.focus();
+    this.textarea.setSelectionRange(start, end);
+  }
+
+  download() {
+    RuleEditor.downloadText(this.textarea.value, 'custom-rules.txt');
+  }
+
+  static downloadText(text, filename) {
+    const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  loadDraft() {
+    try {
+      return localStorage.getItem(RULE_DRAFT_KEY) || '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  saveDraft(text) {
+    try {
+      if (text) {
+        localStorage.setItem(RULE_DRAFT_KEY, text);
+      } else {
+        localStorage.removeItem(RULE_DRAFT_KEY);
+      }
+    } catch (error) {
+      // Storage disabled: the draft just is not kept
+    }
+  }
+}
+
+// 导出供其他脚本使用
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RuleEditor;
+}
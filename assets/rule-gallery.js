@@ -0,0 +1,266 @@
+/**
+ * DeepReview Rule Set Gallery
+ * Curated custom rule templates from content/rules/, previewed with the
+ * rule editor's tree view and downloadable as .txt
+ */
+
+class RuleGalleryApp {
+  constructor() {
+    this.i18n = window.guideI18n;
+    this.currentLang = this.i18n.resolveLanguage();
+    this.parser = new RuleFileParser();
+    this.manifest = null;
+    this.texts = new Map();
+    this.activeTag = null;
+
+    this.init();
+  }
+
+  async init() {
+    this.bindEvents();
+    this.renderLanguagePicker();
+    this.i18n.translateDocument(this.currentLang);
+
+    try {
+      this.manifest = JSON.parse(await this.fetchText('content/rules/manifest.json'));
+      await this.loadTemplates();
+    } catch (error) {
+      console.error('Failed to load rule sets:', error);
+      this.showError();
+      return;
+    }
+
+    this.render();
+  }
+
+  t(key, params) {
+    return this.i18n.translate(this.currentLang, key, params);
+  }
+
+  /**
+   * @param {string} url
+   * @param {Object} options
+   * @param {boolean} options.optional - resolve to null instead of failing on 404
+   */
+  async fetchText(url, { optional = false } = {}) {
+    const response = await fetch(url);
+    if (optional && response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`${url}: HTTP ${response.status}`);
+    }
+    return response.text();
+  }
+
+  /**
+   * Fetch every template in the current language, falling back to the
+   * default language for templates that have not been translated
+   */
+  async loadTemplates() {
+    const lang = this.currentLang;
+    const fallback = this.i18n.defaultLanguage;
+
+    await Promise.all(this.manifest.templates.map(async template => {
+      if (this.texts.has(`${lang}/${template.id}`)) return;
+
+      let text = lang === fallback ? null : await this.fetchText(`content/rules/${lang}/${template.id}.txt`, { optional: true });
+      let textLang = lang;
+      if (text === null) {
+        text = await this.fetchText(`content/rules/${fallback}/${template.id}.txt`);
+        textLang = fallback;
+      }
+      this.texts.set(`${lang}/${template.id}`, { text, lang: textLang });
+    }));
+  }
+
+  getTemplate(id) {
+    const template = this.manifest.templates.find(item => item.id === id);
+    return template ? { ...template, ...this.texts.get(`${this.currentLang}/${id}`) } : null;
+  }
+
+  localized(values) {
+    return values[this.currentLang] || values[this.i18n.defaultLanguage] || '';
+  }
+
+  render() {
+    this.renderFilters();
+    this.renderTemplates();
+  }
+
+  renderFilters() {
+    const tags = [...new Set(this.manifest.templates.flatMap(template => template.tags))];
+    const filters = document.getElementById('galleryFilters');
+
+    filters.innerHTML = [null, ...tags].map(tag => `
+      <button type="button" class="gallery-tag" data-tag="${tag ? escapeHtml(tag) : ''}" aria-pressed="${tag === this.activeTag}">
+        ${escapeHtml(tag ? this.t(`gallery.tags.${tag}`) : this.t('gallery.allTags'))}
+      </button>
+    `).join('');
+  }
+
+  renderTemplates() {
+    const list = document.getElementById('galleryList');
+    const visible = this.manifest.templates.filter(template => !this.activeTag || template.tags.includes(this.activeTag));
+
+    if (visible.length === 0) {
+      list.innerHTML = `<p class="gallery-empty muted">${escapeHtml(this.t('gallery.empty'))}</p>`;
+      return;
+    }
+
+    const groups = this.manifest.useCases
+      .map(useCase => ({ useCase, templates: visible.filter(template => template.useCase === useCase) }))
+      .filter(group => group.templates.length > 0);
+
+    list.replaceChildren(...groups.map(group => {
+      const section = document.createElement('section');
+      section.className = 'gallery-group';
+
+      const heading = document.createElement('h2');
+      heading.textContent = this.t(`gallery.useCases.${group.useCase}`);
+      section.appendChild(heading);
+
+      const cards = document.createElement('div');
+      cards.className = 'gallery-cards';
+      cards.append(...group.templates.map(template => this.createCard(this.getTemplate(template.id))));
+      section.appendChild(cards);
+
+      return section;
+    }));
+  }
+
+  createCard(template) {
+    const { categories } = this.parser.parse(template.text);
+    const ruleCount = categories.reduce((sum, category) => sum + category.rules.length, 0);
+
+    const card = document.createElement('article');
+    card.className = 'gallery-card';
+    card.innerHTML = `
+      <h3>${escapeHtml(this.localized(template.title))}</h3>
+      <p class="gallery-description">${escapeHtml(this.localized(template.description))}</p>
+      <ul class="gallery-card-tags">
+        ${template.tags.map(tag => `<li>${escapeHtml(this.t(`gallery.tags.${tag}`))}</li>`).join('')}
+      </ul>
+      <p class="gallery-stats muted">${escapeHtml(this.t('gallery.stats', { categories: categories.length, rules: ruleCount }))}</p>
+      <details class="gallery-preview">
+        <summary>${escapeHtml(this.t('gallery.preview'))}</summary>
+        <div class="gallery-tree"></div>
+      </details>
+      <div class="gallery-actions">
+        <button type="button" class="btn btn-primary btn-sm" data-action="download" data-template="${escapeHtml(template.id)}">${escapeHtml(this.t('gallery.download'))}</button>
+        <button type="button" class="btn btn-ghost btn-sm" data-action="edit" data-template="${escapeHtml(template.id)}">${escapeHtml(this.t('gallery.openInEditor'))}</button>
+      </div>
+    `;
+
+    if (template.lang !== this.currentLang) {
+      const notice = document.createElement('p');
+      notice.className = 'gallery-fallback';
+      notice.textContent = this.t('gallery.fallback', {
+        language: this.i18n.get(this.currentLang).name,
+        fallback: this.i18n.get(template.lang).name
+      });
+      card.querySelector('.gallery-description').after(notice);
+    }
+
+    card.querySelector('.gallery-tree').lang = template.lang;
+    card.querySelector('.gallery-tree').append(...RuleEditor.createTree(categories, (key, params) => this.t(key, params)));
+    return card;
+  }
+
+  /**
+   * Hand a template to the rule editor in the user guide as its draft. A
+   * different draft the reader already has is only replaced once they agree.
+   */
+  openInEditor(template) {
+    let draft = '';
+    try {
+      draft = localStorage.getItem(RULE_DRAFT_KEY) || '';
+    } catch (error) {
+      // Storage disabled: there is no draft to lose
+    }
+    if (draft.trim() && draft !== template.text && !window.confirm(this.t('gallery.replaceDraft'))) {
+      return;
+    }
+
+    try {
+      localStorage.setItem(RULE_DRAFT_KEY, template.text);
+    } catch (error) {
+      console.warn('Failed to store rule draft:', error);
+    }
+    window.location.href = `user-guide.html?lang=${encodeURIComponent(this.currentLang)}#customRules/rule-editor`;
+  }
+
+  renderLanguagePicker() {
+    const select = document.getElementById('langSelect');
+    select.replaceChildren(...this.i18n.list().map(locale => {
+      const option = new Option(locale.name, locale.code);
+      option.lang = locale.code;
+      return option;
+    }));
+    select.value = this.currentLang;
+  }
+
+  async switchLanguage(lang) {
+    if (!this.i18n.has(lang) || lang === this.currentLang) return;
+
+    this.currentLang = lang;
+    this.i18n.rememberLanguage(lang);
+    this.i18n.translateDocument(lang);
+
+    const url = new URL(window.location);
+    url.searchParams.set('lang', lang);
+    window.history.replaceState({}, '', url);
+
+    if (!this.manifest) return;
+    try {
+      await this.loadTemplates();
+    } catch (error) {
+      console.error('Failed to load rule sets:', error);
+      this.showError();
+      return;
+    }
+    this.render();
+  }
+
+  showError() {
+    document.getElementById('galleryFilters').replaceChildren();
+    document.getElementById('galleryList').innerHTML = `
+      <div class="error-state">
+        <p>${escapeHtml(this.t('gallery.loadError'))}</p>
+        <button class="btn btn-primary" onclick="window.location.reload()">${escapeHtml(this.t('error.refresh'))}</button>
+      </div>
+    `;
+  }
+
+  bindEvents() {
+    document.getElementById('galleryFilters').addEventListener('click', (e) => {
+      const tag = e.target.closest('.gallery-tag');
+      if (!tag) return;
+      this.activeTag = tag.dataset.tag || null;
+      this.render();
+    });
+
+    document.getElementById('galleryList').addEventListener('click', (e) => {
+      const action = e.target.closest('[data-action]');
+      if (!action) return;
+
+      const template = this.getTemplate(action.dataset.template);
+      if (!template) return;
+
+      if (action.dataset.action === 'download') {
+        RuleEditor.downloadText(template.text, `${template.id}.txt`);
+      } else if (action.dataset.action === 'edit') {
+        this.openInEditor(template);
+      }
+    });
+
+    document.getElementById('langSelect').addEventListener('change', (e) => {
+      this.switchLanguage(e.target.value);
+    });
+  }
+}
+
+// Initialize the gallery when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new RuleGalleryApp();
+});
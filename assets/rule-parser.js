@@ -0,0 +1,142 @@
+/**
+ * DeepReview custom rule file parser
+ * Parses the .txt rule format imported by the extension and lints it:
+ *
+ *   # Category
+ *   ## Rule title
+ *   1. Description lines sent to the AI with the rule
+ */
+
+// Longer descriptions make prompts slow and expensive to review with
+const MAX_RULE_LENGTH = 1000;
+
+const RULE_HEADING = /^(#{1,6})(?:\s+(.*?))?\s*$/;
+
+class RuleFileParser {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxRuleLength - description length that triggers a warning
+   */
+  constructor(options = {}) {
+    this.maxRuleLength = options.maxRuleLength || MAX_RULE_LENGTH;
+  }
+
+  /**
+   * Parse a rule file into categories and lint problems.
+   * Rules above the first category are collected in a category whose title is null.
+   * Problems carry a message code and params so callers can translate them;
+   * line numbers are 1-based.
+   *
+   * @returns {{ categories: Array, problems: Array }}
+   */
+  parse(text) {
+    const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+    const categories = [];
+    const problems = [];
+    const report = (severity, code, line, params = {}) => problems.push({ severity, code, line, params });
+
+    let category = null;
+    let rule = null;
+
+    lines.forEach((raw, index) => {
+      const lineNumber = index + 1;
+      const heading = raw.match(RULE_HEADING);
+      const level = heading ? heading[1].length : 0;
+
+      if (level === 1 || level === 2) {
+        const title = heading[2] || '';
+        if (!title) {
+          report('error', 'missingTitle', lineNumber);
+        }
+
+        if (level === 1) {
+          category = { title, line: lineNumber, rules: [] };
+          categories.push(category);
+          rule = null;
+          return;
+        }
+
+        if (!category) {
+          category = { title: null, line: null, rules: [] };
+          categories.push(category);
+        }
+        rule = { title, line: lineNumber, description: '' };
+        category.rules.push(rule);
+        return;
+      }
+
+      if (level > 2) {
+        report('warning', 'deepHeading', lineNumber);
+      }
+
+      if (rule) {
+        rule.description += (rule.description ? '\n' : '') + raw;
+      } else if (raw.trim()) {
+        report('warning', 'strayText', lineNumber);
+      }
+    });
+
+    categories.forEach(item => {
+      item.rules.forEach(entry => {
+        entry.description = entry.description.trim();
+      });
+    });
+
+    this.lint(categories, report);
+    problems.sort((a, b) => a.line - b.line);
+
+    return { categories, problems };
+  }
+
+  lint(categories, report) {
+    const categoryTitles = new Map();
+    const ruleTitles = new Map();
+    let ruleCount = 0;
+
+    categories.forEach(category => {
+      if (category.title === null) {
+        category.rules.forEach(rule => report('error', 'outsideCategory', rule.line, { title: rule.title }));
+      } else if (category.title) {
+        this.checkDuplicate(categoryTitles, category, 'duplicateCategory', report);
+      }
+
+      if (category.title !== null && category.rules.length === 0) {
+        report('warning', 'emptyCategory', category.line, { title: category.title });
+      }
+
+      category.rules.forEach(rule => {
+        ruleCount++;
+        if (rule.title) {
+          this.checkDuplicate(ruleTitles, rule, 'duplicateRule', report);
+        }
+        if (!rule.description) {
+          report('warning', 'emptyRule', rule.line, { title: rule.title });
+        } else if (rule.description.length > this.maxRuleLength) {
+          report('warning', 'longRule', rule.line, {
+            title: rule.title,
+            length: rule.description.length,
+            max: this.maxRuleLength
+          });
+        }
+      });
+    });
+
+    if (ruleCount === 0) {
+      report('error', 'noRules', 1);
+    }
+  }
+
+  checkDuplicate(seen, item, code, report) {
+    const key = item.title.toLowerCase();
+    if (seen.has(key)) {
+      report('warning', code, item.line, { title: item.title, first: seen.get(key) });
+    } else {
+      seen.set(key, item.line);
+    }
+  }
+}
+
+// 导出供其他脚本使用
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RuleFileParser;
+}
@@ -0,0 +1,226 @@
+/**
+ * DeepReview User Guide - "Was this helpful?" feedback
+ * Thumbs up/down and an optional comment at the bottom of every section,
+ * sent with the section key, the heading the reader was linked to and the
+ * content language. Submissions that cannot be sent (offline, endpoint down)
+ * wait in localStorage and are retried when the browser is back online, on
+ * the next visit and every minute while the page stays open.
+ * The endpoint comes from <meta name="feedback-endpoint">; while it is empty
+ * (the static site has no backend) the widget stays hidden. See
+ * scripts/feedback-server.js for a local stand-in.
+ */
+
+// Submissions not delivered yet, oldest first
+const FEEDBACK_QUEUE_KEY = 'guide-feedback-queue';
+// A long outage must not fill the reader's storage; the oldest entries go first
+const MAX_QUEUED_FEEDBACK = 50;
+const MAX_FEEDBACK_COMMENT = 1000;
+const FEEDBACK_RETRY_MS = 60 * 1000;
+// Client errors that are worth retrying; any other 4xx rejects the submission
+// itself (or the endpoint does not take feedback) and retrying would fail the same way
+const FEEDBACK_RETRYABLE_4XX = [408, 429];
+
+class SectionFeedback {
+  /**
+   * @param {HTMLElement} container - element the widget is rendered into
+   * @param {Object} options
+   * @param {string} options.endpoint - URL the submissions are POSTed to as JSON
+   * @param {Function} options.t - translates a message key for the current language
+   * @param {Function} options.getHeading - id of the heading the reader was linked to, or null
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.endpoint = options.endpoint || '';
+    this.t = options.t || (key => key);
+    this.getHeading = options.getHeading || (() => null);
+    this.context = null;
+    this.rating = null;
+    this.flushing = null;
+    this.retryTimer = null;
+    // Stands in for localStorage when storage is disabled
+    this.memoryQueue = [];
+
+    this.container.classList.add('section-feedback');
+    this.container.hidden = !this.endpoint;
+    this.container.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-rating]');
+      if (button) {
+        this.choose(button.dataset.rating);
+      }
+    });
+    this.container.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submit(new FormData(e.target));
+    });
+    window.addEventListener('online', () => this.flush());
+
+    this.flush();
+  }
+
+  /**
+   * Ask about a freshly rendered section
+   *
+   * @param {{ section: string, lang: string }} context
+   */
+  show(context) {
+    if (!this.endpoint) return;
+    this.context = context;
+    this.rating = null;
+
+    const question = escapeHtml(this.t('feedback.question'));
+    this.container.innerHTML = `
+      <form class="section-feedback-form">
+        <div class="section-feedback-ask">
+          <p class="section-feedback-question" id="sectionFeedbackQuestion">${question}</p>
+          <div class="section-feedback-ratings" role="group" aria-labelledby="sectionFeedbackQuestion">
+            <button type="button" class="btn btn-ghost btn-sm" data-rating="up" aria-pressed="false">
+              <span aria-hidden="true">👍</span> ${escapeHtml(this.t('feedback.yes'))}
+            </button>
+            <button type="button" class="btn btn-ghost btn-sm" data-rating="down" aria-pressed="false">
+              <span aria-hidden="true">👎</span> ${escapeHtml(this.t('feedback.no'))}
+            </button>
+          </div>
+        </div>
+        <div class="section-feedback-details" hidden>
+          <label for="sectionFeedbackComment" id="sectionFeedbackLabel"></label>
+          <textarea id="sectionFeedbackComment" name="comment" rows="3" maxlength="${MAX_FEEDBACK_COMMENT}"></textarea>
+          <button type="submit" class="btn btn-primary btn-sm">${escapeHtml(this.t('feedback.send'))}</button>
+        </div>
+      </form>
+    `;
+  }
+
+  choose(rating) {
+    this.rating = rating;
+    this.container.querySelectorAll('[data-rating]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.rating === rating));
+    });
+
+    const details = this.container.querySelector('.section-feedback-details');
+    this.container.querySelector('#sectionFeedbackLabel').textContent =
+      this.t(rating === 'up' ? 'feedback.commentUp' : 'feedback.commentDown');
+    details.hidden = false;
+    this.container.querySelector('#sectionFeedbackComment').focus();
+  }
+
+  async submit(data) {
+    if (!this.rating || !this.context) return;
+
+    this.enqueue({
+      id: this.createId(),
+      section: this.context.section,
+      heading: this.getHeading() || null,
+      lang: this.context.lang,
+      rating: this.rating,
+      comment: String(data.get('comment') || '').trim().slice(0, MAX_FEEDBACK_COMMENT),
+      submittedAt: new Date().toISOString()
+    });
+
+    this.container.innerHTML = `
+      <p class="section-feedback-thanks" tabindex="-1">${escapeHtml(this.t('feedback.thanks'))}</p>
+      <p class="section-feedback-status muted" role="status"></p>
+    `;
+    this.container.querySelector('.section-feedback-thanks').focus();
+
+    const remaining = await this.flush();
+    const status = this.container.querySelector('.section-feedback-status');
+    if (status && remaining > 0) {
+      status.textContent = this.t('feedback.queued');
+    }
+  }
+
+  /**
+   * Send every queued submission in order; stops at the first one that fails
+   *
+   * @returns {Promise<number>} submissions still waiting
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.sendQueue().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async sendQueue() {
+    let queue = this.loadQueue();
+    if (!this.endpoint) return queue.length;
+
+    while (queue.length > 0) {
+      const entry = queue[0];
+      let response;
+      try {
+        response = await fetch(this.endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(entry),
+          keepalive: true
+        });
+      } catch (error) {
+        // Offline or the endpoint is unreachable; keep it for the next attempt
+        break;
+      }
+
+      const rejected = response.status >= 400 && response.status < 500 && !FEEDBACK_RETRYABLE_4XX.includes(response.status);
+      if (!response.ok && !rejected) {
+        break;
+      }
+      if (!response.ok) {
+        console.warn(`Feedback ${entry.id} was rejected: HTTP ${response.status}`);
+      }
+      // Other tabs may have queued entries meanwhile, so reload before removing this one
+      queue = this.loadQueue().filter(item => item.id !== entry.id);
+      this.saveQueue(queue);
+    }
+
+    this.scheduleRetry(queue.length);
+    return queue.length;
+  }
+
+  scheduleRetry(remaining) {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = remaining > 0 ? setTimeout(() => this.flush(), FEEDBACK_RETRY_MS) : null;
+  }
+
+  enqueue(entry) {
+    this.saveQueue([...this.loadQueue(), entry].slice(-MAX_QUEUED_FEEDBACK));
+  }
+
+  loadQueue() {
+    try {
+      const queue = JSON.parse(localStorage.getItem(FEEDBACK_QUEUE_KEY));
+      return Array.isArray(queue) ? queue : [];
+    } catch (error) {
+      return this.memoryQueue;
+    }
+  }
+
+  saveQueue(queue) {
+    try {
+      if (queue.length > 0) {
+        localStorage.setItem(FEEDBACK_QUEUE_KEY, JSON.stringify(queue));
+      } else {
+        localStorage.removeItem(FEEDBACK_QUEUE_KEY);
+      }
+    } catch (error) {
+      // Storage disabled: queued feedback only lasts for this page
+      this.memoryQueue = queue;
+    }
+  }
+
+  /**
+   * Lets the server ignore a submission it already stored when a retry repeats it
+   */
+  createId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+}
+
+// 导出供其他脚本使用
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SectionFeedback;
+}
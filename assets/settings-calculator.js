@@ -0,0 +1,224 @@
+/**
+ * DeepReview User Guide - settings calculator widget
+ * Recommends the Context Window (characters) and Output Length (tokens)
+ * settings for a model from the provider catalog and the kind of content
+ * being reviewed. Mounted on <div data-widget="settings-calculator"></div>.
+ */
+
+// Part of the remaining input budget left unused, because the chars-per-token ratios are estimates
+const CONTEXT_SAFETY_MARGIN = 0.2;
+// Top of the Output Length range recommended in the settings table
+const MAX_RECOMMENDED_OUTPUT = 8000;
+
+class SettingsCalculator {
+  /**
+   * @param {HTMLElement} container - placeholder element to render into
+   * @param {Object} options
+   * @param {Function} options.t - translates a message key for the current language
+   * @param {string} options.lang - current language, for provider names and numbers
+   * @param {ProviderCatalog} options.catalog - providers and models to choose from
+   * @param {Object} options.budget - characters per token and prompt reserve (assets/token-budget.js)
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.t = options.t || (key => key);
+    this.lang = options.lang || 'en';
+    this.catalog = options.catalog;
+    this.budget = options.budget;
+    this.numberFormat = new Intl.NumberFormat(this.lang);
+
+    this.render();
+    this.renderModels();
+    this.update();
+  }
+
+  render() {
+    this.container.classList.add('settings-calculator');
+
+    const id = Math.random().toString(36).slice(2, 8);
+    const contentTypes = Object.keys(this.budget.charsPerToken).map(type => `
+      <label class="settings-calculator-choice">
+        <input type="radio" name="settings-calculator-content-${id}" value="${type}"${type === 'code' ? ' checked' : ''}>
+        ${escapeHtml(this.t(`settingsCalculator.contentTypes.${type}`))}
+      </label>
+    `).join('');
+
+    this.container.innerHTML = `
+      <div class="settings-calculator-inputs">
+        <label class="settings-calculator-field">
+          <span>${escapeHtml(this.t('settingsCalculator.provider'))}</span>
+          <select data-field="provider"></select>
+        </label>
+        <label class="settings-calculator-field" data-group="catalog">
+          <span>${escapeHtml(this.t('settingsCalculator.model'))}</span>
+          <select data-field="model"></select>
+        </label>
+        <label class="settings-calculator-field" data-group="custom">
+          <span>${escapeHtml(this.t('settingsCalculator.customContext'))}</span>
+          <input type="number" min="1" step="1" value="32768" data-field="context">
+        </label>
+        <label class="settings-calculator-field" data-group="custom">
+          <span>${escapeHtml(this.t('settingsCalculator.customOutput'))}</span>
+          <input type="number" min="1" step="1" data-field="maxOutput">
+        </label>
+        <fieldset class="settings-calculator-field">
+          <legend>${escapeHtml(this.t('settingsCalculator.contentType'))}</legend>
+          ${contentTypes}
+        </fieldset>
+      </div>
+      <div class="settings-calculator-output" aria-live="polite">
+        <dl class="settings-calculator-result">
+          <div>
+            <dt>${escapeHtml(this.t('settingsCalculator.contextWindow'))}</dt>
+            <dd data-result="context"></dd>
+          </div>
+          <div>
+            <dt>${escapeHtml(this.t('settingsCalculator.outputLength'))}</dt>
+            <dd data-result="output"></dd>
+          </div>
+        </dl>
+        <p class="settings-calculator-warning" hidden></p>
+        <p class="settings-calculator-assumptions-title">${escapeHtml(this.t('settingsCalculator.assumptions'))}</p>
+        <ul class="settings-calculator-assumptions"></ul>
+      </div>
+    `;
+
+    this.providerSelect = this.container.querySelector('[data-field="provider"]');
+    this.modelSelect = this.container.querySelector('[data-field="model"]');
+    this.contextInput = this.container.querySelector('[data-field="context"]');
+    this.maxOutputInput = this.container.querySelector('[data-field="maxOutput"]');
+    this.warning = this.container.querySelector('.settings-calculator-warning');
+    this.assumptionList = this.container.querySelector('.settings-calculator-assumptions');
+
+    this.providerSelect.append(...this.catalog.providers.map(provider =>
+      new Option(this.catalog.localized(provider.name, this.lang), provider.id)
+    ));
+
+    this.providerSelect.addEventListener('change', () => {
+      this.renderModels();
+      this.update();
+    });
+    this.container.querySelector('.settings-calculator-inputs').addEventListener('input', (e) => {
+      if (e.target !== this.providerSelect) {
+        this.update();
+      }
+    });
+  }
+
+  /**
+   * Fill the model list for the selected provider; providers without catalog
+   * models (OpenAI Compatible) ask for the model's limits instead
+   */
+  renderModels() {
+    const provider = this.catalog.getProvider(this.providerSelect.value);
+    const custom = provider.models.length === 0;
+
+    this.modelSelect.replaceChildren(...provider.models.map(model => new Option(model.name, model.id)));
+    this.container.querySelectorAll('[data-group="catalog"]').forEach(el => { el.hidden = custom; });
+    this.container.querySelectorAll('[data-group="custom"]').forEach(el => { el.hidden = !custom; });
+  }
+
+  /**
+   * Limits of the selected model, or the ones typed in for a custom endpoint.
+   * Models whose provider only publishes a range get the smallest context in it.
+   *
+   * @returns {{ name: string, context: number, maxOutput: number|null, assumedFrom: string|null }|null}
+   */
+  getLimits() {
+    const provider = this.catalog.getProvider(this.providerSelect.value);
+    if (provider.models.length > 0) {
+      const { model } = this.catalog.getModel(this.modelSelect.value);
+      return {
+        name: model.name,
+        context: model.context || this.catalog.getContextRange(provider).min,
+        maxOutput: model.maxOutput || null,
+        assumedFrom: model.context ? null : this.catalog.localized(provider.name, this.lang)
+      };
+    }
+
+    const context = Number(this.contextInput.value);
+    const maxOutput = Number(this.maxOutputInput.value);
+    if (!Number.isInteger(context) || context <= 0) return null;
+    return {
+      name: this.catalog.localized(provider.name, this.lang),
+      context,
+      maxOutput: Number.isInteger(maxOutput) && maxOutput > 0 ? maxOutput : null,
+      assumedFrom: null
+    };
+  }
+
+  /**
+   * Output Length: the model's output limit, capped at the recommended range and
+   * a quarter of the context window. Context Window: what is left of the context
+   * after the output, the prompt reserve and the safety margin, in characters.
+   *
+   * @returns {{ outputTokens: number, inputTokens: number, contextChars: number }|null}
+   *   null when the context window is too small to review anything
+   */
+  recommend(limits, contentType) {
+    const outputTokens = Math.min(limits.maxOutput || Infinity, MAX_RECOMMENDED_OUTPUT, Math.floor(limits.context / 4));
+    const inputTokens = Math.floor((limits.context - outputTokens - this.budget.promptReserveTokens) * (1 - CONTEXT_SAFETY_MARGIN));
+    if (inputTokens <= 0) return null;
+
+    const chars = inputTokens * this.budget.charsPerToken[contentType];
+    const contextChars = chars >= 10000 ? Math.floor(chars / 1000) * 1000 : Math.floor(chars / 100) * 100;
+    return { outputTokens, inputTokens, contextChars };
+  }
+
+  update() {
+    const contentType = this.container.querySelector('input[type="radio"]:checked').value;
+    const limits = this.getLimits();
+    const result = limits && this.recommend(limits, contentType);
+
+    this.container.querySelector('[data-result="context"]').textContent = result
+      ? this.t('settingsCalculator.characters', { count: this.numberFormat.format(result.contextChars) })
+      : '—';
+    this.container.querySelector('[data-result="output"]').textContent = result
+      ? this.t('settingsCalculator.tokens', { count: this.numberFormat.format(result.outputTokens) })
+      : '—';
+
+    this.warning.hidden = Boolean(result);
+    this.warning.textContent = limits ? this.t('settingsCalculator.tooSmall') : this.t('settingsCalculator.invalidContext');
+
+    this.renderAssumptions(limits, contentType, result);
+  }
+
+  renderAssumptions(limits, contentType, result) {
+    const format = value => this.numberFormat.format(value);
+    const items = [
+      this.t('settingsCalculator.assumption.charsPerToken', {
+        ratio: format(this.budget.charsPerToken[contentType]),
+        contentType: this.t(`settingsCalculator.contentTypes.${contentType}`)
+      })
+    ];
+
+    if (limits) {
+      const key = `settingsCalculator.assumption.${limits.assumedFrom ? 'limitsAssumed' : 'limits'}${limits.maxOutput ? '' : 'Shared'}`;
+      items.push(this.t(key, {
+        model: limits.name,
+        provider: limits.assumedFrom,
+        context: format(limits.context),
+        output: limits.maxOutput && format(limits.maxOutput)
+      }));
+    }
+    items.push(this.t('settingsCalculator.assumption.output', { max: format(MAX_RECOMMENDED_OUTPUT) }));
+    items.push(this.t('settingsCalculator.assumption.reserve', { tokens: format(this.budget.promptReserveTokens) }));
+    if (result) {
+      items.push(this.t('settingsCalculator.assumption.margin', {
+        percent: format(CONTEXT_SAFETY_MARGIN * 100),
+        tokens: format(result.inputTokens)
+      }));
+    }
+
+    this.assumptionList.replaceChildren(...items.map(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      return item;
+    }));
+  }
+}
+
+// 导出供其他脚本使用
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SettingsCalculator;
+}
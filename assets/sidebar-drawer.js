@@ -0,0 +1,217 @@
+/**
+ * DeepReview User Guide - sidebar drawer for narrow screens
+ * Below the breakpoint the sidebar becomes an off-canvas drawer behind a ☰
+ * button. The layout follows matchMedia, so rotating a tablet or resizing
+ * the window switches between drawer and fixed sidebar. On touch screens a
+ * swipe from the left edge opens the drawer and a swipe left closes it. The
+ * page behind is pinned in place while the drawer is open, which also holds
+ * it still on iOS, where overflow: hidden on the body does not.
+ */
+
+const DRAWER_MEDIA_QUERY = '(max-width: 768px)';
+// Swipes to open must start this close to the left edge of the screen
+const DRAWER_EDGE_PX = 24;
+// Horizontal travel that counts as a swipe
+const DRAWER_SWIPE_PX = 60;
+
+class SidebarDrawer {
+  /**
+   * @param {HTMLElement} sidebar - the guide sidebar; needs an id for aria-controls
+   * @param {Object} options
+   * @param {Function} options.t - translates a message key for the current language
+   * @param {string} [options.query] - media query under which the sidebar is a drawer
+   */
+  constructor(sidebar, options = {}) {
+    this.sidebar = sidebar;
+    this.t = options.t || (key => key);
+    this.media = window.matchMedia(options.query || DRAWER_MEDIA_QUERY);
+    this.toggle = null;
+    this.backdrop = null;
+    this.swipe = null;
+    // Page scroll offset while the open drawer holds the page in place
+    this.lockedScrollY = null;
+
+    const onChange = () => this.updateLayout();
+    if (typeof this.media.addEventListener === 'function') {
+      this.media.addEventListener('change', onChange);
+    } else {
+      this.media.addListener(onChange);
+    }
+
+    this.sidebar.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen()) {
+        e.preventDefault();
+        this.close();
+      }
+    });
+    document.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: true });
+    document.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: true });
+    document.addEventListener('touchend', () => this.handleTouchEnd());
+    document.addEventListener('touchcancel', () => {
+      this.swipe = null;
+    });
+
+    this.updateLayout();
+  }
+
+  isDrawer() {
+    return this.media.matches;
+  }
+
+  isOpen() {
+    return this.sidebar.classList.contains('open');
+  }
+
+  /**
+   * Add or remove the drawer controls to match the current viewport
+   */
+  updateLayout() {
+    if (this.isDrawer()) {
+      if (!this.toggle) this.createControls();
+      this.setOpen(false, false);
+    } else {
+      this.setOpen(false, false);
+      if (this.toggle) {
+        this.toggle.remove();
+        this.backdrop.remove();
+        this.toggle = null;
+        this.backdrop = null;
+      }
+      // A fixed sidebar is always part of the page
+      this.sidebar.removeAttribute('inert');
+    }
+  }
+
+  createControls() {
+    this.toggle = document.createElement('button');
+    this.toggle.type = 'button';
+    this.toggle.className = 'mobile-menu-toggle';
+    this.toggle.textContent = '☰';
+    this.toggle.setAttribute('aria-controls', this.sidebar.id);
+    this.toggle.addEventListener('click', () => {
+      if (this.isOpen()) {
+        this.close();
+      } else {
+        this.open();
+      }
+    });
+
+    // Tapping the dimmed page closes the drawer
+    this.backdrop = document.createElement('div');
+    this.backdrop.className = 'sidebar-backdrop';
+    this.backdrop.hidden = true;
+    this.backdrop.addEventListener('click', () => this.close());
+
+    document.body.append(this.backdrop, this.toggle);
+    this.updateLabels();
+  }
+
+  open() {
+    if (!this.isDrawer()) return;
+    this.setOpen(true);
+    const current = this.sidebar.querySelector('[aria-current="page"]') || this.sidebar.querySelector('a[href], button, input');
+    if (current) current.focus();
+  }
+
+  /**
+   * Focus a control in the sidebar, opening the drawer first: a closed drawer
+   * is inert and cannot take focus
+   */
+  focus(element) {
+    if (this.isDrawer() && !this.isOpen()) this.setOpen(true);
+    element.focus();
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.restoreFocus=true] - return focus to the ☰ button; off when
+   *   the caller moves focus itself, e.g. to the section the reader chose
+   */
+  close({ restoreFocus = true } = {}) {
+    if (!this.isOpen()) return;
+    const hadFocus = this.sidebar.contains(document.activeElement);
+    this.setOpen(false);
+    if (restoreFocus && hadFocus && this.toggle) {
+      this.toggle.focus();
+    }
+  }
+
+  setOpen(open, animate = true) {
+    this.sidebar.classList.toggle('open', open);
+    this.sidebar.classList.toggle('no-transition', !animate);
+    // Off-screen links must not be reachable with Tab or a screen reader
+    if (this.isDrawer()) {
+      this.sidebar.toggleAttribute('inert', !open);
+    }
+    this.lockScroll(open);
+    if (this.backdrop) this.backdrop.hidden = !open;
+    if (this.toggle) this.toggle.setAttribute('aria-expanded', String(open));
+    this.updateLabels();
+  }
+
+  /**
+   * Pin the body at its scroll offset with position: fixed (see .sidebar-open in
+   * user-guide.css) and scroll back to the same place when unpinning
+   */
+  lockScroll(lock) {
+    const body = document.body;
+    if (lock && this.lockedScrollY === null) {
+      this.lockedScrollY = window.scrollY;
+      body.style.top = `-${this.lockedScrollY}px`;
+      body.classList.add('sidebar-open');
+    } else if (!lock && this.lockedScrollY !== null) {
+      body.classList.remove('sidebar-open');
+      body.style.top = '';
+      window.scrollTo(0, this.lockedScrollY);
+      this.lockedScrollY = null;
+    }
+  }
+
+  updateLabels() {
+    if (!this.toggle) return;
+    const label = this.t(this.isOpen() ? 'nav.close' : 'nav.open');
+    this.toggle.title = label;
+    this.toggle.setAttribute('aria-label', label);
+  }
+
+  handleTouchStart(e) {
+    if (!this.isDrawer() || e.touches.length !== 1) {
+      this.swipe = null;
+      return;
+    }
+    const touch = e.touches[0];
+    const open = this.isOpen();
+    // Closed: only from the screen edge, so horizontal scrolling in tables keeps working
+    if (open || touch.clientX <= DRAWER_EDGE_PX) {
+      this.swipe = { x: touch.clientX, y: touch.clientY, dx: 0, dy: 0, open };
+    } else {
+      this.swipe = null;
+    }
+  }
+
+  handleTouchMove(e) {
+    if (!this.swipe) return;
+    const touch = e.touches[0];
+    this.swipe.dx = touch.clientX - this.swipe.x;
+    this.swipe.dy = touch.clientY - this.swipe.y;
+  }
+
+  handleTouchEnd() {
+    if (!this.swipe) return;
+    const { dx, dy, open } = this.swipe;
+    this.swipe = null;
+    // Mostly vertical movement is scrolling, not a swipe
+    if (Math.abs(dx) < DRAWER_SWIPE_PX || Math.abs(dy) > Math.abs(dx)) return;
+
+    if (!open && dx > 0) {
+      this.open();
+    } else if (open && dx < 0) {
+      this.close();
+    }
+  }
+}
+
+// 导出供其他脚本使用
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SidebarDrawer;
+}
@@ -0,0 +1,158 @@
+/**
+ * DeepReview site theme
+ * Light, dark, or system (follows prefers-color-scheme). Loaded from <head> on
+ * every page so data-theme is set on <html> before the first paint. The choice
+ * is shared by all pages and followed by other open tabs through the storage
+ * event. Buttons marked data-theme-toggle cycle system -> light -> dark.
+ */
+
+const THEME_STORAGE_KEY = 'site-theme';
+// Where the user guide kept its light/dark choice before the site-wide theme
+const LEGACY_THEME_KEY = 'user-guide-theme';
+const THEME_MODES = ['system', 'light', 'dark'];
+const THEME_ICONS = { system: '🖥️', light: '☀️', dark: '🌙' };
+// Toggle labels for pages without the guide's message catalogs
+const THEME_LABELS = {
+  system: 'Theme: match system (click for light)',
+  light: 'Theme: light (click for dark)',
+  dark: 'Theme: dark (click to match system)'
+};
+
+class SiteTheme {
+  constructor() {
+    this.media = typeof window.matchMedia === 'function' ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+    this.mode = this.loadMode();
+    this.listeners = [];
+
+    this.apply();
+
+    if (this.media) {
+      const onSystemChange = () => {
+        if (this.mode === 'system') this.apply();
+      };
+      if (typeof this.media.addEventListener === 'function') {
+        this.media.addEventListener('change', onSystemChange);
+      } else if (typeof this.media.addListener === 'function') {
+        this.media.addListener(onSystemChange);
+      }
+    }
+
+    // Another tab changed the theme
+    window.addEventListener('storage', (e) => {
+      if (e.key !== THEME_STORAGE_KEY) return;
+      this.mode = THEME_MODES.includes(e.newValue) ? e.newValue : 'system';
+      this.apply();
+    });
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.bindToggles());
+    } else {
+      this.bindToggles();
+    }
+  }
+
+  /**
+   * @returns {'system'|'light'|'dark'} the reader's choice
+   */
+  getMode() {
+    return this.mode;
+  }
+
+  /**
+   * @returns {'light'|'dark'} the theme in effect, with system resolved
+   */
+  getTheme() {
+    if (this.mode !== 'system') return this.mode;
+    return this.media && this.media.matches ? 'dark' : 'light';
+  }
+
+  setMode(mode) {
+    if (!THEME_MODES.includes(mode)) return;
+    this.mode = mode;
+    try {
+      localStorage.setItem(THEME_STORAGE_KEY, mode);
+      localStorage.removeItem(LEGACY_THEME_KEY);
+    } catch (error) {
+      // Storage disabled: the choice only lasts for this page
+    }
+    this.apply();
+  }
+
+  /**
+   * Move to the next mode: system -> light -> dark -> system
+   */
+  cycle() {
+    this.setMode(THEME_MODES[(THEME_MODES.indexOf(this.mode) + 1) % THEME_MODES.length]);
+  }
+
+  /**
+   * @param {Function} listener - called with the theme in effect whenever it changes
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  loadMode() {
+    try {
+      const stored = localStorage.getItem(THEME_STORAGE_KEY);
+      if (THEME_MODES.includes(stored)) return stored;
+      const legacy = localStorage.getItem(LEGACY_THEME_KEY);
+      if (legacy === 'light' || legacy === 'dark') return legacy;
+    } catch (error) {
+      // Storage disabled: follow the system
+    }
+    return 'system';
+  }
+
+  apply() {
+    const theme = this.getTheme();
+    const root = document.documentElement;
+    root.dataset.theme = theme;
+    root.dataset.themeMode = this.mode;
+    root.style.colorScheme = theme;
+    this.updateToggles();
+    this.listeners.forEach(listener => listener(theme));
+  }
+
+  bindToggles() {
+    document.addEventListener('click', (e) => {
+      if (e.target.closest('[data-theme-toggle]')) {
+        this.cycle();
+      }
+    });
+    // Relabel the toggles when a page switches its language
+    new MutationObserver(() => this.updateToggles())
+      .observe(document.documentElement, { attributes: true, attributeFilter: ['lang'] });
+    this.updateToggles();
+  }
+
+  updateToggles() {
+    const label = this.label();
+    document.querySelectorAll('[data-theme-toggle]').forEach(button => {
+      const icon = button.querySelector('[data-theme-icon]') || button;
+      icon.textContent = THEME_ICONS[this.mode];
+      button.title = label;
+      button.setAttribute('aria-label', label);
+    });
+  }
+
+  /**
+   * Toggle label in the page language when the page has the guide's message catalogs
+   */
+  label() {
+    const i18n = window.guideI18n;
+    const lang = document.documentElement.lang;
+    if (i18n && i18n.has(lang)) {
+      return i18n.translate(lang, `theme.${this.mode}`);
+    }
+    return THEME_LABELS[this.mode];
+  }
+}
+
+// 创建全局实例
+window.siteTheme = new SiteTheme();
+
+// 导出供其他脚本使用
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SiteTheme;
+}
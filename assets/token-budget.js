@@ -0,0 +1,21 @@
+/**
+ * DeepReview token budget
+ * How much text fits in a token and how much of every request DeepReview's own
+ * prompt takes. The settings calculator and the review cost estimator are both
+ * given this object, so their numbers agree. Load it before the scripts that use it.
+ */
+
+const TOKEN_BUDGET = Object.freeze({
+  // Characters per token by content type, on the low side so chunks stay under the limit
+  charsPerToken: Object.freeze({ code: 3, english: 4, chinese: 0.7 }),
+  // UTF-8 bytes per character by content type, to turn file sizes into characters:
+  // one for ASCII source and prose, three for CJK text
+  bytesPerChar: Object.freeze({ code: 1, english: 1, chinese: 3 }),
+  // Tokens left free for DeepReview's review instructions and the selected rules
+  promptReserveTokens: 2000
+});
+
+// 导出供其他脚本使用
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TOKEN_BUDGET;
+}
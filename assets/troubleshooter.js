@@ -0,0 +1,338 @@
+/**
+ * DeepReview User Guide - API troubleshooting wizard
+ * Narrows an API error down to one of the "Common API Issues" categories,
+ * walks through that category's steps with a checkpoint after each one and
+ * ends with a prefilled support email. The steps are read from the numbered
+ * lists under the category headings, so the wizard and the static list
+ * always agree in every language.
+ * Mounted on <div data-widget="troubleshooter"></div> in the guide content.
+ */
+
+const SUPPORT_EMAIL = 'support@deepreview.cloud';
+
+// Heading id of each category with the HTTP statuses, error text and symptom pointing to it
+const TROUBLESHOOTING_CATEGORIES = [
+  {
+    id: 'connection-issues',
+    statuses: [404, 408],
+    pattern: /failed to fetch|network|err_|econn|enotfound|dns|cors|ssl|certificate|proxy|unreachable|timed? ?out/i,
+    symptom: 'connection'
+  },
+  {
+    id: 'authentication-issues',
+    statuses: [401, 402, 403],
+    pattern: /api[ _-]?key|unauthori[sz]ed|forbidden|authenticat|permission|credit|balance|billing|payment/i,
+    symptom: 'rejected'
+  },
+  {
+    id: 'rate-limiting-quotas',
+    statuses: [429],
+    pattern: /rate[ _-]?limit|too many requests|quota|throttl|requests per|tokens per minute/i,
+    symptom: 'limited'
+  },
+  {
+    id: 'response-format-issues',
+    statuses: [400, 413, 422],
+    pattern: /context[ _-]?length|maximum context|too long|too large|max_tokens|token limit|invalid json|parse|unexpected token|truncat/i,
+    symptom: 'malformed'
+  },
+  {
+    id: 'performance-issues',
+    statuses: [500, 502, 503, 504, 529],
+    pattern: /overloaded|unavailable|internal server error|bad gateway|gateway timeout|slow|timeout/i,
+    symptom: 'slow'
+  }
+];
+
+class Troubleshooter {
+  /**
+   * @param {HTMLElement} container - placeholder element to render into
+   * @param {Object} options
+   * @param {Function} options.t - translates a message key for the current language
+   * @param {string} options.lang - current language, for provider names
+   * @param {ProviderCatalog} options.catalog - providers offered in the form
+   * @param {HTMLElement} options.article - rendered section holding the category headings
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.t = options.t || (key => key);
+    this.lang = options.lang || 'en';
+    this.catalog = options.catalog || null;
+    this.article = options.article || document;
+    this.report = null;
+
+    this.container.classList.add('troubleshooter');
+    this.container.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-action]');
+      if (action) {
+        this.handleAction(action.dataset.action, action.dataset.value);
+      }
+    });
+    this.container.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.describe(new FormData(e.target));
+    });
+
+    this.showForm();
+  }
+
+  handleAction(action, value) {
+    switch (action) {
+      case 'choose':
+        this.startCategory(value);
+        break;
+      case 'fixed':
+        this.showResolved();
+        break;
+      case 'not-fixed':
+        this.report.tried.push(this.report.steps[this.report.stepIndex].text);
+        this.report.stepIndex++;
+        if (this.report.stepIndex < this.report.steps.length) {
+          this.showStep();
+        } else {
+          this.showContact();
+        }
+        break;
+      case 'back':
+        this.showDiagnosis();
+        break;
+      case 'restart':
+        this.showForm();
+        break;
+    }
+  }
+
+  /**
+   * Category headings present in the section, in the order they appear
+   */
+  getCategories() {
+    return TROUBLESHOOTING_CATEGORIES
+      .map(category => ({ ...category, heading: this.findHeading(category.id) }))
+      .filter(category => category.heading);
+  }
+
+  findHeading(id) {
+    return [...this.article.querySelectorAll('[id]')].find(el => el.id === id) || null;
+  }
+
+  /**
+   * Steps of a category: the items of the first ordered list after its heading
+   */
+  getSteps(category) {
+    let element = category.heading.nextElementSibling;
+    while (element && !/^H[1-6]$/.test(element.tagName)) {
+      if (element.tagName === 'OL') {
+        return [...element.children].map(item => ({ node: item, text: item.textContent.trim() }));
+      }
+      element = element.nextElementSibling;
+    }
+    return [];
+  }
+
+  /**
+   * Rank the categories against what the reader sees: a matching HTTP status
+   * counts most, then the error text, then the symptom
+   */
+  diagnose({ status, errorText, symptom }) {
+    const code = Number((String(status).match(/\b[1-5]\d\d\b/) || String(errorText).match(/\b[45]\d\d\b/) || [])[0]);
+
+    return this.getCategories()
+      .map(category => ({
+        category,
+        score: (category.statuses.includes(code) ? 3 : 0) +
+          (errorText && category.pattern.test(errorText) ? 2 : 0) +
+          (category.symptom === symptom ? 1 : 0)
+      }))
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(match => match.category);
+  }
+
+  describe(data) {
+    const provider = this.catalog && this.catalog.getProvider(data.get('provider'));
+    this.report = {
+      provider: provider ? this.catalog.localized(provider.name, this.lang) : '',
+      status: String(data.get('status') || '').trim(),
+      errorText: String(data.get('errorText') || '').trim(),
+      symptom: data.get('symptom'),
+      matches: [],
+      category: null,
+      steps: [],
+      stepIndex: 0,
+      tried: []
+    };
+    this.report.matches = this.diagnose(this.report);
+    this.showDiagnosis();
+  }
+
+  startCategory(id) {
+    const category = this.getCategories().find(item => item.id === id);
+    if (!category) return;
+
+    Object.assign(this.report, { category, steps: this.getSteps(category), stepIndex: 0, tried: [] });
+    if (this.report.steps.length > 0) {
+      this.showStep();
+    } else {
+      this.showContact();
+    }
+  }
+
+  showForm() {
+    this.report = null;
+
+    const id = Math.random().toString(36).slice(2, 8);
+    const providers = this.catalog ? this.catalog.providers.map(provider =>
+      `<option value="${escapeHtml(provider.id)}">${escapeHtml(this.catalog.localized(provider.name, this.lang))}</option>`
+    ).join('') : '';
+    const symptoms = ['unknown', ...TROUBLESHOOTING_CATEGORIES.map(category => category.symptom)].map(symptom =>
+      `<option value="${symptom}">${escapeHtml(this.t(`troubleshooter.symptoms.${symptom}`))}</option>`
+    ).join('');
+
+    this.renderScreen(this.t('troubleshooter.title'), `
+      <p class="troubleshooter-hint">${escapeHtml(this.t('troubleshooter.intro'))}</p>
+      <form class="troubleshooter-form">
+        <label for="troubleshooter-provider-${id}">${escapeHtml(this.t('troubleshooter.provider'))}</label>
+        <select id="troubleshooter-provider-${id}" name="provider">
+          <option value="">${escapeHtml(this.t('troubleshooter.providerUnknown'))}</option>
+          ${providers}
+        </select>
+        <label for="troubleshooter-symptom-${id}">${escapeHtml(this.t('troubleshooter.symptom'))}</label>
+        <select id="troubleshooter-symptom-${id}" name="symptom">${symptoms}</select>
+        <label for="troubleshooter-status-${id}">${escapeHtml(this.t('troubleshooter.status'))}</label>
+        <input id="troubleshooter-status-${id}" name="status" inputmode="numeric" autocomplete="off" placeholder="429">
+        <label for="troubleshooter-error-${id}">${escapeHtml(this.t('troubleshooter.errorText'))}</label>
+        <textarea id="troubleshooter-error-${id}" name="errorText" rows="3" spellcheck="false"></textarea>
+        <div class="troubleshooter-actions">
+          <button type="submit" class="btn btn-primary btn-sm">${escapeHtml(this.t('troubleshooter.diagnose'))}</button>
+        </div>
+      </form>
+    `, false);
+  }
+
+  showDiagnosis() {
+    this.report.category = null;
+    const [best, ...others] = this.report.matches;
+    const matched = this.report.matches.map(category => category.id);
+    const rest = this.getCategories().filter(category => !matched.includes(category.id));
+    const choice = (category, primary) => `
+      <button type="button" class="btn ${primary ? 'btn-primary' : 'btn-ghost'} btn-sm" data-action="choose" data-value="${category.id}">
+        ${escapeHtml(this.categoryTitle(category))}
+      </button>
+    `;
+
+    const body = best
+      ? `
+        <p>${escapeHtml(this.t('troubleshooter.likely'))}</p>
+        <div class="troubleshooter-actions">${choice(best, true)}</div>
+        <p class="troubleshooter-hint">${escapeHtml(this.t('troubleshooter.otherCategories'))}</p>
+        <div class="troubleshooter-actions">${[...others, ...rest].map(category => choice(category, false)).join('')}</div>
+      `
+      : `
+        <p>${escapeHtml(this.t('troubleshooter.noMatch'))}</p>
+        <div class="troubleshooter-actions">${rest.map(category => choice(category, false)).join('')}</div>
+      `;
+
+    this.renderScreen(this.t('troubleshooter.diagnosisTitle'), body);
+  }
+
+  showStep() {
+    const { category, steps, stepIndex } = this.report;
+    this.renderScreen(this.categoryTitle(category), `
+      <p class="troubleshooter-progress">${escapeHtml(this.t('troubleshooter.stepProgress', { step: stepIndex + 1, total: steps.length }))}</p>
+      <div class="troubleshooter-step"></div>
+      <p>${escapeHtml(this.t('troubleshooter.checkpoint'))}</p>
+      <div class="troubleshooter-actions">
+        <button type="button" class="btn btn-primary btn-sm" data-action="fixed">${escapeHtml(this.t('troubleshooter.yes'))}</button>
+        <button type="button" class="btn btn-ghost btn-sm" data-action="not-fixed">${escapeHtml(this.t('troubleshooter.no'))}</button>
+      </div>
+    `);
+
+    // Keep the step's links and formatting from the guide content
+    const step = this.container.querySelector('.troubleshooter-step');
+    step.lang = this.article.lang || '';
+    step.append(...[...steps[stepIndex].node.childNodes].map(node => node.cloneNode(true)));
+  }
+
+  showResolved() {
+    this.renderScreen(this.t('troubleshooter.resolvedTitle'), `
+      <p>${escapeHtml(this.t('troubleshooter.resolved'))}</p>
+    `);
+  }
+
+  showContact() {
+    const { subject, body } = this.buildEmail();
+    const href = `mailto:${SUPPORT_EMAIL}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+
+    this.renderScreen(this.t('troubleshooter.contactTitle'), `
+      <p>${escapeHtml(this.t('troubleshooter.contact', { email: SUPPORT_EMAIL }))}</p>
+      <pre class="troubleshooter-summary">${escapeHtml(body)}</pre>
+      <div class="troubleshooter-actions">
+        <a class="btn btn-primary btn-sm" href="${escapeHtml(href)}">${escapeHtml(this.t('troubleshooter.sendEmail'))}</a>
+      </div>
+    `);
+  }
+
+  /**
+   * Support email summarizing what the reader saw and which steps they tried
+   */
+  buildEmail() {
+    const { provider, status, errorText, symptom, category, tried } = this.report;
+    const none = this.t('troubleshooter.email.notProvided');
+    const categoryTitle = category ? this.categoryTitle(category) : none;
+
+    const field = (label, value) => this.t('troubleshooter.email.field', { label, value: value || none });
+
+    const lines = [
+      this.t('troubleshooter.email.greeting'),
+      '',
+      field(this.t('troubleshooter.provider'), provider),
+      field(this.t('troubleshooter.status'), status),
+      field(this.t('troubleshooter.symptom'), this.t(`troubleshooter.symptoms.${symptom}`)),
+      field(this.t('troubleshooter.errorText'), errorText),
+      '',
+      field(this.t('troubleshooter.email.category'), categoryTitle),
+      this.t('troubleshooter.email.tried'),
+      ...(tried.length > 0 ? tried.map(text => `- ${text}`) : [`- ${none}`]),
+      '',
+      field(this.t('troubleshooter.email.browser'), navigator.userAgent)
+    ];
+
+    return {
+      subject: this.t('troubleshooter.email.subject', { category: categoryTitle }),
+      body: lines.join('\n')
+    };
+  }
+
+  /**
+   * Category heading text without its leading emoji
+   */
+  categoryTitle(category) {
+    return category.heading.textContent.trim().replace(/^[^\p{L}\p{N}]+/u, '');
+  }
+
+  /**
+   * Replace the wizard screen and move focus to its title so screen readers
+   * follow along; every screen after the form can start over
+   */
+  renderScreen(title, body, restart = true) {
+    this.container.innerHTML = `
+      <p class="troubleshooter-title" tabindex="-1">${escapeHtml(title)}</p>
+      ${body}
+      ${restart ? `
+        <div class="troubleshooter-footer">
+          ${this.report && this.report.category ? `<button type="button" class="troubleshooter-link" data-action="back">${escapeHtml(this.t('troubleshooter.back'))}</button>` : ''}
+          <button type="button" class="troubleshooter-link" data-action="restart">${escapeHtml(this.t('troubleshooter.restart'))}</button>
+        </div>
+      ` : ''}
+    `;
+
+    if (this.report) {
+      this.container.querySelector('.troubleshooter-title').focus({ preventScroll: true });
+    }
+  }
+}
+
+// 导出供其他脚本使用
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Troubleshooter;
+}
@@ -3,24 +3,70 @@
  * Handles navigation, content loading, search, and theme switching
  */
 
+// Sections whose last update is at most this many days old get a badge in the navigation
+const RECENT_UPDATE_DAYS = 30;
+
 class UserGuideApp {
   constructor() {
-    this.currentLang = this.getLanguageFromURL() || 'en';
+    this.i18n = window.guideI18n;
+    this.currentLang = this.i18n.resolveLanguage();
     this.currentSection = this.getSectionFromURL() || 'scenarios';
+    this.currentHeading = this.getHeadingFromURL();
+    this.manifest = null;
     this.guideData = null;
+    this.providerCatalog = null;
+    this.releaseNotes = null;
+    this.scrollSaveTimer = null;
     this.sections = [];
     this.searchIndex = [];
+    this.markdownRenderer = new MarkdownRenderer();
+    // Content may not reuse the ids the page chrome relies on
+    this.sanitizer = new HtmlSanitizer({
+      reservedIds: [...document.querySelectorAll('[id]')].map(el => el.id)
+    });
+    // Interactive widgets mounted on <div data-widget="name"> placeholders in the content
+    this.widgets = {
+      'rule-editor': RuleEditor,
+      'settings-calculator': SettingsCalculator,
+      troubleshooter: Troubleshooter
+    };
+    this.toc = new GuideToc(document.getElementById('pageToc'), document.querySelector('.guide-content'), {
+      onSelect: (headingId) => {
+        this.currentHeading = headingId;
+        this.updateURL(this.currentSection, headingId);
+      }
+    });
+    const feedbackEndpoint = document.querySelector('meta[name="feedback-endpoint"]');
+    this.feedback = new SectionFeedback(document.getElementById('sectionFeedback'), {
+      endpoint: feedbackEndpoint ? feedbackEndpoint.content : '',
+      t: (key, params) => this.t(key, params),
+      getHeading: () => this.currentHeading
+    });
+    this.drawer = new SidebarDrawer(document.getElementById('guideSidebar'), {
+      t: (key, params) => this.t(key, params)
+    });
+    this.lightbox = new ImageLightbox({
+      t: (key, params) => this.t(key, params)
+    });
+    this.palette = new CommandPalette({
+      getItems: () => this.getPaletteItems(),
+      onSelect: (item) => this.goToSearchResult(item.section, item.heading),
+      t: (key, params) => this.t(key, params)
+    });
     
     this.init();
   }
 
   async init() {
+    this.registerServiceWorker();
     this.bindEvents();
     await this.loadGuideData();
+    if (!this.guideData) return;
+    
     this.renderNavigation();
-    this.showSection(this.currentSection);
-    this.updateLanguageToggle();
-    this.updateLastUpdated();
+    this.buildSearchIndex();
+    this.showSection(this.currentSection, this.currentHeading, { moveFocus: false, push: false });
+    this.updateLanguagePicker();
     this.handleUserInfoFromURL();
     
     // 确保链接更新（统一机制）
@@ -31,151 +77,401 @@ class UserGuideApp {
     }, 100);
   }
 
-  getLanguageFromURL() {
-    const params = new URLSearchParams(window.location.search);
-    return params.get('lang') || 'en';
+  /**
+   * Cache the guide for offline reading (see sw.js)
+   */
+  registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+    
+    navigator.serviceWorker.register('sw.js').catch(error => {
+      console.warn('Service worker registration failed:', error);
+    });
+  }
+
+  /**
+   * Pages served from the offline cache may be older than the live site
+   */
+  updateOfflineIndicator() {
+    document.getElementById('offlineIndicator').hidden = navigator.onLine;
+  }
+
+  /**
+   * Translate a message key into the current language
+   */
+  t(key, params) {
+    return this.i18n.translate(this.currentLang, key, params);
+  }
+
+  /**
+   * Split the hash into section and heading: #providers/rate-limiting-quotas
+   */
+  getHashParts(hash = window.location.hash) {
+    hash = hash.replace('#', '');
+    try {
+      hash = decodeURIComponent(hash);
+    } catch (error) {
+      // Malformed escapes: use the raw hash
+    }
+    const [section, heading] = hash.split('/');
+    return { section, heading };
   }
 
   getSectionFromURL() {
-    const hash = window.location.hash.replace('#', '');
-    return hash || 'scenarios';
+    return this.getHashParts().section || 'scenarios';
+  }
+
+  getHeadingFromURL() {
+    return this.getHashParts().heading || null;
+  }
+
+  /**
+   * Hash for a section or one of its headings: #providers/rate-limiting-quotas
+   */
+  buildHash(section, heading = null) {
+    return `#${heading ? `${section}/${heading}` : section}`;
   }
 
-  updateURL(section) {
+  /**
+   * Put the section, heading and language in the address bar. A new history
+   * entry (push) lets Back return to the previous section; the rest replace
+   * the current entry.
+   */
+  updateURL(section, heading = null, { push = false } = {}) {
     const url = new URL(window.location);
-    url.hash = section;
+    url.hash = this.buildHash(section, heading);
     url.searchParams.set('lang', this.currentLang);
-    window.history.replaceState({}, '', url);
+    const state = { section, heading, lang: this.currentLang };
+    if (push && url.href !== window.location.href) {
+      window.history.pushState(state, '', url);
+    } else {
+      window.history.replaceState(state, '', url);
+    }
+  }
+
+  /**
+   * Remember how far the reader scrolled in the current entry, for Back/Forward
+   */
+  saveScrollPosition() {
+    clearTimeout(this.scrollSaveTimer);
+    const state = {
+      ...(window.history.state || {}),
+      scroll: { content: document.querySelector('.guide-content').scrollTop, page: window.scrollY }
+    };
+    window.history.replaceState(state, '');
+  }
+
+  /**
+   * Section and heading a guide link points to. #some-heading without a
+   * section is a heading of the section on screen.
+   */
+  resolveHash(hash) {
+    const parts = this.getHashParts(hash);
+    const section = parts.section || 'scenarios';
+    if (!parts.heading && !this.sections.some(s => s.key === section) && this.findHeading(section)) {
+      return { section: this.currentSection, heading: section };
+    }
+    return { section, heading: parts.heading || null };
+  }
+
+  restoreScrollPosition(scroll) {
+    document.querySelector('.guide-content').scrollTop = scroll.content || 0;
+    window.scrollTo(0, scroll.page || 0);
+  }
+
+  /**
+   * Show what the address bar points to after Back/Forward, a hand-edited hash
+   * or an in-content link such as [AI Provider Setup](#providers)
+   *
+   * @param {Object|null} state - history state of the entry; null for hash changes
+   */
+  followLocation(state) {
+    if (!this.guideData) return;
+    // A save still waiting for the entry just left would land on this one
+    clearTimeout(this.scrollSaveTimer);
+    
+    const { section, heading } = this.resolveHash(window.location.hash);
+    const lang = new URLSearchParams(window.location.search).get('lang');
+    if (lang && lang !== this.currentLang && this.i18n.has(lang)) {
+      this.currentSection = section;
+      this.currentHeading = heading;
+      this.switchLanguage(lang, { push: false });
+    } else if (section !== this.currentSection) {
+      this.showSection(section, heading, { push: false });
+    } else if (heading !== this.currentHeading) {
+      // Same section: move within it instead of rendering it again
+      this.currentHeading = heading && this.findHeading(heading) ? heading : null;
+      this.updateURL(section, this.currentHeading);
+      if (this.currentHeading) {
+        this.findHeading(this.currentHeading).scrollIntoView({ block: 'start' });
+      } else {
+        document.querySelector('.guide-content').scrollTop = 0;
+      }
+    }
+    
+    if (state && state.scroll) {
+      this.restoreScrollPosition(state.scroll);
+    }
   }
 
   async loadGuideData() {
+    let bundle = null;
     try {
-      // 由于浏览器安全限制，我们需要将 markdown 内容嵌入到 JavaScript 中
-      // 或者使用服务器端点来提供内容
-      
-      // 临时解决方案：显示静态内容
-      this.guideData = {
-        en: this.getStaticEnContent(),
-        zh: this.getStaticZhContent()
-      };
-      
+      bundle = await this.fetchGuideContent();
     } catch (error) {
-      console.error('Failed to load guide data:', error);
+      // file:// pages and network failures cannot fetch the Markdown files,
+      // so fall back to the copy bundled by scripts/build-guide-content.js
+      console.warn('Failed to fetch guide content, using embedded copy:', error);
+      bundle = window.GUIDE_CONTENT || null;
+    }
+    
+    if (bundle) {
+      this.manifest = bundle.manifest;
+      this.guideData = this.parseGuideFiles(bundle.files);
+      this.providerCatalog = new ProviderCatalog(bundle.providers);
+      this.releaseNotes = new ReleaseNotes(bundle.releases);
+    }
+    
+    if (!this.guideData) {
+      console.error('Failed to load guide data');
       this.showError();
     }
   }
 
-  parseMarkdown(content) {
-    const sections = {};
-    const lines = content.split('\n');
-    let currentSection = null;
-    let currentContent = [];
+  /**
+   * Fetch content/<lang>/<section>.md for every language and section in the manifest,
+   * plus the provider catalog and the release notes. Only the default language
+   * has to be complete; missing translations are skipped.
+   */
+  async fetchGuideContent() {
+    const [manifest, providers, releases] = await Promise.all([
+      this.fetchText('content/manifest.json').then(JSON.parse),
+      this.fetchText('content/providers.json').then(JSON.parse),
+      this.fetchText('content/releases.json').then(JSON.parse)
+    ]);
+    const files = {};
     
-    for (const line of lines) {
-      if (line.startsWith('## 🎯') || line.startsWith('## 🔗') || line.startsWith('## ⚙️') || 
-          line.startsWith('## 🚀') || line.startsWith('## 🔒') || line.startsWith('## 💎') || 
-          line.startsWith('## 📞')) {
-        
-        if (currentSection && currentContent.length > 0) {
-          sections[currentSection] = {
-            title: currentContent[0].replace(/^## /, ''),
-            content: currentContent.join('\n')
-          };
-        }
-        
-        if (line.includes('应用场景') || line.includes('Application Scenarios')) {
-          currentSection = 'scenarios';
-        } else if (line.includes('AI供应商') || line.includes('AI Provider')) {
-          currentSection = 'providers';
-        } else if (line.includes('基础功能') || line.includes('Basic Functions')) {
-          currentSection = 'basic';
-        } else if (line.includes('高级功能') || line.includes('Advanced Features')) {
-          currentSection = 'advanced';
-        } else if (line.includes('隐私与安全') || line.includes('Privacy & Security')) {
-          currentSection = 'privacy';
-        } else if (line.includes('订阅政策') || line.includes('Subscription Policy')) {
-          currentSection = 'subscription';
-        } else if (line.includes('支持与反馈') || line.includes('Support & Feedback')) {
-          currentSection = 'support';
-        }
-        
-        currentContent = [line];
-      } else {
-        if (currentSection) {
-          currentContent.push(line);
+    const requests = manifest.languages.flatMap(lang =>
+      manifest.sections.map(({ key }) => this.fetchText(`content/${lang}/${key}.md`, {
+        optional: lang !== manifest.defaultLanguage
+      }))
+    );
+    const texts = await Promise.all(requests);
+    
+    manifest.languages.forEach((lang, langIndex) => {
+      files[lang] = {};
+      manifest.sections.forEach(({ key }, keyIndex) => {
+        const text = texts[langIndex * manifest.sections.length + keyIndex];
+        if (text !== null) {
+          files[lang][key] = text;
         }
-      }
-    }
+      });
+    });
     
-    if (currentSection && currentContent.length > 0) {
-      sections[currentSection] = {
-        title: currentContent[0].replace(/^## /, ''),
-        content: currentContent.join('\n')
-      };
+    return { manifest, files, providers, releases };
+  }
+
+  /**
+   * @param {string} url
+   * @param {Object} options
+   * @param {boolean} options.optional - resolve to null instead of failing on 404
+   */
+  async fetchText(url, { optional = false } = {}) {
+    const response = await fetch(url);
+    if (optional && response.status === 404) {
+      return null;
     }
-    
-    return sections;
+    if (!response.ok) {
+      throw new Error(`${url}: HTTP ${response.status}`);
+    }
+    return response.text();
+  }
+
+  parseGuideFiles(files) {
+    const data = {};
+    Object.entries(files).forEach(([lang, sections]) => {
+      data[lang] = {};
+      Object.entries(sections).forEach(([key, markdown]) => {
+        data[lang][key] = this.parseMarkdown(markdown);
+      });
+    });
+    return data;
+  }
+
+  /**
+   * Turn one section file into { title, content, updated, changes }; the title
+   * is the first ## heading, the revision comes from the front matter
+   */
+  parseMarkdown(markdown) {
+    const { data, body } = FrontMatter.parse(markdown);
+    const heading = body.match(/^## (.*?)(?:\s*\{#[^\s{}]+\})?\s*$/m);
+    return {
+      title: heading ? heading[1].trim() : '',
+      content: body,
+      ...FrontMatter.revision(data)
+    };
+  }
+
+  /**
+   * Content for a section in the current language, or in the default
+   * language when that section has not been translated yet.
+   * Release notes and provider catalog tokens are expanded in the language
+   * of the content; release notes first, so their items can use catalog tokens.
+   */
+  getSectionData(sectionKey) {
+    for (const lang of [this.currentLang, this.manifest.defaultLanguage]) {
+      const data = this.guideData[lang];
+      if (data && Object.prototype.hasOwnProperty.call(data, sectionKey)) {
+        const translate = (key, params) => this.i18n.translate(lang, key, params);
+        const markdown = this.releaseNotes.expand(data[sectionKey].content, lang, translate,
+          date => this.formatDate(date));
+        const content = this.providerCatalog.expand(markdown, lang, translate);
+        return { ...data[sectionKey], content, lang };
+      }
+    }
+    return null;
   }
 
   renderNavigation() {
     const nav = document.getElementById('guideNav');
-    const data = this.guideData[this.currentLang];
-    
-    if (!data) return;
-    
-    const navSections = [
-      { key: 'scenarios', icon: '🎯', title: this.currentLang === 'zh' ? '应用场景' : 'Application Scenarios' },
-      { key: 'customRules', icon: '📝', title: this.currentLang === 'zh' ? '自定义规则' : 'Custom Rules' },
-      { key: 'providers', icon: '🔗', title: this.currentLang === 'zh' ? 'AI供应商配置' : 'AI Provider Setup' },
-      { key: 'basic', icon: '⚙️', title: this.currentLang === 'zh' ? '基础功能' : 'Basic Functions' },
-      { key: 'advanced', icon: '🚀', title: this.currentLang === 'zh' ? '高级功能' : 'Advanced Features' },
-      { key: 'privacy', icon: '🔒', title: this.currentLang === 'zh' ? '隐私与安全' : 'Privacy & Security' },
-      { key: 'subscription', icon: '💎', title: this.currentLang === 'zh' ? '订阅政策' : 'Subscription Policy' },
-      { key: 'legal', icon: '⚖️', title: this.currentLang === 'zh' ? '法律声明与免责' : 'Legal & Disclaimers' },
-      { key: 'support', icon: '📞', title: this.currentLang === 'zh' ? '支持与反馈' : 'Support & Feedback' }
-    ];
-    
-    nav.innerHTML = navSections.map(section => `
-      <div class="nav-section">
-        <div class="nav-section-title" data-section="${section.key}">
-          <span class="section-icon">${section.icon}</span>
-          <span class="section-title">${section.title}</span>
-        </div>
-      </div>
-    `).join('');
+    
+    if (!this.manifest) return;
+    
+    const navSections = this.manifest.sections.map(({ key, icon }) => ({
+      key,
+      icon,
+      title: this.t(`sections.${key}`)
+    }));
+    
+    const badge = escapeHtml(this.t('history.recent'));
+    const badgeTitle = escapeHtml(this.t('history.recentTitle', { days: RECENT_UPDATE_DAYS }));
+    // One tab stop for the whole list; the arrow keys move between sections (see handleNavKeydown)
+    nav.innerHTML = `
+      <ul class="nav-list">
+        ${navSections.map(section => `
+          <li class="nav-section">
+            <a class="nav-section-title" href="#${section.key}" data-section="${section.key}" tabindex="-1">
+              <span class="section-icon" aria-hidden="true">${section.icon}</span>
+              <span class="section-title">${escapeHtml(section.title)}</span>
+              ${this.isRecentlyUpdated(section.key) ? `<span class="nav-badge" title="${badgeTitle}">${badge}</span>` : ''}
+            </a>
+          </li>
+        `).join('')}
+      </ul>
+    `;
     
     this.sections = navSections;
+    this.updateNavigationState(this.currentSection);
   }
 
-  showSection(sectionKey) {
-    // Update navigation
-    document.querySelectorAll('.nav-section-title').forEach(el => {
-      el.classList.remove('active');
+  /**
+   * Mark the shown section as current and make it the navigation's tab stop
+   */
+  updateNavigationState(sectionKey) {
+    const items = [...document.querySelectorAll('#guideNav .nav-section-title')];
+    // sectionKey may come straight from location.hash, so compare instead of building a selector
+    const current = items.find(el => el.dataset.section === sectionKey) || items[0];
+    items.forEach(el => {
+      const isCurrent = el.dataset.section === sectionKey;
+      el.classList.toggle('active', isCurrent);
+      if (isCurrent) {
+        el.setAttribute('aria-current', 'page');
+      } else {
+        el.removeAttribute('aria-current');
+      }
+      el.tabIndex = el === current ? 0 : -1;
+    });
+  }
+
+  /**
+   * Roving focus: Up/Down move to the previous/next section, Home/End to the first/last
+   */
+  handleNavKeydown(e) {
+    const items = [...document.querySelectorAll('#guideNav .nav-section-title')];
+    const index = items.indexOf(e.target.closest('.nav-section-title'));
+    if (index === -1) return;
+    
+    let next;
+    switch (e.key) {
+      case 'ArrowDown':
+        next = (index + 1) % items.length;
+        break;
+      case 'ArrowUp':
+        next = (index - 1 + items.length) % items.length;
+        break;
+      case 'Home':
+        next = 0;
+        break;
+      case 'End':
+        next = items.length - 1;
+        break;
+      default:
+        return;
+    }
+    
+    e.preventDefault();
+    items.forEach((el, i) => {
+      el.tabIndex = i === next ? 0 : -1;
     });
+    items[next].focus();
+  }
+
+  /**
+   * @param {string} sectionKey
+   * @param {string|null} headingId - heading to scroll to
+   * @param {Object} [options]
+   * @param {boolean} [options.moveFocus=true] - focus the new heading and announce the section;
+   *   off for the first render and for re-rendering the same section in another language
+   * @param {boolean} [options.push] - add a history entry; by default only when the section changes
+   */
+  showSection(sectionKey, headingId = null, { moveFocus = true, push = sectionKey !== this.currentSection } = {}) {
+    if (sectionKey !== 'scenarios' && !this.sections.some(s => s.key === sectionKey)) {
+      // A mistyped or stale link: show the start of the guide in place of its entry
+      this.showSection('scenarios', null, { moveFocus, push: false });
+      return;
+    }
     
-    const activeNav = document.querySelector(`[data-section="${sectionKey}"]`);
-    if (activeNav) {
-      activeNav.classList.add('active');
+    // The reader chose a section on a narrow screen; show it instead of the drawer.
+    // Closing first also lets the page scroll back before its position is saved.
+    this.drawer.close({ restoreFocus: false });
+    if (push) {
+      this.saveScrollPosition();
     }
     
+    // Update navigation
+    this.updateNavigationState(sectionKey);
+    
     // Update content
-    const data = this.guideData[this.currentLang];
-    if (!data || !data[sectionKey]) {
+    const content = this.getSectionData(sectionKey);
+    if (!content) {
       this.showError();
       return;
     }
     
-    const content = data[sectionKey];
     const article = document.getElementById('guideArticle');
-    article.innerHTML = this.markdownToHtml(content.content);
+    article.replaceChildren(this.sanitizer.sanitizeToFragment(this.markdownToHtml(content.content)));
+    article.lang = content.lang;
+    if (content.lang !== this.currentLang) {
+      this.addTranslationNotice(article, content.lang);
+    }
+    this.addHeadingLinks(article);
+    this.mountWidgets(article);
+    this.prepareScreenshots(article);
+    this.updateLastUpdated(content);
+    this.feedback.show({ section: sectionKey, lang: content.lang });
+    
+    // Update "On this page" outline
+    const tocTitle = this.t('toc.title');
+    this.toc.setTitle(tocTitle);
+    this.toc.container.setAttribute('aria-label', tocTitle);
+    this.toc.build(article, (headingId) => this.buildHash(sectionKey, headingId));
     
     // Update breadcrumb
     const section = this.sections.find(s => s.key === sectionKey);
     const breadcrumb = document.getElementById('breadcrumb');
     breadcrumb.innerHTML = `
-      <span class="breadcrumb-item">User Guide</span>
+      <span class="breadcrumb-item">${escapeHtml(this.t('guide.title'))}</span>
       <span class="breadcrumb-separator">/</span>
-      <span class="breadcrumb-item current">${section ? section.title : sectionKey}</span>
+      <span class="breadcrumb-item current">${escapeHtml(section ? section.title : sectionKey)}</span>
     `;
     
     // Update pagination
@@ -183,10 +479,119 @@ class UserGuideApp {
     
     // Update URL
     this.currentSection = sectionKey;
-    this.updateURL(sectionKey);
+    this.currentHeading = headingId && this.findHeading(headingId) ? headingId : null;
+    this.updateURL(sectionKey, this.currentHeading, { push });
     
-    // Scroll to top
-    document.querySelector('.guide-content').scrollTop = 0;
+    // Scroll to the linked heading, or to top
+    if (this.currentHeading) {
+      this.findHeading(this.currentHeading).scrollIntoView({ block: 'start' });
+    } else {
+      document.querySelector('.guide-content').scrollTop = 0;
+    }
+    
+    if (moveFocus) {
+      this.focusArticleHeading(article);
+      this.announceSection(section ? section.title : sectionKey);
+    }
+  }
+
+  /**
+   * Move focus to the linked heading, or to the section title, so keyboard and
+   * screen reader users continue reading where the new content starts
+   */
+  focusArticleHeading(article) {
+    const heading = (this.currentHeading && this.findHeading(this.currentHeading)) || article.querySelector('h2, h1');
+    if (!heading) return;
+    
+    heading.tabIndex = -1;
+    // Already scrolled into place above
+    heading.focus({ preventScroll: true });
+  }
+
+  announceSection(title) {
+    const announcer = document.getElementById('sectionAnnouncer');
+    // Clear first so announcing the same section twice is still read out
+    announcer.textContent = '';
+    setTimeout(() => {
+      announcer.textContent = this.t('nav.announce', { title });
+    }, 100);
+  }
+
+  findHeading(headingId) {
+    return [...document.querySelectorAll('#guideArticle [id]')].find(el => el.id === headingId) || null;
+  }
+
+  mountWidgets(article) {
+    article.querySelectorAll('[data-widget]').forEach(element => {
+      const name = element.dataset.widget;
+      if (!Object.prototype.hasOwnProperty.call(this.widgets, name)) {
+        console.warn(`Unknown guide widget: ${name}`);
+        return;
+      }
+      new this.widgets[name](element, {
+        t: (key, params) => this.t(key, params),
+        lang: this.currentLang,
+        catalog: this.providerCatalog,
+        budget: TOKEN_BUDGET,
+        article
+      });
+    });
+  }
+
+  /**
+   * Explain below the section title why the section is not in the chosen language
+   */
+  addTranslationNotice(article, contentLang) {
+    const notice = document.createElement('p');
+    notice.className = 'translation-notice';
+    notice.lang = this.currentLang;
+    notice.textContent = this.t('translation.missing', {
+      language: this.i18n.get(this.currentLang).name,
+      fallback: this.i18n.get(contentLang).name
+    });
+    
+    const title = article.querySelector('h2');
+    if (title) {
+      title.after(notice);
+    } else {
+      article.prepend(notice);
+    }
+  }
+
+  /**
+   * Add a copy-link button to every heading that has an id
+   */
+  addHeadingLinks(article) {
+    const label = this.t('heading.copyLink');
+    
+    article.querySelectorAll('h2[id], h3[id], h4[id]').forEach(heading => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'heading-link';
+      button.dataset.heading = heading.id;
+      button.title = label;
+      button.setAttribute('aria-label', label);
+      heading.appendChild(button);
+    });
+  }
+
+  async copyHeadingLink(button) {
+    const headingId = button.dataset.heading;
+    this.currentHeading = headingId;
+    this.updateURL(this.currentSection, headingId);
+    
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      button.classList.add('copied');
+      button.title = this.t('heading.linkCopied');
+      setTimeout(() => {
+        button.classList.remove('copied');
+        button.title = button.getAttribute('aria-label');
+      }, 1500);
+    } catch (error) {
+      // Clipboard unavailable: the address bar already holds the link
+      console.warn('Failed to copy heading link:', error);
+    }
   }
 
   updatePagination(currentKey) {
@@ -197,1204 +602,697 @@ class UserGuideApp {
     if (currentIndex > 0) {
       const prevSection = this.sections[currentIndex - 1];
       prevBtn.disabled = false;
-      prevBtn.innerHTML = `<span>←</span> ${prevSection.title}`;
+      this.setPaginationLabel(prevBtn, prevSection.title, 'previous');
       prevBtn.onclick = () => this.showSection(prevSection.key);
     } else {
       prevBtn.disabled = true;
-      prevBtn.innerHTML = '<span>←</span> Previous';
+      this.setPaginationLabel(prevBtn, this.t('pagination.previous'), 'previous');
       prevBtn.onclick = null;
     }
     
     if (currentIndex < this.sections.length - 1) {
       const nextSection = this.sections[currentIndex + 1];
       nextBtn.disabled = false;
-      nextBtn.innerHTML = `${nextSection.title} <span>→</span>`;
+      this.setPaginationLabel(nextBtn, nextSection.title, 'next');
       nextBtn.onclick = () => this.showSection(nextSection.key);
     } else {
       nextBtn.disabled = true;
-      nextBtn.innerHTML = 'Next <span>→</span>';
+      this.setPaginationLabel(nextBtn, this.t('pagination.next'), 'next');
       nextBtn.onclick = null;
     }
   }
 
+  /**
+   * Section titles come from the Markdown front matter, so they go in as text
+   */
+  setPaginationLabel(button, label, direction) {
+    const arrow = document.createElement('span');
+    if (direction === 'previous') {
+      arrow.textContent = '←';
+      button.replaceChildren(arrow, ` ${label}`);
+    } else {
+      arrow.textContent = '→';
+      button.replaceChildren(`${label} `, arrow);
+    }
+  }
+
   markdownToHtml(markdown) {
-    let html = markdown;
+    return this.markdownRenderer.render(markdown);
+  }
+
+  /**
+   * Fill the language picker with every registered locale
+   */
+  renderLanguagePicker() {
+    const select = document.getElementById('langSelect');
+    select.replaceChildren(...this.i18n.list().map(locale => {
+      const option = new Option(locale.name, locale.code);
+      option.lang = locale.code;
+      return option;
+    }));
+    this.updateLanguagePicker();
+  }
+
+  updateLanguagePicker() {
+    document.getElementById('langSelect').value = this.currentLang;
+  }
+
+  applyTranslations() {
+    this.i18n.translateDocument(this.currentLang);
+    this.updateSearchPlaceholder();
+    this.drawer.updateLabels();
+  }
+
+  /**
+   * @param {string} lang
+   * @param {Object} [options]
+   * @param {boolean} [options.push=true] - add a history entry; off when following Back/Forward
+   */
+  switchLanguage(lang, { push = true } = {}) {
+    if (!this.i18n.has(lang) || lang === this.currentLang) return;
     
-      // Headers (order matters - start with most specific)
-    html = html.replace(/^#### (.*$)/gm, '<h4>$1</h4>');
-    html = html.replace(/^### (.*$)/gm, '<h3>$1</h3>');
-    html = html.replace(/^## (.*$)/gm, '<h2>$1</h2>');
-    html = html.replace(/^# (.*$)/gm, '<h1>$1</h1>');
-      
-      // Bold and italic
-    html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-    html = html.replace(/\*(.*?)\*/g, '<em>$1</em>');
-      
-      // Links
-    html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank">$1</a>');
-      
-    // Code blocks (before inline code)
-    html = html.replace(/```([^`]*?)```/gs, '<pre><code>$1</code></pre>');
-    html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
-    
-    // Tables (process before other paragraph splitting)
-    html = html.replace(/(\|[^|\n]+\|[^\n]*\n\|[-|:\s]+\|[^\n]*\n(\|[^|\n]+\|[^\n]*\n?)*)/g, (match) => {
-      const rows = match.trim().split('\n').filter(row => row.trim() && row.includes('|'));
-        if (rows.length < 2) return match;
-        
-        let table = '<table><thead><tr>';
-        const headers = rows[0].split('|').slice(1, -1);
-        headers.forEach(header => {
-          table += `<th>${header.trim()}</th>`;
-        });
-        table += '</tr></thead><tbody>';
-        
-      // Skip separator row (index 1)
-        for (let i = 2; i < rows.length; i++) {
-          const cells = rows[i].split('|').slice(1, -1);
-          table += '<tr>';
-          cells.forEach(cell => {
-            table += `<td>${cell.trim()}</td>`;
-          });
-          table += '</tr>';
-        }
-        
-        table += '</tbody></table>';
-        return table;
-    });
+    this.currentLang = lang;
+    this.i18n.rememberLanguage(lang);
+    this.updateLanguagePicker();
+    this.applyTranslations();
+    if (!this.guideData) return;
     
-    // Process content by sections to handle lists properly
-    const sections = html.split(/\n\n+/);
-    const processedSections = sections.map(section => {
-      section = section.trim();
-      if (!section) return '';
-      
-      // Skip already processed HTML elements
-      if (section.startsWith('<')) return section;
-      
-      // Handle lists
-      if (section.includes('\n- ')) {
-        const lines = section.split('\n');
-        let listHtml = '';
-        let inList = false;
-        
-        for (const line of lines) {
-          if (line.trim().startsWith('- ')) {
-            if (!inList) {
-              listHtml += '<ul>';
-              inList = true;
-            }
-            listHtml += `<li>${line.trim().substring(2)}</li>`;
-          } else if (inList) {
-            listHtml += '</ul>';
-            inList = false;
-            if (line.trim()) {
-              listHtml += `<p>${line.trim()}</p>`;
-            }
-          } else if (line.trim()) {
-            listHtml += `<p>${line.trim()}</p>`;
-          }
-        }
-        
-        if (inList) {
-          listHtml += '</ul>';
-        }
-        
-        return listHtml;
-      }
+    this.renderNavigation();
+    this.buildSearchIndex();
+    this.updateSearchPlaceholder();
+    this.runSearch(document.getElementById('searchInput').value);
+    // Heading ids are shared by every language, so the reader keeps their place
+    this.showSection(this.currentSection, this.currentHeading, { moveFocus: false, push });
+  }
+
+  /**
+   * Render every section, in order and in the current language, into the
+   * print-only manual together with a cover page and a table of contents
+   */
+  buildPrintManual() {
+    const manual = document.getElementById('printManual');
+    const locale = this.i18n.get(this.currentLang);
+    
+    // The manual is as recent as its most recently updated section
+    const updated = this.sections
+      .map(section => (this.getSectionData(section.key) || {}).updated)
+      .filter(Boolean)
+      .sort()
+      .pop();
+    
+    const cover = document.createElement('section');
+    cover.className = 'manual-cover';
+    cover.innerHTML = `
+      <p class="manual-brand">DeepReview</p>
+      <h1 class="manual-title">${escapeHtml(this.t('guide.title'))}</h1>
+      <p class="manual-meta">${escapeHtml(locale.name)}${updated ? ` · ${escapeHtml(this.formatDate(updated))}` : ''}</p>
+    `;
+    
+    const toc = document.createElement('nav');
+    toc.className = 'manual-toc';
+    const tocTitle = document.createElement('h2');
+    tocTitle.textContent = this.t('manual.contents');
+    const tocList = document.createElement('ol');
+    toc.append(tocTitle, tocList);
+    
+    const sections = [];
+    this.sections.forEach(section => {
+      const content = this.getSectionData(section.key);
+      if (!content) return;
       
-      // Handle numbered lists with sub-items
-      if (/^\d+\./.test(section)) {
-        const lines = section.split('\n');
-        let result = '';
-        let inList = false;
-        let listContent = [];
-        
-        for (const line of lines) {
-          const trimmed = line.trim();
-          
-          if (/^\d+\./.test(trimmed)) {
-            if (!inList) {
-              result += '<ol>';
-              inList = true;
-            }
-            // Remove the number and dot, keep only the content
-            const content = trimmed.replace(/^\d+\.\s*/, '');
-            result += `<li>${content}`;
-            listContent = []; // Reset sub-content for this list item
-          } else if (trimmed.startsWith('- ') && inList) {
-            // Handle sub-items within numbered list
-            if (listContent.length === 0) {
-              result += '<ul>';
-            }
-            result += `<li>${trimmed.substring(2)}</li>`;
-            listContent.push(trimmed);
-          } else if (trimmed && inList) {
-            // Handle other content within list item
-            if (listContent.length > 0) {
-              result += '</ul>';
-              listContent = [];
-            }
-            result += `<div>${trimmed}</div>`;
-          } else if (trimmed) {
-            // Handle content outside of list
-            if (inList) {
-              if (listContent.length > 0) {
-                result += '</ul>';
-              }
-              result += '</li></ol>';
-              inList = false;
-              listContent = [];
-            }
-            result += `<p>${trimmed}</p>`;
-          }
-        }
-        
-        // Close any open tags
-        if (inList) {
-          if (listContent.length > 0) {
-            result += '</ul>';
-          }
-          result += '</li></ol>';
-        }
-        
-        return result;
+      const element = document.createElement('section');
+      element.className = 'manual-section guide-article';
+      element.id = `manual-${section.key}`;
+      element.lang = content.lang;
+      element.appendChild(this.sanitizer.sanitizeToFragment(this.markdownToHtml(content.content)));
+      if (content.lang !== this.currentLang) {
+        this.addTranslationNotice(element, content.lang);
       }
+      this.scopeManualIds(element, section.key);
+      sections.push(element);
       
-      // Regular paragraph
-      return `<p>${section}</p>`;
+      tocList.appendChild(this.createManualTocItem(section.title, element.id, element.querySelectorAll('h3[id]')));
     });
     
-    html = processedSections.join('\n');
-      
-      // Clean up
-    html = html.replace(/<p><\/p>/g, '');
-    html = html.replace(/\n+/g, '\n');
-    html = html.replace(/>\s+</g, '><');
-    
-    return html;
+    manual.replaceChildren(cover, toc, ...sections);
+    return manual;
   }
 
-
-
-  updateLanguageToggle() {
-    const langText = document.getElementById('langText');
-    const langIcon = document.getElementById('langIcon');
+  createManualTocItem(title, targetId, subheadings) {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = `#${targetId}`;
+    link.textContent = title;
+    item.appendChild(link);
     
-    if (this.currentLang === 'en') {
-      langText.textContent = '中文';
-      langIcon.textContent = '🌐';
-    } else {
-      langText.textContent = 'English';
-      langIcon.textContent = '🌐';
+    if (subheadings.length > 0) {
+      const list = document.createElement('ol');
+      subheadings.forEach(heading => {
+        const subitem = document.createElement('li');
+        const sublink = document.createElement('a');
+        sublink.href = `#${heading.id}`;
+        sublink.textContent = heading.textContent.trim();
+        subitem.appendChild(sublink);
+        list.appendChild(subitem);
+      });
+      item.appendChild(list);
     }
+    
+    return item;
   }
 
-  switchLanguage() {
-    this.currentLang = this.currentLang === 'en' ? 'zh' : 'en';
-    this.updateLanguageToggle();
-    this.renderNavigation();
-    this.showSection(this.currentSection);
-    this.updateURL(this.currentSection);
+  /**
+   * Sections reuse heading slugs, so prefix every id with the section key
+   * and point in-section fragment links at the prefixed ids
+   */
+  scopeManualIds(element, sectionKey) {
+    const prefix = `manual-${sectionKey}-`;
+    const ids = new Set();
+    
+    element.querySelectorAll('[id]').forEach(el => {
+      ids.add(el.id);
+      el.id = prefix + el.id;
+    });
+    element.querySelectorAll('a[href^="#"]').forEach(link => {
+      const target = link.getAttribute('href').slice(1);
+      if (ids.has(target)) {
+        link.setAttribute('href', `#${prefix}${target}`);
+      }
+    });
   }
 
-  toggleTheme() {
-    document.body.classList.toggle('dark-theme');
-    const themeIcon = document.getElementById('themeIcon');
-    const isDark = document.body.classList.contains('dark-theme');
-    themeIcon.textContent = isDark ? '☀️' : '🌙';
+  /**
+   * Print the whole guide instead of the section on screen
+   */
+  async printManual() {
+    if (!this.guideData) return;
+    
+    const manual = this.buildPrintManual();
     
-    // Save theme preference
-    localStorage.setItem('user-guide-theme', isDark ? 'dark' : 'light');
+    // Screenshots that are still loading would print as empty boxes
+    await Promise.all([...manual.querySelectorAll('img')].map(img => img.complete ? null : new Promise(resolve => {
+      img.addEventListener('load', resolve, { once: true });
+      img.addEventListener('error', resolve, { once: true });
+    })));
+    
+    document.body.classList.add('print-manual-mode');
+    window.addEventListener('afterprint', () => {
+      document.body.classList.remove('print-manual-mode');
+      manual.replaceChildren();
+    }, { once: true });
+    window.print();
   }
 
-  loadThemePreference() {
-    const savedTheme = localStorage.getItem('user-guide-theme');
-    if (savedTheme === 'dark') {
-      document.body.classList.add('dark-theme');
-      document.getElementById('themeIcon').textContent = '☀️';
-    }
+  /**
+   * The theme is site-wide (assets/theme.js); the header toggle cycles it on its own
+   */
+  toggleTheme() {
+    window.siteTheme.cycle();
+  }
+
+  /**
+   * Show the section's own last-modified date and its change log in the footer
+   */
+  updateLastUpdated(section) {
+    document.getElementById('lastUpdated').textContent = section.updated
+      ? this.formatDate(section.updated)
+      : this.t('history.unknown');
+
+    const history = document.getElementById('sectionHistory');
+    const list = document.getElementById('sectionHistoryList');
+    history.hidden = section.changes.length === 0;
+    list.lang = section.lang;
+    list.replaceChildren(...section.changes.map(change => {
+      const item = document.createElement('li');
+      if (change.date) {
+        const time = document.createElement('time');
+        time.dateTime = change.date;
+        time.textContent = this.formatDate(change.date);
+        item.append(time, ' ');
+      }
+      item.append(change.text);
+      return item;
+    }));
+  }
+
+  /**
+   * Whether the section in the language the reader sees changed within RECENT_UPDATE_DAYS
+   */
+  isRecentlyUpdated(sectionKey) {
+    const section = this.getSectionData(sectionKey);
+    if (!section || !section.updated) return false;
+    const age = Date.now() - Date.parse(`${section.updated}T00:00:00Z`);
+    return age >= 0 && age <= RECENT_UPDATE_DAYS * 24 * 60 * 60 * 1000;
   }
 
-  updateLastUpdated() {
-    const lastUpdated = document.getElementById('lastUpdated');
-    const date = new Date().toLocaleDateString(this.currentLang === 'zh' ? 'zh-CN' : 'en-US');
-    lastUpdated.textContent = date;
+  /**
+   * Format a YYYY-MM-DD revision date; dates are calendar days, so read them as UTC
+   */
+  formatDate(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString(this.i18n.get(this.currentLang).dateLocale, { timeZone: 'UTC' });
   }
 
   showError() {
+    this.toc.clear();
     const article = document.getElementById('guideArticle');
     article.innerHTML = `
       <div class="error-state">
-        <h2>⚠️ Loading Error</h2>
-        <p>Unable to load the user guide content. Please try refreshing the page.</p>
-        <button class="btn btn-primary" onclick="window.location.reload()">Refresh Page</button>
+        <h2>${escapeHtml(this.t('error.title'))}</h2>
+        <p>${escapeHtml(this.t('error.message'))}</p>
+        <button class="btn btn-primary" onclick="window.location.reload()">${escapeHtml(this.t('error.refresh'))}</button>
       </div>
     `;
   }
 
-  getStaticEnContent() {
-    return {
-      scenarios: {
-        title: '🎯 Application Scenarios',
-        content: `## 🎯 Application Scenarios
-
-DeepReview is a highly flexible AI-powered review tool that supports both predefined and custom rules. 
-- **Error Detection**: Syntax errors, logic errors, potential runtime errors
-- **Security Vulnerability Detection**: SQL injection, XSS attacks, authentication issues, etc.
-- **Performance Optimization**: Resource leaks, inefficient algorithms, improper data structure usage
-- **Code Style**: Naming conventions, comment completeness, code organization structure
-- **Technical Documentation**: API docs, user manuals, technical specifications
-- **Consistency Checks**: Terminology usage, format uniformity, content completeness
-- **Readability Enhancement**: Language clarity, logical structure, example code
-- **Standardization**: Unified team coding standards
-
-### 💻 Review Workflow
-
-Experience the full functionality of DeepReview through these steps:
-
-#### Step 1: Configure AI Provider
-First, configure your AI provider settings and select the appropriate model and API.
-
-<div class="operation-step">
-  <img src="assets/images/step1-settings.png" alt="Configure AI Provider" class="step-image" />
-  <p class="step-description">Select your AI provider (such as Deepseek) in the settings interface, configure model parameters and API key. The system will automatically test the connection to ensure proper configuration.</p>
-</div>
-
-#### Step 2: Import Files for Review
-Import the code files that need to be reviewed into the system.
-
-<div class="operation-step">
-  <img src="assets/images/step2-import-files.png" alt="Import Files" class="step-image" />
-  <p class="step-description">Click "Import Files" to import Python files. The system supports multiple programming languages and will automatically identify file types and display code content.</p>
-</div>
-
-#### Step 3: Select Review Rules
-Choose appropriate predefined rule sets based on your code type.
-
-<div class="operation-step">
-  <img src="assets/images/step3-select-rules.png" alt="Select Rules" class="step-image" />
-  <p class="step-description">Click "Import Rules" to select code review rules. The system provides various predefined rule sets including code style, security checks, performance optimization, etc.</p>
-</div>
-
-#### Step 4: Start AI Review
-Launch the AI review process and wait for analysis completion.
-
-<div class="operation-step">
-  <img src="assets/images/step4-start-review.png" alt="Start Review" class="step-image" />
-  <p class="step-description">Click "Start Review" to begin the review process. The system displays a progress bar as AI analyzes each selected rule and generates a detailed review report.</p>
-</div>
-
-#### Step 5: View Review Results
-Get detailed AI review reports and improvement suggestions.
-
-<div class="operation-step">
-  <img src="assets/images/step5-view-results.png" alt="View Results" class="step-image" />
-  <p class="step-description">After review completion, the right panel displays detailed findings and improvement suggestions. Each issue includes specific code locations, problem descriptions, and solutions.</p>
-</div>
-
-#### Step 6: Handle Review Suggestions
-Make appropriate modifications and optimizations to your code based on AI suggestions.
-
-<div class="operation-step">
-  <img src="assets/images/step6-handle-suggestions.png" alt="Handle Suggestions" class="step-image" />
-  <p class="step-description">You can accept, reject, or mark suggestions as pending. The system supports exporting review reports for convenient team collaboration and code improvement tracking.</p>
-</div>
-
-`
-      },
-      customRules: {
-        title: '📝 Custom Rules',
-        content: `## 📝 Custom Rules
-
-DeepReview allows you to create and import custom rules tailored to your specific needs. Custom rules enable you to enforce coding standards, business logic, compliance requirements, and domain-specific validations that go beyond standard code quality checks.
-
-### 🎯 Use Cases for Custom Rules
-
-#### **1. System Requirements Validation**
-After breaking down system requirements into detailed specifications, create custom rules to verify:
-
-- **Feature Implementation Completeness**: Ensure all required functionality is implemented
-- **Business Logic Accuracy**: Validate that code correctly implements business rules
-- **Interface Compliance**: Check API endpoints match specifications
-- **Data Flow Validation**: Verify proper data handling and transformation
-
-#### **2. Content Compliance & Moderation**
-For platforms handling user-generated content or community interactions:
-
-- **Community Guidelines**: Check posts, comments for policy violations
-- **Content Standards**: Validate formatting, language appropriateness
-- **Regulatory Compliance**: Ensure content meets legal requirements (GDPR, accessibility, etc.)
-- **Brand Guidelines**: Verify content aligns with company standards
-
-#### **3. Team-Specific Standards**
-
-- **Architecture Patterns**: Enforce specific design patterns or frameworks
-- **Security Protocols**: Check for custom security implementations
-- **Performance Requirements**: Validate against specific performance criteria
-- **Documentation Standards**: Ensure proper code documentation and comments
-
-### ✍️ Creating Custom Rules
-
-Custom rules use a simple *.txt format with categories and rule definitions:
-
-<div class="operation-step">
-  <img src="assets/images/self-rule-syntax.png" alt="Custom Rule Syntax" class="step-image" />
-  <p class="step-description">Use <code>#</code> for categories and <code>##</code> for rule titles. Each rule can contain multiple validation points and detailed instructions.</p>
-</div>
-
-
-### 📥 Importing Custom Rules
-
-1. **Import Process**: Use the "Import Rules" button in DeepReview
-2. **Review & Select**: Choose which rules to activate for your review
-3. **Apply & Test**: Run reviews using your custom rules
-
-<div class="operation-step">
-  <img src="assets/images/self-rule-display.png" alt="Custom Rules Display" class="step-image" />
-  <p class="step-description">After importing, your custom rules appear in the rules panel where you can select, organize, and apply them to your code or document reviews.</p>
-</div>
-
-### 🔧 Best Practices
-
-#### **Writing Effective Rules:**
-
-- **Be Specific**: Clearly define what to check and expected outcomes
-- **Include Examples**: Provide code samples or scenarios when possible
-- **Use Clear Language**: Write rules that AI can understand and apply consistently
-- **Test Iteratively**: Start with simple rules and refine based on results
-
-#### **Rule Organization:**
-
-- **Logical Grouping**: Group related rules under meaningful categories
-- **Priority Levels**: Consider rule importance when organizing
-- **Regular Updates**: Maintain and update rules as requirements evolve
-- **Team Collaboration**: Share and review rule sets with your team
-
-### 💡 Advanced Applications
-
-- **Compliance Auditing**: Regular validation against regulatory requirements
-- **Quality Gates**: Enforce custom rules as release criteria
-
-Custom rules transform DeepReview from a general-purpose tool into a specialized validation system tailored to your exact requirements and workflows.
-
-`
-      },
-      providers: {
-        title: '🔗 AI Provider Setup',
-        content: `## 🔗 AI Provider Setup
-
-DeepReview supports multiple AI providers. Choose the one that best fits your needs and budget.
-
-### 🌟 Supported AI Providers
-
-| Provider | Models | Context Length | Official Website |
-|----------|---------|----------------|------------------|
-| **OpenAI** | GPT-4.1, GPT-4.1-mini, o3-mini, GPT-5, GPT-5-min, GPT-5-nano | 128K - 200K tokens | [platform.openai.com](https://platform.openai.com) |
-| **xAI Grok** | Grok-3, Grok-3-mini, Grok-4 | 200K - 1.7M tokens | [x.ai](https://x.ai) |
-| **Anthropic Claude** | Claude-3.5 Sonnet, Claude-3.5 Haiku, Claude-3.7 Sonnet, Claude-Opus-4, Claude-Sonnet-4, Claude-Opus-4.1 | 200K tokens | [console.anthropic.com](https://console.anthropic.com) |
-| **DeepSeek** | DeepSeek-Chat, DeepSeek-Reasoner | 32K tokens | [platform.deepseek.com](https://platform.deepseek.com) |
-| **Google Gemini** | Gemini-1.5 Pro, Gemini-1.5 Flash, Gemini-2.5 Pro, Gemini-2.5 Flash | 32K - 1M tokens | [ai.google.dev](https://ai.google.dev) |
-| **Alibaba Qwen** | Qwen-Max, Qwen-Plus, Qwen-Turbo | 131K tokens | [dashscope.aliyuncs.com](https://dashscope.aliyuncs.com) |
-| **Moonshot (Kimi)** | Moonshot-v1-8k, Moonshot-v1-32k, Moonshot-v1-128k | 8K - 131K tokens | [platform.moonshot.cn](https://platform.moonshot.cn) |
-| **OpenAI Compatible** | Support for custom API endpoints | Varies by provider | Various third-party providers |
-
-> **Important Disclaimer**: DeepReview is an independent third-party tool and has no official partnership, affiliation, or endorsement from any of the AI providers listed above. Users must obtain their own API keys directly from the respective providers and comply with each provider's terms of service. DeepReview simply provides a convenient interface to connect to these services using your personal API credentials.
-
-> **Note about OpenAI Compatible**: If your preferred AI provider is not listed above, you can try connecting through the "OpenAI Compatible" option. Many third-party AI providers support OpenAI-compatible APIs. Simply select "OpenAI Compatible" as your provider, enter the appropriate API endpoint URL, and use your provider's API key.
-
-### 🔧 Configuration Steps
-
-1. Open DeepReview Settings and navigate to the "General" tab
-2. Select your AI Provider from the dropdown list of supported providers
-3. Enter your API Key and select the specific model you want to use
-4. Configure API URL, Context Window, and Output Length settings
-5. Click "Test API Connection" to verify your settings
-6. Save your configuration - settings are stored locally and encrypted
-
-### 🔐 Security & Privacy
-
-- **Local Storage**: All API keys are stored locally on your device using Chrome's secure storage
-- **No Server Transit**: Your keys never pass through our servers
-- **Direct Communication**: DeepReview connects directly to your chosen AI provider
-
-
-
-### 🛠️ Common API Issues & Solutions
-
-#### 🔗 Connection Issues
-
-1. Check your internet connection stability
-2. Verify the API URL is correct
-3. Test with manual API call to verify connectivity
-4. Check firewall settings for API request blocking
-5. Consider VPN issues in certain regions
-
-#### 🔐 Authentication Issues
-
-1. Double-check your API key is correct
-2. Ensure your account is active
-3. Verify your account has sufficient credits/balance
-4. Check API key permissions
-5. Try generating a new API key
-
-#### ⚡ Rate Limiting & Quotas
-
-1. Review your plan's rate limits
-2. Consider upgrading to higher tier
-3. Space out API requests
-4. Combine multiple requests when possible
-
-#### 📄 Response Format Issues
-
-1. Reduce the context window setting (remember: DeepReview uses character count, not tokens)
-2. Break large files into smaller chunks
-3. Limit the amount of text per request
-4. Use models with larger context limits
-5. Remove unnecessary content before processing
-
-#### 🚀 Performance Issues
-
-1. Verify provider's service status
-2. Set lower max_tokens limit
-3. Switch to quicker models like GPT-4o-mini
-4. Use concise and clear rules
-
-### 💡 Provider Selection Tips
-
-- **For Code Review**: OpenAI GPT-4, Claude-3.5 Sonnet, or DeepSeek-Coder
-- **For Large Files**: Google Gemini (2M context) or Claude (200K context)
-- **For Cost Efficiency**: OpenAI GPT-4o-mini, Moonshot, or local models
-- **For Chinese Content**: Qwen, ERNIE, Hunyuan, or Doubao
-- **For Latest Features**: GPT-4o, Claude-3.5 Sonnet, or Gemini-1.5 Pro
-- **For Privacy**: Local models via Ollama, vLLM, or LM Studio`
-      },
-      basic: {
-        title: '⚙️ Basic Settings Configuration',
-        content: `## ⚙️ Basic Settings Configuration
-
-### 🌟 Configuration Options
-
-| Setting | Function | Default/Options | Notes |
-|---------|----------|----------------|--------|
-| **Language** | Set user interface language | English, 中文 | Interface language and AI Response Language |
-| **API Provider** | Select AI service provider | OpenAI, Claude, DeepSeek, Gemini, Qwen, Grok, OpenAI Compatible... | Each has different models, pricing, capabilities |
-| **AI Model** | Choose specific model | Auto-updated based on provider | Larger models = better quality + higher cost |
-| **API URL** | Custom API endpoint | Auto-filled by provider | Required only for OpenAI Compatible |
-| **API Key** | Authentication credential | User-provided | Encrypted locally, never shared with servers |
-| **Output Length** | AI response token limit | 4000 tokens (100-8000 recommended) | Too small = truncated; too large = rejected |
-| **Context Window** | Input character limit per request | 32768 characters | Auto-splits when exceeded; adjust based on API provider token limits |
-| **Connection Test** | Verify API configuration | Test button | Validates settings before use |
-
-### 📊 Analysis & Export Settings
-
-| Setting | Function | Options | Use Cases |
-|---------|----------|---------|-----------|
-| **Detail Level** | Control analysis depth | Simple, Balanced, Detailed | Simple = fast; Detailed = thorough + slower |
-| **Export Layout** | Report organization | By Rule, By File | By Rule = rule-focused; By File = file-focused |
-| **Filter Passed** | Show only problems | Enable/Disable | Enable = issues only; Disable = all results |
-| **Collapse Function** | HTML report navigation | Enable/Disable | Enable for large reports with many sections |
-| **Reset Settings** | Restore defaults | One-click reset | Cannot be undone; preserves API keys |
-
-### 🔧 Configuration Tips
-
-- **For Code Review**: Choose models with strong programming capabilities (GPT-4, Claude-3.5-Sonnet, DeepSeek-Coder)
-- **For Large Files**: Use providers with large context windows (Gemini 2M, Claude 200K, Kimi 128K)
-- **For Cost Efficiency**: Consider GPT-4o-mini, DeepSeek, or local models via OpenAI Compatible
-- **For Chinese Content**: Qwen, ERNIE, Hunyuan, or Doubao provide better Chinese understanding
-- **For Privacy**: Use local models via Ollama with OpenAI Compatible setting
-
-### ⚠️ Important Notes
-
-**Context Window Setting:**
-- DeepReview splits files by **character count**, not token count
-- Setting too large may cause API failures due to token limits
-- If you experience API errors, try reducing the context window size`
-      },
-              advanced: {
-          title: '🚀 Advanced Features Configuration',
-          content: `## 🚀 Advanced Features Configuration
-
-### ⚡ Core Advanced Features
-
-| Feature | Function | Options/Settings | Pro Required | Use Cases |
-|---------|----------|------------------|--------------|-----------|
-| **Review Mode** | Result management & filtering | Accept/Pending/Reject status | No | Team reviews, QA workflows, progress tracking |
-| **Parallel Tasks** | Concurrent API requests | 1-10 tasks (Free: max 1) | Yes (>1) | Multi-file processing, faster reviews |
-| **Multi-File Analysis** | Analyze files as cohesive unit | Enable/Disable | No | Cross-file dependencies, architecture validation |
-| **AI Repair Suggestions** | Generate fix buttons in reports | Enable/Disable + sub-options | Yes | Quick fixes, learning from AI suggestions |
-
-### 🔧 Detailed Configuration
-
-| Setting | Description | Recommended Values | Important Notes |
-|---------|-------------|-------------------|----------------|
-| **Parallel Tasks** | Number of simultaneous API calls | 3-8 for most users | Higher values may trigger rate limits |
-| **Include File Content** | Full context for AI repair | Enable for accuracy | Increases token usage significantly |
-| **Require Detailed Plan** | AI explains before suggesting | Enable for safety | Reduces risk of inappropriate changes |
-| **Context Window Monitoring** | Track merged file size | Auto-calculated | Exceeding limits reduces effectiveness |
-
-### 🎯 Feature Benefits & Limitations
-
-| Feature | Benefits | Limitations | Best Practices |
-|---------|----------|-------------|----------------|
-| **Review Mode** | Systematic tracking, team collaboration | Local storage only | Use for structured review processes |
-| **Parallel Tasks** | 3-5x faster processing, better resource use | Rate limits, higher costs | Start with 3-5, adjust based on provider |
-| **Multi-File Analysis** | Cross-file consistency, architecture insights | Context window limits, slower processing | Group related files only (component + test + types) |
-| **AI Repair** | Quick fixes, learning tool | HTML reports only, separate API calls | Use selectively for complex issues |
-
-### 💡 Optimization Tips
-
-**Performance Optimization**:
-
-- Start with 3 parallel tasks, increase gradually
-- Monitor provider rate limits and adjust accordingly
-- Use multi-file analysis for related components only
-
-**Cost Management**:
-
-- Higher parallel tasks = faster completion but higher short-term costs
-- Balance speed vs. cost based on project needs
-
-**Quality Assurance**:
-
-- Enable "Require Detailed Plan" for AI suggestions
-- Use Review Mode for systematic code review processes
-- Test advanced settings with small files first`
-      },
-      privacy: {
-        title: '🔒 Privacy & Security',
-        content: `## 🔒 Privacy & Security
-
-### Data Privacy
-
-- All processing happens locally or through your chosen AI provider
-- Your code and documents never pass through our servers
-- API keys stored locally using Chrome's secure storage system
-- No content data collection or sharing
-
-### Security Features
-
-- Local API key storage (protected by Chrome's security system)
-- Direct connection to AI providers using your own credentials
-- No intermediate servers for content processing
-- Local storage of all settings and preferences
-
-### What We Store
-
-**Locally on Your Device:**
-- API keys and provider settings
-- Custom validation rules you create
-- Usage history and review results
-- Interface preferences and settings
-
-**On Our Servers (Minimal):**
-- Basic account information (email, name from Google OAuth)
-- Subscription status and billing information
-- No source code, documents, or AI analysis results
-
-### Third-Party Data Sharing
-
-- **AI Providers**: Your content is sent directly to your chosen AI provider using your API keys
-- **Payment Processing**: Handled by Paddle (our payment processor)
-- **Authentication**: Google OAuth for secure login
-- **No Content Sharing**: We never see or store your code or documents`
-      },
-      subscription: {
-        title: '💎 Subscription Policy',
-        content: `## 💎 Subscription Policy
-
-### 🎁 New User Experience
-
-**7-Day Pro Trial**: All new users automatically get full Pro access for 7 days
-
-- No credit card required to start
-- Full access to all Pro features
-- Seamless transition to Free tier if not upgraded
-
-### 💰 Annual Subscription Benefit
-
-**Pay for 10 months, get 12 months**: Annual subscribers save 2 months compared to monthly billing
-
-### 📊 Feature Comparison
-
-| Feature | Free Version | Pro Version |
-|---------|-------------|-------------|
-| File Analysis | ✅ Multi files | ✅ Multi files |
-| All AI Providers | ✅ All supported | ✅ All supported |
-| Predefined Rules | ✅ All rule sets | ✅ All rule sets |
-| Multi-File Analysis | ✅ Supported | ✅ Supported |
-| Basic Export | ✅ HTML | ✅ HTML |
-| Custom Rules | ❌ Not available | ✅ Create & import |
-| Review Mode | ❌ Not available | ✅ Accept/Pending/Reject |
-| Parallel Tasks | ❌ 1 task only | ✅ Up to 10 tasks |
-| AI Repair Suggestions | ❌ Not available | ✅ In exported reports |
-| Advanced Export | ❌ Basic formats only | ✅ Enhanced HTML with AI fixes |
-
-### 🏷️ Pricing
-
-- **Annual Plan**: $59.9/year (equivalent to ~$5/month)
-- **Monthly Plan**: $5.9/month
-
-### 🔄 Subscription Management
-
-- Cancel anytime, continue using until period ends
-- Automatic renewal (can be disabled)`
-      },
-      legal: {
-        title: '⚖️ Legal & Disclaimers',
-        content: `## ⚖️ Legal & Disclaimers
-
-### 🤖 AI Results Disclaimer
-
-**Important Notice**: All AI-generated review results and suggestions are provided for informational purposes only and should not be considered as professional advice or guaranteed solutions.
-
-- AI analysis results are **not guaranteed to be accurate or complete**
-- Users must **independently verify all AI suggestions** before implementation
-- DeepReview **does not warrant the correctness** of any AI-generated content
-- Users are **solely responsible** for any decisions made based on AI output
-- AI models may produce **false positives, false negatives, or incorrect recommendations**
-
-**Recommendation**: Always use human judgment and expertise when evaluating AI suggestions. Treat AI output as a helpful starting point for further investigation, not as definitive guidance.
-
-### 🛡️ Third-Party Services
-
-DeepReview integrates with various third-party AI services. Users are responsible for:
-
-- Complying with each AI provider's terms of service
-- Managing their own API usage and costs
-- Understanding the limitations of each AI model
-- Protecting their API keys and credentials
-
-### 📜 Open Source Components
-
-This software includes the following open source components:
-- **Monaco Editor** - Microsoft Corporation (MIT License)
-- **Mammoth.js** - Michael Williamson (BSD 2-Clause License)
-
-
-### ⚠️ Limitation of Liability
-
-DeepReview and its developers shall not be liable for any direct, indirect, incidental, special, or consequential damages arising from the use of AI-generated content or this software.`
-      },
-      support: {
-        title: '📞 Support & Feedback',
-        content: `## 📞 Support & Feedback
-
-### Getting Help
-
-- Email: support@deepreview.cloud
+  /**
+   * Build the full-text search index for the current language.
+   * Each section is split into one entry per heading so results can
+   * jump straight to the matching part of a section.
+   */
+  buildSearchIndex() {
+    this.searchIndex = [];
+    
+    this.sections.forEach(section => {
+      const sectionData = this.getSectionData(section.key);
+      if (!sectionData) return;
+      
+      // Use the renderer's headings so results link to the same ids as the page
+      const lines = sectionData.content.split('\n');
+      const headings = this.markdownRenderer.parse(sectionData.content)
+        .filter(block => block.type === 'heading');
+      const entries = [{ heading: section.title, id: null, level: 0, start: 0, bodyStart: 0 }]
+        .concat(headings.map(block => ({
+          heading: this.markdownToPlainText(block.text),
+          id: block.id,
+          level: block.level,
+          start: block.line,
+          bodyStart: block.line + 1
+        })));
+      
+      entries.forEach((entry, index) => {
+        const end = index + 1 < entries.length ? entries[index + 1].start : lines.length;
+        const text = this.markdownToPlainText(lines.slice(entry.bodyStart, end).join('\n'));
+        // Skip the empty preamble before the section's own heading
+        if (index === 0 && !text) return;
+        
+        this.searchIndex.push({
+          sectionKey: section.key,
+          sectionTitle: section.title,
+          heading: entry.heading,
+          // The section's own ## title sits at the top, so there is nothing to scroll to
+          anchor: entry.level > 2 ? entry.id : null,
+          text,
+          headingLower: entry.heading.toLowerCase(),
+          textLower: text.toLowerCase()
+        });
+      });
+    });
+  }
 
-### Feedback
+  /**
+   * Reduce a Markdown fragment to searchable plain text.
+   */
+  markdownToPlainText(markdown) {
+    return markdown
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/^\s*\|?[-:|\s]+\|[-:|\s]*$/gm, ' ')
+      .replace(/^\s*(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+      .replace(/[*`]/g, '')
+      .replace(/\|/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
 
-We value your feedback! Help us improve DeepReview by sharing your experience and suggestions.`
+  /**
+   * Rank index entries against a query. Every term must match either the
+   * heading or the body; heading and exact-phrase hits score higher.
+   */
+  search(query) {
+    const phrase = query.trim().toLowerCase();
+    const terms = phrase.split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+    
+    const results = [];
+    
+    this.searchIndex.forEach(entry => {
+      let score = 0;
+      
+      for (const term of terms) {
+        const inHeading = entry.headingLower.includes(term);
+        const occurrences = this.countOccurrences(entry.textLower, term);
+        if (!inHeading && occurrences === 0) return;
+        
+        if (inHeading) score += 10;
+        score += Math.min(occurrences, 5);
+        if (entry.sectionTitle.toLowerCase().includes(term)) score += 2;
       }
-    };
+      
+      if (terms.length > 1) {
+        if (entry.headingLower.includes(phrase)) score += 15;
+        if (entry.textLower.includes(phrase)) score += 5;
+      }
+      
+      results.push({ entry, score });
+    });
+    
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 10)
+      .map(result => ({
+        ...result.entry,
+        snippet: this.buildSnippet(result.entry.text, terms, phrase)
+      }));
   }
 
-  getStaticZhContent() {
-    return {
-      scenarios: {
-        title: '🎯 应用场景',
-        content: `## 🎯 应用场景
-
-DeepReview 是一个高度灵活的 AI 驱动的审查工具，支持预定义和自定义规则。
-- **错误检测**：语法错误、逻辑错误、潜在运行时错误
-- **安全漏洞检测**：SQL注入、XSS攻击、认证问题等
-- **性能优化**：资源泄漏、低效算法、不当的数据结构使用
-- **代码风格**：命名规范、注释完整性、代码组织结构
-- **技术文档**：API文档、用户手册、技术规范
-- **一致性检查**：术语使用、格式统一、内容完整性
-- **可读性提升**：语言清晰度、逻辑结构、示例代码
-- **标准化**：团队编码规范统一
-
-### 💻 审查工作流程
-
-通过以下步骤体验 DeepReview 的完整功能：
-
-#### 第1步：配置 AI 供应商
-首先需要配置您的 AI 供应商设置，选择合适的模型和 API。
-
-<div class="operation-step">
-  <img src="assets/images/step1-settings.png" alt="配置 AI 供应商" class="step-image" />
-  <p class="step-description">在设置界面中选择 AI 供应商（如 Deepseek），配置模型参数和 API 密钥。系统会自动测试连接确保配置正确。</p>
-</div>
-
-#### 第2步：导入要审查的文件
-将需要审查的代码文件导入到系统中。
-
-<div class="operation-step">
-  <img src="assets/images/step2-import-files.png" alt="导入文件" class="step-image" />
-  <p class="step-description">点击"Import Files"按钮导入Python文件。系统支持多种编程语言，会自动识别文件类型并显示代码内容。</p>
-</div>
-
-#### 第3步：选择审查规则
-根据代码类型选择合适的预定义规则集。
-
-<div class="operation-step">
-  <img src="assets/images/step3-select-rules.png" alt="选择规则" class="step-image" />
-  <p class="step-description">点击"Import Rules"选择代码审查规则。系统提供多种预定义规则集，包括代码风格、安全检查、性能优化等。</p>
-</div>
-
-#### 第4步：开始AI审查
-启动 AI 审查进程，等待分析完成。
-
-<div class="operation-step">
-  <img src="assets/images/step4-start-review.png" alt="开始审查" class="step-image" />
-  <p class="step-description">点击"Start Review"按钮开始审查。系统会显示进度条，AI会逐条分析选中的规则并生成详细的审查报告。</p>
-</div>
-
-#### 第5步：查看审查结果
-获得详细的 AI 审查报告和改进建议。
-
-<div class="operation-step">
-  <img src="assets/images/step5-view-results.png" alt="查看结果" class="step-image" />
-  <p class="step-description">审查完成后，右侧面板显示详细的发现问题和改进建议。每个问题都包含具体的代码位置、问题描述和解决方案。</p>
-</div>
-
-#### 第6步：处理审查建议
-根据 AI 建议对代码进行相应的修改和优化。
-
-<div class="operation-step">
-  <img src="assets/images/step6-handle-suggestions.png" alt="处理建议" class="step-image" />
-  <p class="step-description">可以接受、拒绝或标记为待处理状态。系统支持导出审查报告，方便团队协作和代码改进跟踪。</p>
-</div>
-
-`
-      },
-      customRules: {
-        title: '📝 自定义规则',
-        content: `## 📝 自定义规则
-
-DeepReview 允许您创建和导入针对特定需求的自定义规则。自定义规则能够帮您执行编码标准、业务逻辑、合规要求以及超越标准代码质量检查的领域特定验证。
-
-### 🎯 自定义规则应用场景
-
-#### **1. 系统需求验证**
-在将系统需求分解为详细规格后，创建自定义规则来验证：
-
-- **功能实现完整性**：确保所有必需功能都已实现
-- **业务逻辑准确性**：验证代码正确实现业务规则  
-- **接口合规性**：检查API端点是否符合规范
-- **数据流验证**：验证正确的数据处理和转换
-
-#### **2. 内容合规性与审核**
-针对处理用户生成内容或社区交互的平台：
-
-- **社区准则**：检查帖子、评论是否违反政策
-- **内容标准**：验证格式化、语言适当性
-- **法规合规**：确保内容符合法律要求（GDPR、无障碍访问等）
-- **品牌准则**：验证内容符合公司标准
-
-#### **3. 团队特定标准**
-
-- **架构模式**：强制执行特定设计模式或框架
-- **安全协议**：检查自定义安全实现
-- **性能要求**：根据特定性能标准进行验证
-- **文档标准**：确保适当的代码文档和注释
-
-### ✍️ 创建自定义规则
-
-自定义规则使用简单的 \`.txt\` 文件，包含分类和规则定义：
-
-<div class="operation-step">
-  <img src="assets/images/self-rule-syntax.png" alt="自定义规则语法" class="step-image" />
-  <p class="step-description">使用 <code>#</code> 表示分类，<code>##</code> 表示规则标题。每个规则可以包含多个验证点和详细说明。</p>
-</div>
-
-
-### 📥 导入自定义规则
-
-1. **导入过程**：在 DeepReview 中使用"导入规则"按钮
-2. **审查和选择**：选择要激活的规则进行审查
-3. **应用和测试**：使用您的自定义规则运行审查
-
-<div class="operation-step">
-  <img src="assets/images/self-rule-display.png" alt="自定义规则显示" class="step-image" />
-  <p class="step-description">导入后，您的自定义规则会出现在规则面板中，您可以选择、组织并将它们应用到代码或文档审查中。</p>
-</div>
-
-### 🔧 最佳实践
-
-#### **编写有效规则：**
-
-- **具体明确**：清楚定义要检查的内容和预期结果
-- **包含示例**：尽可能提供代码示例或场景
-- **使用清晰语言**：编写AI能够理解并一致应用的规则
-- **迭代测试**：从简单规则开始，根据结果进行完善
-
-#### **规则组织：**
-
-- **逻辑分组**：在有意义的分类下分组相关规则
-- **优先级别**：组织时考虑规则重要性
-- **定期更新**：随着需求演变维护和更新规则
-- **团队协作**：与团队共享和审查规则集
-
-### 💡 高级应用
-
-- **合规审计**：定期根据法规要求进行验证
-- **质量门槛**：将自定义规则作为发布标准强制执行
-
-自定义规则将 DeepReview 从通用工具转变为专门针对您确切要求和工作流程的专业验证系统。
-
-`
-      },
-      providers: {
-        title: '🔗 AI 供应商配置',
-        content: `## 🔗 AI 供应商配置
-
-DeepReview 支持多个 AI 供应商，您可以选择最适合您需求和预算的供应商。
-
-### 🌟 支持的 AI 供应商
-
-| 供应商 | 模型 | 上下文长度 | 官方网站 |
-|--------|------|------------|----------|
-| **OpenAI** | GPT-4.1, GPT-4.1-mini, o3-mini, GPT-5, GPT-5-min, GPT-5-nano | 128K - 200K tokens | [platform.openai.com](https://platform.openai.com) |
-| **xAI Grok** | Grok-3, Grok-3-mini, Grok-4 | 200K - 1.7M tokens | [x.ai](https://x.ai) |
-| **Anthropic Claude** | Claude-3.5 Sonnet, Claude-3.5 Haiku, Claude-3.7 Sonnet, Claude-Opus-4, Claude-Sonnet-4, Claude-Opus-4.1 | 200K tokens | [console.anthropic.com](https://console.anthropic.com) |
-| **DeepSeek** | DeepSeek-Chat, DeepSeek-Reasoner | 32K tokens | [platform.deepseek.com](https://platform.deepseek.com) |
-| **Google Gemini** | Gemini-1.5 Pro, Gemini-1.5 Flash, Gemini-2.5 Pro, Gemini-2.5 Flash | 32K - 1M tokens | [ai.google.dev](https://ai.google.dev) |
-| **阿里云通义千问** | Qwen-Max, Qwen-Plus, Qwen-Turbo | 131K tokens | [dashscope.aliyuncs.com](https://dashscope.aliyuncs.com) |
-| **月之暗面 (Kimi)** | Moonshot-v1-8k, Moonshot-v1-32k, Moonshot-v1-128k | 8K - 131K tokens | [platform.moonshot.cn](https://platform.moonshot.cn) |
-| **OpenAI兼容** | 支持自定义API端点 | 因供应商而异 | 多种第三方供应商 |
-
-> **重要免责声明**: DeepReview是独立的第三方工具，与上述任何AI供应商均无官方合作关系、关联关系或背书。用户必须直接从相应的供应商处获取自己的API密钥，并遵守各供应商的服务条款。DeepReview仅提供便捷的界面来连接这些服务，使用您的个人API凭据。
-
-> **关于OpenAI兼容模式**: 如果您希望使用的AI供应商不在上述列表中，可以尝试通过"OpenAI兼容"选项进行连接。许多第三方AI供应商都支持OpenAI兼容的API接口。只需选择"OpenAI兼容"作为您的供应商，输入相应的API端点URL，并使用您的供应商API密钥即可。
-
-### 🔧 配置步骤
-
-1. 打开 DeepReview 设置并导航到"通用"标签页
-2. 从支持的供应商下拉列表中选择 AI 供应商
-3. 输入您的 API 密钥并选择要使用的具体模型
-4. 配置 API URL、上下文窗口和输出长度设置
-5. 点击"测试 API 连接"验证设置
-6. 保存配置 - 设置在本地存储并加密
-
-### 🔐 安全与隐私
-
-- **本地存储**：所有 API 密钥都使用Chrome的安全存储系统存储在您的设备上
-- **无服务器传输**：您的密钥永远不会通过我们的服务器
-- **直接通信**：DeepReview 直接连接到您选择的 AI 供应商
-
-
-
-### 🛠️ API 常见问题与解决方案
-
-#### 🔗 连接问题
-
-1. 确保网络连接稳定
-2. 确认端点 URL 正确
-3. 尝试手动 API 调用验证连通性
-4. 检查防火墙设置
-5. 考虑某些地区可能屏蔽特定供应商
-
-#### 🔐 身份验证问题
-
-1. 仔细检查 API 密钥是否正确
-2. 确保账户处于活跃状态
-3. 验证账户有足够的额度/余额
-4. 确保 API 密钥具有所需权限
-5. 尝试生成新的 API 密钥
-
-#### ⚡ 速率限制和配额
-
-1. 查看您套餐的速率限制
-2. 考虑升级到更高级别
-3. 间隔 API 请求
-4. 尽可能合并多个请求
-
-#### 📄 响应格式问题
-
-1. 减少上下文窗口设置（注意：DeepReview 按字符数而非 token 数计算）
-2. 将大文件分解为较小的块
-3. 限制每次请求的文本量
-4. 使用上下文限制更大的模型
-5. 处理前删除不必要的内容
-
-#### 🚀 性能问题
-
-1. 验证供应商的服务状态
-2. 设置较低的 max_tokens 限制
-3. 切换到更快的模型如 GPT-4o-mini
-4. 使用简洁明确的规则
-
-### 💡 供应商选择建议
-
-- **代码审查推荐**：OpenAI GPT-4、Claude-3.5 Sonnet 或 DeepSeek-Coder
-- **大文件处理**：Google Gemini（2M 上下文）或 Claude（200K 上下文）
-- **成本效益优先**：OpenAI GPT-4o-mini、月之暗面或本地模型
-- **中文内容优化**：通义千问、文心一言、混元或豆包
-- **最新功能体验**：GPT-4o、Claude-3.5 Sonnet 或 Gemini-1.5 Pro
-- **隐私保护优先**：选择信誉良好的AI供应商并仔细阅读其隐私政策`
-      },
-      basic: {
-        title: '⚙️ 基础设置配置',
-        content: `## ⚙️ 基础设置配置
-
-### 🌟 配置选项
-
-| 设置项 | 功能 | 默认值/选项 | 注意事项 |
-|-------|------|------------|----------|
-| **语言** | 设置用户界面语言 | English, 中文 | 影响界面语言及AI返回结果 |
-| **AI供应商** | 选择AI服务提供商 | OpenAI, Claude, DeepSeek, Gemini, 通义千问, Kimi, 豆包, Grok, OpenAI Compatible | 每个供应商有不同的模型、定价和功能 |
-| **AI模型** | 选择具体模型 | 根据供应商自动更新 | 更大模型 = 更好质量 + 更高成本 |
-| **API URL** | 自定义API端点 | 根据供应商自动填充 | 仅OpenAI Compatible时必填 |
-| **API密钥** | 身份验证凭据 | 用户提供 | 本地加密存储，绝不与服务器共享 |
-| **输出长度** | AI响应token限制 | 4000 tokens (建议100-8000) | 太小会截断，太大会被拒绝 |
-| **上下文窗口** | 每请求输入字符限制 | 32768 字符 | 超限时自动分片，需根据API提供商token限制合理设置 |
-| **连接测试** | 验证API配置 | 测试按钮 | 使用前验证设置 |
-
-### 📊 分析与导出设置
-
-| 设置项 | 功能 | 选项 | 使用场景 |
-|-------|------|------|----------|
-| **详细程度** | 控制分析深度 | 简单, 均衡, 详细 | 简单=快速；详细=彻底+较慢 |
-| **导出排版** | 报告组织结构 | 按规则, 按文件 | 按规则=规则导向；按文件=文件导向 |
-| **过滤通过项** | 仅显示问题 | 启用/禁用 | 启用=仅问题；禁用=所有结果 |
-| **折叠功能** | HTML报告导航 | 启用/禁用 | 启用适合多章节的大型报告 |
-| **重置设置** | 恢复默认值 | 一键重置 | 无法撤销，保留API密钥 |
-
-### 🔧 配置建议
-
-- **代码审查推荐**：选择编程能力强的模型（GPT-4, Claude-3.5-Sonnet, DeepSeek-Coder）
-- **大文件处理**：使用大上下文窗口的供应商（Gemini 2M, Claude 200K, Kimi 128K）
-- **成本效益优先**：考虑 GPT-4o-mini, DeepSeek 或通过 OpenAI Compatible 的本地模型
-- **中文内容优化**：通义千问、文心一言、混元或豆包提供更好的中文理解
-- **隐私保护优先**：通过 Ollama 使用本地模型配合 OpenAI Compatible 设置
-
-### ⚠️ 重要说明
-
-**上下文窗口设置：**
-
-- DeepReview 按**字符数**而非 token 数分片文件
-- 设置过大可能导致超出 token 限制而 API 调用失败
-- 如遇到 API 错误，请尝试减小上下文窗口大小`
-      },
-      advanced: {
-        title: '🚀 高级功能配置',
-        content: `## 🚀 高级功能配置
-
-### ⚡ 核心高级功能
-
-| 功能 | 作用 | 选项/设置 | 需要Pro | 使用场景 |
-|------|------|----------|---------|----------|
-| **审阅模式** | 结果管理与过滤 | 接受/待处理/拒绝状态 | 否 | 团队审查、QA工作流、进度跟踪 |
-| **并行任务** | 并发API请求 | 1-10个任务（免费版最多1个） | 是(>1) | 多文件处理、加速审查 |
-| **多文件分析** | 文件整体分析 | 启用/禁用 | 否 | 跨文件依赖、架构验证 |
-| **AI修复建议** | 报告中生成修复按钮 | 启用/禁用 + 子选项 | 是 | 快速修复、AI学习建议 |
-
-### 🔧 详细配置
-
-| 设置项 | 描述 | 建议值 | 重要提醒 |
-|-------|------|--------|----------|
-| **并行任务数** | 同时进行的API调用数量 | 大多数用户3-8个 | 高值可能触发速率限制 |
-| **包含文件内容** | AI修复的完整上下文 | 启用以提高准确性 | 显著增加token使用量 |
-| **要求详细计划** | AI先解释再建议 | 启用以提高安全性 | 降低不当更改的风险 |
-| **上下文窗口监控** | 跟踪合并文件大小 | 自动计算 | 超限会降低效果 |
-
-### 🎯 功能优势与限制
-
-| 功能 | 优势 | 限制 | 最佳实践 |
-|------|------|------|----------|
-| **审阅模式** | 系统化跟踪、团队协作 | 仅本地存储 | 用于结构化审查流程 |
-| **并行任务** | 3-5倍处理加速、更好资源利用 | 速率限制、成本增加 | 从3-5开始，根据供应商调整 |
-| **多文件分析** | 跨文件一致性、架构洞察 | 上下文窗口限制、处理较慢 | 仅分组相关文件（组件+测试+类型） |
-| **AI修复** | 快速修复、学习工具 | 仅HTML报告、单独API调用 | 有选择地用于复杂问题 |
-
-### 💡 优化建议
-
-**性能优化**：
-
-- 从3个并行任务开始，逐步增加
-- 监控供应商速率限制并相应调整
-- 仅对相关组件使用多文件分析
-
-**成本管理**：
-
-- 更高并行任务数 = 更快完成但短期成本更高
-- 根据项目需求平衡速度与成本
-
-**质量保证**：
-
-- 为AI建议启用"要求详细计划"
-- 使用审阅模式进行系统化代码审查流程
-- 先用小文件测试高级设置`
-      },
-      privacy: {
-        title: '🔒 隐私与安全',
-        content: `## 🔒 隐私与安全
-
-### 数据隐私
-
-- 所有处理都在本地或通过您选择的 AI 供应商进行
-- 我们的服务器不存储任何数据
-- API 密钥在本地加密
-
-### 安全功能
-
-- 安全的 API 密钥存储
-- 本地处理选项`
-      },
-      subscription: {
-        title: '💎 订阅政策',
-        content: `## 💎 订阅政策
-
-### 🎁 新用户体验
-
-**7天高级功能体验**：所有新用户自动获得7天完整Pro功能访问
-
-- 无需信用卡即可开始
-- 完整访问所有Pro功能
-- 如不升级可无缝转为免费版
-
-### 💰 年费会员优惠
-
-**付10个月享12个月**： 年费会员相比月付节省2个月费用
-
-### 📊 功能对比
-
-| 功能 | 免费版 | Pro版 |
-|------|--------|-------|
-| 文件分析 | ✅ 多个文件 | ✅ 多个文件 |
-| 所有AI供应商 | ✅ 全部支持 | ✅ 全部支持 |
-| 预定义规则 | ✅ 所有规则集 | ✅ 所有规则集 |
-| 多文件分析 | ✅ 支持 | ✅ 支持 |
-| 基础导出 | ✅ HTML | ✅ HTML |
-| 审阅模式 | ❌不支持 | ✅ 接受/待定/拒绝 |
-| 自定义规则 | ❌ 不可用 | ✅ 创建&导入 |
-| 并行任务 | ❌ 仅1个任务 | ✅ 最多10个任务 |
-| AI修复建议 | ❌ 不可用 | ✅ 导出报告中可用 |
-| 高级导出 | ❌ 仅基础格式 | ✅ 增强HTML含AI修复 |
-
-### 🏷️ 定价
-
-- **年度套餐**：$59.9/年（相当于约$5/月）
-- **月度套餐**：$5.9/月
-
-### 🔄 订阅管理
-
-- 随时取消，服务使用至当期结束
-- 自动续费（可关闭）`
-      },
-      legal: {
-        title: '⚖️ 法律声明与免责',
-        content: `## ⚖️ 法律声明与免责
-
-### 🤖 AI结果免责声明
-
-**重要提示**：所有AI生成的审查结果和建议仅供参考，不应被视为专业建议或保证的解决方案。
-
-- AI分析结果**不保证准确性或完整性**
-- 用户必须在实施前**独立验证所有AI建议**
-- DeepReview**不保证任何AI生成内容的正确性**
-- 用户**完全负责**基于AI输出做出的任何决定
-- AI模型可能产生**误报、漏报或错误建议**
-
-**建议**：在评估AI建议时始终使用人类判断和专业知识。将AI输出视为进一步调查的有用起点，而非最终指导。
-
-### 🛡️ 第三方服务
-
-DeepReview集成了各种第三方AI服务。用户有责任：
-
-- 遵守各AI供应商的服务条款
-- 管理自己的API使用和费用
-- 了解各AI模型的局限性
-- 保护其API密钥和凭据
-
-### 📜 开源组件
-
-本软件包含以下开源组件：
-- **Monaco Editor** - Microsoft Corporation (MIT许可证)
-- **Mammoth.js** - Michael Williamson (BSD 2-Clause许可证)
+  countOccurrences(text, term) {
+    let count = 0;
+    let index = text.indexOf(term);
+    while (index !== -1) {
+      count++;
+      index = text.indexOf(term, index + term.length);
+    }
+    return count;
+  }
 
-### ⚠️ 责任限制
+  /**
+   * Cut a short excerpt around the first match and highlight every term.
+   */
+  buildSnippet(text, terms, phrase) {
+    const lower = text.toLowerCase();
+    let position = lower.indexOf(phrase);
+    if (position === -1) {
+      const positions = terms.map(term => lower.indexOf(term)).filter(index => index !== -1);
+      position = positions.length > 0 ? Math.min(...positions) : 0;
+    }
+    
+    const start = Math.max(0, position - 40);
+    const end = Math.min(text.length, position + 120);
+    let snippet = text.slice(start, end);
+    if (start > 0) snippet = '…' + snippet;
+    if (end < text.length) snippet += '…';
+    
+    return this.highlightTerms(snippet, terms);
+  }
 
-DeepReview及其开发者不对因使用AI生成内容或本软件而产生的任何直接、间接、偶然、特殊或后果性损害承担责任。`
-      },
-      support: {
-        title: '📞 支持与反馈',
-        content: `## 📞 支持与反馈
+  highlightTerms(text, terms) {
+    const pattern = terms
+      .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .sort((a, b) => b.length - a.length)
+      .join('|');
+    const regex = new RegExp(`(${pattern})`, 'gi');
+    
+    return text
+      .split(regex)
+      .map((part, index) => index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+      .join('');
+  }
 
-### 获取帮助
+  runSearch(query) {
+    const container = document.getElementById('searchResults');
+    
+    if (!query.trim()) {
+      container.hidden = true;
+      container.innerHTML = '';
+      return;
+    }
+    
+    const results = this.search(query);
+    const terms = query.trim().toLowerCase().split(/\s+/);
+    
+    if (results.length === 0) {
+      container.innerHTML = `<div class="search-empty">${escapeHtml(this.t('search.empty'))}</div>`;
+    } else {
+      container.innerHTML = results.map(result => `
+        <button type="button" class="search-result" data-section="${escapeHtml(result.sectionKey)}" data-anchor="${result.anchor ? escapeHtml(result.anchor) : ''}">
+          <span class="search-result-section">${escapeHtml(result.sectionTitle)}</span>
+          <span class="search-result-heading">${this.highlightTerms(result.heading, terms)}</span>
+          <span class="search-result-snippet">${result.snippet}</span>
+        </button>
+      `).join('');
+    }
+    
+    container.hidden = false;
+  }
 
-- 邮箱：support@deepreview.cloud
+  clearSearch() {
+    const input = document.getElementById('searchInput');
+    input.value = '';
+    this.runSearch('');
+  }
 
-### 反馈
+  updateSearchPlaceholder() {
+    const input = document.getElementById('searchInput');
+    const label = this.t('search.placeholder');
+    input.placeholder = label;
+    input.setAttribute('aria-label', label);
+  }
 
-我们重视您的反馈！通过分享您的体验和建议来帮助我们改进 DeepReview。`
-      }
-    };
+  /**
+   * Open the section of a search result and scroll to its heading.
+   */
+  goToSearchResult(sectionKey, anchor) {
+    this.showSection(sectionKey, anchor || null);
+    if (!anchor) return;
+    
+    const target = this.findHeading(anchor);
+    if (target) {
+      target.classList.add('search-target');
+      setTimeout(() => target.classList.remove('search-target'), 2000);
+    }
   }
 
   bindEvents() {
-    // Load theme preference
-    this.loadThemePreference();
-    
-    // Navigation clicks
+    // Navigation clicks; modified clicks keep the browser's own handling (new tab, etc.)
     document.addEventListener('click', (e) => {
-      if (e.target.closest('.nav-section-title')) {
-        const section = e.target.closest('.nav-section-title').dataset.section;
-        if (section) {
-          this.showSection(section);
-        }
+      const navItem = e.target.closest('.nav-section-title');
+      if (navItem && !(e.ctrlKey || e.metaKey || e.shiftKey || e.altKey)) {
+        e.preventDefault();
+        this.showSection(navItem.dataset.section);
+      }
+      
+      // #section and #section/heading links in the content stay in the page
+      const contentLink = e.target.closest('#guideArticle a[href^="#"]');
+      if (contentLink && !(e.ctrlKey || e.metaKey || e.shiftKey || e.altKey)) {
+        e.preventDefault();
+        const { section, heading } = this.resolveHash(contentLink.getAttribute('href'));
+        this.showSection(section, heading);
+      }
+      
+      const headingLink = e.target.closest('.heading-link');
+      if (headingLink) {
+        this.copyHeadingLink(headingLink);
+      }
+      
+      const result = e.target.closest('.search-result');
+      if (result) {
+        this.goToSearchResult(result.dataset.section, result.dataset.anchor);
+        this.clearSearch();
       }
     });
     
-    // Language toggle
-    document.getElementById('langToggle').addEventListener('click', () => {
-      this.switchLanguage();
+    document.getElementById('guideNav').addEventListener('keydown', (e) => this.handleNavKeydown(e));
+    
+    // Back/Forward and hand-edited hashes; scroll positions are restored from the history state
+    if ('scrollRestoration' in window.history) {
+      window.history.scrollRestoration = 'manual';
+    }
+    window.addEventListener('popstate', (e) => this.followLocation(e.state));
+    window.addEventListener('hashchange', () => this.followLocation(null));
+    // Keep the current entry's position saved as the reader scrolls, so Forward
+    // returns to it as well as Back
+    const saveScrollSoon = () => {
+      clearTimeout(this.scrollSaveTimer);
+      this.scrollSaveTimer = setTimeout(() => this.saveScrollPosition(), 150);
+    };
+    document.querySelector('.guide-content').addEventListener('scroll', saveScrollSoon, { passive: true });
+    window.addEventListener('scroll', saveScrollSoon, { passive: true });
+    window.addEventListener('pagehide', () => this.saveScrollPosition());
+    
+    // Search
+    const searchInput = document.getElementById('searchInput');
+    let searchTimer = null;
+    searchInput.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => this.runSearch(searchInput.value), 150);
+    });
+    searchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.clearSearch();
+      } else if (e.key === 'Enter') {
+        const first = document.querySelector('#searchResults .search-result');
+        if (first) first.click();
+      }
     });
     
-    // Theme toggle
-    document.getElementById('themeToggle').addEventListener('click', () => {
-      this.toggleTheme();
+    // Language picker
+    this.renderLanguagePicker();
+    this.applyTranslations();
+    document.getElementById('langSelect').addEventListener('change', (e) => {
+      this.switchLanguage(e.target.value);
     });
     
+    // Offline indicator
+    this.updateOfflineIndicator();
+    window.addEventListener('online', () => this.updateOfflineIndicator());
+    window.addEventListener('offline', () => this.updateOfflineIndicator());
+    
     // Print
     document.getElementById('printBtn').addEventListener('click', () => {
       window.print();
     });
-    
-    // Mobile menu (if needed)
-    this.setupMobileMenu();
+    document.getElementById('printManualBtn').addEventListener('click', () => {
+      this.printManual();
+    });
     
     // Image click to enlarge
     this.setupImageEnlarge();
     
     // Keyboard shortcuts
+    this.setupKeyboardShortcuts();
+  }
+
+  /**
+   * Ctrl/Cmd shortcuts work everywhere; single-key shortcuts are ignored
+   * while the reader types in a field or a dialog is open
+   */
+  setupKeyboardShortcuts() {
     document.addEventListener('keydown', (e) => {
+      if (e.defaultPrevented || e.isComposing) return;
+      
       if (e.ctrlKey || e.metaKey) {
-        switch (e.key) {
+        switch (e.key.toLowerCase()) {
           case 'p':
             e.preventDefault();
             window.print();
             break;
+          case 'k':
+            e.preventDefault();
+            this.closeShortcutsHelp();
+            this.lightbox.close();
+            this.palette.toggle();
+            break;
         }
+        return;
       }
+      
+      if (e.altKey || this.isTypingTarget(e.target) || this.isDialogOpen()) return;
+      
+      switch (e.key) {
+        case 'n':
+          this.clickPagination('nextBtn');
+          break;
+        case 'p':
+          this.clickPagination('prevBtn');
+          break;
+        case '/': {
+          e.preventDefault();
+          const searchInput = document.getElementById('searchInput');
+          // On narrow screens the search box is in the drawer
+          this.drawer.focus(searchInput);
+          searchInput.select();
+          break;
+        }
+        case 't':
+          this.toggleTheme();
+          break;
+        case 'l':
+          this.switchToNextLanguage();
+          break;
+        case '?':
+          e.preventDefault();
+          this.openShortcutsHelp();
+          break;
+      }
+    });
+    
+    const help = document.getElementById('shortcutsHelp');
+    document.getElementById('shortcutsBtn').addEventListener('click', () => this.openShortcutsHelp());
+    document.getElementById('shortcutsHelpClose').addEventListener('click', () => this.closeShortcutsHelp());
+    help.addEventListener('click', (e) => {
+      if (e.target === help) this.closeShortcutsHelp();
     });
+    help.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.closeShortcutsHelp();
+      } else if (e.key === 'Tab') {
+        // The close button is the only control; keep focus inside the dialog
+        e.preventDefault();
+      }
+    });
+  }
+
+  isTypingTarget(element) {
+    return Boolean(element && element.closest && (
+      element.closest('input, textarea, select') || element.isContentEditable
+    ));
+  }
+
+  isDialogOpen() {
+    return this.palette.isOpen() ||
+      !document.getElementById('shortcutsHelp').hidden ||
+      this.lightbox.isOpen();
   }
 
-  setupMobileMenu() {
-    // Add mobile menu toggle if on mobile
-    if (window.innerWidth <= 768) {
-      const mobileToggle = document.createElement('button');
-      mobileToggle.className = 'mobile-menu-toggle';
-      mobileToggle.innerHTML = '☰';
-      mobileToggle.onclick = () => {
-        document.querySelector('.guide-sidebar').classList.toggle('open');
-      };
-      document.body.appendChild(mobileToggle);
+  /**
+   * Follow the previous/next button updatePagination set up, if there is one
+   */
+  clickPagination(buttonId) {
+    const button = document.getElementById(buttonId);
+    if (!button.disabled) {
+      button.click();
     }
+  }
+
+  switchToNextLanguage() {
+    const codes = this.i18n.list().map(locale => locale.code);
+    const next = codes[(codes.indexOf(this.currentLang) + 1) % codes.length];
+    this.switchLanguage(next);
+  }
+
+  openShortcutsHelp() {
+    const help = document.getElementById('shortcutsHelp');
+    if (!help.hidden) return;
+    this.shortcutsReturnFocus = document.activeElement;
+    help.hidden = false;
+    document.getElementById('shortcutsHelpClose').focus();
+  }
+
+  closeShortcutsHelp() {
+    const help = document.getElementById('shortcutsHelp');
+    if (help.hidden) return;
+    help.hidden = true;
+    if (this.shortcutsReturnFocus && typeof this.shortcutsReturnFocus.focus === 'function') {
+      this.shortcutsReturnFocus.focus();
+    }
+    this.shortcutsReturnFocus = null;
+  }
+
+  /**
+   * Every section and every h3/h4 heading of the current language, for the command palette
+   */
+  getPaletteItems() {
+    const items = this.sections.map(section => ({
+      label: section.title,
+      detail: '',
+      icon: section.icon,
+      section: section.key,
+      heading: null
+    }));
     
-    // Close mobile menu when clicking outside
-    document.addEventListener('click', (e) => {
-      const sidebar = document.querySelector('.guide-sidebar');
-      const toggle = document.querySelector('.mobile-menu-toggle');
-      
-      if (!sidebar.contains(e.target) && e.target !== toggle) {
-        sidebar.classList.remove('open');
-      }
+    this.searchIndex.forEach(entry => {
+      if (!entry.anchor) return;
+      items.push({
+        label: entry.heading,
+        detail: entry.sectionTitle,
+        icon: '#',
+        section: entry.sectionKey,
+        heading: entry.anchor
+      });
     });
+    return items;
   }
 
   setupImageEnlarge() {
@@ -1403,37 +1301,37 @@ DeepReview及其开发者不对因使用AI生成内容或本软件而产生的
         this.enlargeImage(e.target);
       }
     });
+    document.addEventListener('keydown', (e) => {
+      if ((e.key === 'Enter' || e.key === ' ') && e.target.classList && e.target.classList.contains('step-image')) {
+        e.preventDefault();
+        this.enlargeImage(e.target);
+      }
+    });
   }
 
-  enlargeImage(img) {
-    // Create modal overlay
-    const modal = document.createElement('div');
-    modal.className = 'image-modal';
-    modal.innerHTML = `
-      <div class="image-modal-content">
-        <img src="${img.src}" alt="${img.alt}" class="enlarged-image" />
-        <button class="close-modal" title="关闭">&times;</button>
-      </div>
-    `;
-    
-    // Add to body
-    document.body.appendChild(modal);
-    
-    // Close handlers
-    modal.addEventListener('click', (e) => {
-      if (e.target === modal || e.target.classList.contains('close-modal')) {
-        document.body.removeChild(modal);
-      }
+  /**
+   * Make the section's screenshots reachable and operable from the keyboard
+   */
+  prepareScreenshots(article) {
+    article.querySelectorAll('.step-image').forEach(img => {
+      img.tabIndex = 0;
+      img.setAttribute('role', 'button');
+      img.setAttribute('aria-haspopup', 'dialog');
+      img.setAttribute('aria-label', this.t('image.enlarge', { alt: img.alt }));
     });
-    
-    // Keyboard close
-    const handleKeydown = (e) => {
-      if (e.key === 'Escape') {
-        document.body.removeChild(modal);
-        document.removeEventListener('keydown', handleKeydown);
-      }
-    };
-    document.addEventListener('keydown', handleKeydown);
+  }
+
+  /**
+   * Open the lightbox on img, with every screenshot of the section to step through
+   */
+  enlargeImage(img) {
+    const images = [...document.querySelectorAll('#guideArticle .step-image')];
+    const index = images.indexOf(img);
+    if (index === -1) {
+      this.lightbox.open([img], 0);
+    } else {
+      this.lightbox.open(images, index);
+    }
   }
 
   /**
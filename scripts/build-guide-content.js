@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Bundle the user guide Markdown into assets/guide-content.js
+ *
+ * The guide loads content/<lang>/<section>.md at runtime and falls back to
+ * this embedded copy when the files cannot be fetched (file://, network errors).
+ * Run after editing anything under content/:
+ *
+ *   node scripts/build-guide-content.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const CONTENT_DIR = path.join(ROOT, 'content');
+const OUTPUT_FILE = path.join(ROOT, 'assets', 'guide-content.js');
+
+function readContent() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, 'manifest.json'), 'utf8'));
+  const files = {};
+
+  manifest.languages.forEach(lang => {
+    files[lang] = {};
+    manifest.sections.forEach(({ key }) => {
+      const file = path.join(CONTENT_DIR, lang, `${key}.md`);
+      if (!fs.existsSync(file)) {
+        // Untranslated sections fall back to the default language at runtime
+        if (lang !== manifest.defaultLanguage) {
+          console.warn(`⚠️  No ${lang} translation for ${key}, readers will see ${manifest.defaultLanguage}`);
+          return;
+        }
+        throw new Error(`Missing guide content: ${path.relative(ROOT, file)}`);
+      }
+      files[lang][key] = fs.readFileSync(file, 'utf8');
+    });
+  });
+
+  const providers = JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, 'providers.json'), 'utf8'));
+  const releases = JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, 'releases.json'), 'utf8'));
+
+  return { manifest, files, providers, releases };
+}
+
+function build() {
+  const bundle = readContent();
+  const output = `/**
+ * Embedded copy of the user guide content.
+ * Generated by scripts/build-guide-content.js from content/ - do not edit by hand.
+ */
+window.GUIDE_CONTENT = ${JSON.stringify(bundle, null, 2)};
+`;
+
+  fs.writeFileSync(OUTPUT_FILE, output);
+  console.log(`✅ Wrote ${path.relative(ROOT, OUTPUT_FILE)}`);
+}
+
+build();
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * Write the extension release notes in content/releases.json to Atom feeds
+ *
+ * One feed per guide language, feeds/releases-<lang>.xml, linking each
+ * release to its entry in the guide's Release Notes section. Checks the
+ * release entries first and fails when pricing.html sends a different
+ * extension_version than the latest release. Run after editing
+ * content/releases.json, together with scripts/build-guide-content.js:
+ *
+ *   node scripts/build-release-feed.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const MarkdownRenderer = require('../assets/markdown-renderer.js');
+const ProviderCatalog = require('../assets/provider-catalog.js');
+const FrontMatter = require('../assets/front-matter.js');
+const ReleaseNotes = require('../assets/release-notes.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const CONTENT_DIR = path.join(ROOT, 'content');
+const ASSETS_DIR = path.join(ROOT, 'assets');
+const SITE_URL = `https://${fs.readFileSync(path.join(ROOT, 'CNAME'), 'utf8').trim()}/`;
+
+const VERSION = /^(\d+)\.(\d+)\.(\d+)$/;
+const PRICING_VERSION = /extension_version:\s*'([^']*)'/;
+
+const renderer = new MarkdownRenderer();
+
+/**
+ * Run the locale registry and catalog scripts the way the page does
+ */
+function loadLocales() {
+  const context = { window: {} };
+  vm.createContext(context);
+
+  const run = file => vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  run(path.join(ASSETS_DIR, 'guide-i18n.js'));
+
+  const localesDir = path.join(ASSETS_DIR, 'locales');
+  fs.readdirSync(localesDir)
+    .filter(file => file.endsWith('.js'))
+    .forEach(file => run(path.join(localesDir, file)));
+
+  return context.window.guideI18n;
+}
+
+/**
+ * Negative when a is an older version than b
+ */
+function compareVersions(a, b) {
+  const [, ...partsA] = a.match(VERSION).map(Number);
+  const [, ...partsB] = b.match(VERSION).map(Number);
+  const index = partsA.findIndex((part, i) => part !== partsB[i]);
+  return index === -1 ? 0 : partsA[index] - partsB[index];
+}
+
+function checkReleases(data, languages, refLang, errors) {
+  const releases = data.releases || [];
+  if (releases.length === 0) {
+    errors.push('content/releases.json lists no releases');
+  }
+
+  const versions = new Set();
+  releases.forEach((release, index) => {
+    const where = `release ${release.version}`;
+    const valid = VERSION.test(release.version || '');
+    if (!valid) errors.push(`${where}: version must look like 1.2.3`);
+    if (versions.has(release.version)) errors.push(`${where}: duplicate version`);
+    versions.add(release.version);
+    if (!FrontMatter.isDate(release.date)) errors.push(`${where}: date must be a YYYY-MM-DD date`);
+
+    const previous = releases[index - 1];
+    if (previous && valid && VERSION.test(previous.version) && compareVersions(release.version, previous.version) >= 0) {
+      errors.push(`${where}: listed after ${previous.version}; list releases newest first`);
+    }
+    if (previous && release.date > previous.date) {
+      errors.push(`${where}: released ${release.date}, later than ${previous.version} listed above it`);
+    }
+
+    const count = (values, lang) => Array.isArray((values || {})[lang]) ? values[lang].length : -1;
+    languages.forEach(lang => {
+      if (count(release.highlights, lang) <= 0) {
+        errors.push(`${where}: no ${lang} highlights`);
+      }
+      const breaking = count(release.breaking, lang);
+      const refBreaking = count(release.breaking, refLang);
+      if (breaking !== refBreaking && lang !== refLang) {
+        errors.push(`${where}: ${lang} lists ${Math.max(breaking, 0)} breaking changes, ${refLang} lists ${Math.max(refBreaking, 0)}`);
+      }
+    });
+  });
+}
+
+/**
+ * The checkout reports the extension version it was opened from; keep it on the latest release
+ */
+function checkPricingVersion(latest, errors) {
+  const match = fs.readFileSync(path.join(ROOT, 'pricing.html'), 'utf8').match(PRICING_VERSION);
+  if (!match) {
+    errors.push('pricing.html: no extension_version in the checkout data');
+  } else if (latest && match[1] !== latest.version) {
+    errors.push(`pricing.html: extension_version is ${match[1]}, but the latest release is ${latest.version}`);
+  }
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function buildFeed(releaseNotes, catalog, lang, t) {
+  const feedUrl = `${SITE_URL}${releaseNotes.feedPath(lang)}`;
+  const sectionUrl = `${SITE_URL}user-guide.html?lang=${lang}#releases`;
+  const timestamp = date => `${date}T00:00:00Z`;
+
+  const entries = releaseNotes.releases.map(release => {
+    const url = `${sectionUrl}/${releaseNotes.anchor(release)}`;
+    const html = renderer.render(catalog.expand(releaseNotes.renderBody(release, lang, t), lang, t));
+    return `  <entry>
+    <title>${escapeXml(t('releaseNotes.version', { version: release.version }))}</title>
+    <id>${escapeXml(url)}</id>
+    <link rel="alternate" type="text/html" href="${escapeXml(url)}"/>
+    <published>${timestamp(release.date)}</published>
+    <updated>${timestamp(release.date)}</updated>
+    <content type="html">${escapeXml(html)}</content>
+  </entry>`;
+  });
+
+  const latest = releaseNotes.getLatest();
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${lang}">
+  <title>${escapeXml(t('releaseNotes.feedTitle'))}</title>
+  <subtitle>${escapeXml(t('releaseNotes.feedSubtitle'))}</subtitle>
+  <id>${escapeXml(feedUrl)}</id>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(sectionUrl)}"/>
+  <updated>${timestamp(latest.date)}</updated>
+  <author>
+    <name>DeepReview</name>
+    <email>support@deepreview.cloud</email>
+  </author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+function build() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, 'manifest.json'), 'utf8'));
+  const providers = JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, 'providers.json'), 'utf8'));
+  const data = JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, 'releases.json'), 'utf8'));
+  const releaseNotes = new ReleaseNotes(data);
+  const catalog = new ProviderCatalog(providers);
+  const i18n = loadLocales();
+  const errors = [];
+
+  checkReleases(data, manifest.languages, manifest.defaultLanguage, errors);
+  checkPricingVersion(releaseNotes.getLatest(), errors);
+
+  if (errors.length > 0) {
+    errors.forEach(error => console.log(`❌ ${error}`));
+    console.log(`\n${errors.length} release notes problem${errors.length === 1 ? '' : 's'} found`);
+    process.exit(1);
+  }
+
+  manifest.languages.forEach(lang => {
+    const t = (key, params) => i18n.translate(lang, key, params);
+    const file = path.join(ROOT, releaseNotes.feedPath(lang));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, buildFeed(releaseNotes, catalog, lang, t));
+    console.log(`✅ Wrote ${path.relative(ROOT, file)}`);
+  });
+}
+
+build();
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/**
+ * Render the user guide in jsdom and run axe-style accessibility checks
+ *
+ * Opens user-guide.html in every guide language, visits each section through
+ * the navigation the way a keyboard user would, and checks the rendered page:
+ * unique ids, names for buttons, links, form fields and images, valid ARIA
+ * references, heading order, no positive tabindex, the navigation landmark
+ * (one current section, one tab stop), and that choosing a section moves
+ * focus to its heading and announces it. The page reads the embedded
+ * assets/guide-content.js, so run scripts/build-guide-content.js first.
+ * Needs jsdom, which the site itself does not use:
+ *
+ *   npm install --no-save jsdom@24
+ *   node scripts/check-accessibility.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, requireJsdom, openGuide, wait } = require('./guide-page.js');
+
+const FOCUSABLE = 'a[href], button, input, select, textarea, summary, [tabindex]';
+
+function render(lang, problems) {
+  return openGuide({
+    search: `?lang=${lang}`,
+    onError: error => problems.push({ where: `${lang}`, rule: 'script-error', message: error.message })
+  });
+}
+
+function text(element) {
+  return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Simplified accessible name: aria-labelledby, aria-label, label, content, alt, title
+ */
+function accessibleName(element) {
+  const document = element.ownerDocument;
+  const labelledBy = element.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    return labelledBy.split(/\s+/).map(id => text(document.getElementById(id))).join(' ').trim();
+  }
+  const label = (element.getAttribute('aria-label') || '').trim();
+  if (label) return label;
+
+  if (['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)) {
+    const labels = [...(element.labels || [])].map(text).join(' ').trim();
+    return labels || (element.getAttribute('title') || '').trim();
+  }
+  if (element.tagName === 'IMG') {
+    return element.getAttribute('alt');
+  }
+
+  const visible = [...element.childNodes]
+    .filter(node => !(node.nodeType === 1 && node.getAttribute('aria-hidden') === 'true'))
+    .map(node => node.nodeType === 1 && node.tagName === 'IMG' ? node.getAttribute('alt') || '' : node.textContent)
+    .join('')
+    .trim();
+  return visible || (element.getAttribute('title') || '').trim();
+}
+
+/**
+ * Checks that apply to any rendered state of the page
+ */
+function checkDocument(document, where, add) {
+  if (!document.documentElement.lang) {
+    add(where, 'html-has-lang', '<html> has no lang');
+  }
+
+  const ids = new Map();
+  document.querySelectorAll('[id]').forEach(element => {
+    ids.set(element.id, (ids.get(element.id) || 0) + 1);
+  });
+  ids.forEach((count, id) => {
+    if (count > 1) add(where, 'duplicate-id', `id "${id}" is used ${count} times`);
+  });
+
+  document.querySelectorAll('[aria-labelledby], [aria-describedby], [aria-controls], [aria-activedescendant]').forEach(element => {
+    ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-activedescendant'].forEach(attribute => {
+      (element.getAttribute(attribute) || '').split(/\s+/).filter(Boolean).forEach(id => {
+        if (!document.getElementById(id)) {
+          add(where, 'aria-valid-reference', `${attribute}="${id}" on <${element.tagName.toLowerCase()}> points to no element`);
+        }
+      });
+    });
+  });
+
+  document.querySelectorAll('img').forEach(image => {
+    if (!image.hasAttribute('alt')) {
+      add(where, 'image-alt', `<img src="${image.getAttribute('src')}"> has no alt`);
+    }
+  });
+
+  const named = [
+    ['button', 'button-name'],
+    ['a[href]', 'link-name'],
+    ['input:not([type="hidden"]), select, textarea', 'label'],
+    ['[role="dialog"], nav', 'landmark-name']
+  ];
+  named.forEach(([selector, rule]) => {
+    document.querySelectorAll(selector).forEach(element => {
+      // Like axe, skip what nobody can reach yet (a collapsed form, a closed dialog)
+      if (element.closest('[hidden]')) return;
+      // A single nav on the page needs no name; the guide has more than one
+      if (rule === 'landmark-name' && element.tagName === 'NAV' && document.querySelectorAll('nav').length === 1) return;
+      if (!accessibleName(element)) {
+        const id = element.id ? `#${element.id}` : element.className ? `.${String(element.className).split(' ')[0]}` : '';
+        add(where, rule, `<${element.tagName.toLowerCase()}${id}> has no accessible name`);
+      }
+    });
+  });
+
+  document.querySelectorAll('[tabindex]').forEach(element => {
+    if (element.tabIndex > 0) {
+      add(where, 'tabindex', `<${element.tagName.toLowerCase()}> has tabindex ${element.tabIndex}; it breaks the reading order`);
+    }
+  });
+
+  if (document.querySelectorAll('main').length !== 1) {
+    add(where, 'landmark-one-main', 'the page needs exactly one <main>');
+  }
+}
+
+/**
+ * Headings inside the article must not skip levels on the way down
+ */
+function checkHeadingOrder(article, where, add) {
+  let previous = null;
+  article.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+    const level = Number(heading.tagName[1]);
+    if (!text(heading)) {
+      add(where, 'empty-heading', `<${heading.tagName.toLowerCase()}> is empty`);
+    }
+    if (previous !== null && level > previous + 1) {
+      add(where, 'heading-order', `<${heading.tagName.toLowerCase()}> "${text(heading)}" follows an h${previous}`);
+    }
+    previous = level;
+  });
+}
+
+function checkNavigation(document, sectionKey, where, add) {
+  const items = [...document.querySelectorAll('#guideNav .nav-section-title')];
+  const current = items.filter(item => item.getAttribute('aria-current') === 'page');
+  if (current.length !== 1 || current[0].dataset.section !== sectionKey) {
+    add(where, 'aria-current', `expected ${sectionKey} to be the one current section, found ${current.map(item => item.dataset.section).join(', ') || 'none'}`);
+  }
+  const tabStops = items.filter(item => item.tabIndex === 0);
+  if (tabStops.length !== 1) {
+    add(where, 'roving-tabindex', `the navigation has ${tabStops.length} tab stops, expected 1`);
+  }
+  items.forEach(item => {
+    if (!item.matches(FOCUSABLE)) {
+      add(where, 'focusable-nav', `${item.dataset.section} is not focusable`);
+    }
+  });
+}
+
+async function checkLanguage(lang, problems) {
+  const add = (where, rule, message) => problems.push({ where, rule, message });
+  const dom = await render(lang, problems);
+  const { window } = dom;
+  const { document } = window;
+
+  const items = [...document.querySelectorAll('#guideNav .nav-section-title')];
+  if (items.length === 0) {
+    add(lang, 'render', 'the navigation is empty; did the guide load?');
+    window.close();
+    return 0;
+  }
+
+  for (const key of items.map(item => item.dataset.section)) {
+    const where = `${lang}/${key}`;
+    const item = items.find(element => element.dataset.section === key);
+    item.focus();
+    item.click();
+    await wait(window, 150);
+
+    checkDocument(document, where, add);
+    checkHeadingOrder(document.getElementById('guideArticle'), where, add);
+    checkNavigation(document, key, where, add);
+
+    const focused = document.activeElement;
+    if (!focused || !/^H[1-6]$/.test(focused.tagName) || !document.getElementById('guideArticle').contains(focused)) {
+      add(where, 'focus-after-navigation', `focus is on <${focused ? focused.tagName.toLowerCase() : 'nothing'}>, not the section heading`);
+    }
+    const announcer = document.getElementById('sectionAnnouncer');
+    if (!announcer || announcer.getAttribute('aria-live') !== 'polite' || !text(announcer).includes(text(item.querySelector('.section-title')))) {
+      add(where, 'live-announcement', `the section change was not announced (got "${text(announcer)}")`);
+    }
+  }
+
+  window.close();
+  return items.length;
+}
+
+async function check() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'content', 'manifest.json'), 'utf8'));
+  const problems = [];
+  let pages = 0;
+
+  // One language at a time keeps a single jsdom window alive
+  for (const lang of manifest.languages) {
+    pages += await checkLanguage(lang, problems);
+  }
+
+  problems.forEach(({ where, rule, message }) => console.log(`❌ ${where}: [${rule}] ${message}`));
+  if (problems.length > 0) {
+    console.log(`\n${problems.length} accessibility problem${problems.length === 1 ? '' : 's'} found`);
+    process.exit(1);
+  }
+  console.log(`✅ ${pages} guide pages in ${manifest.languages.join(', ')} pass the accessibility checks`);
+}
+
+try {
+  requireJsdom();
+} catch (error) {
+  console.log(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+check();
@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * Check the provider catalog and the guide content that quotes it
+ *
+ * Validates content/providers.json, makes sure every {{provider:…}},
+ * {{model:…}} and {{context:…}} token in content/ resolves (release notes
+ * included), and checks the tips sections, so they cannot recommend products
+ * the catalog does not list:
+ *
+ * - a provider or model name from the catalog written by hand fails, it must
+ *   be a token
+ * - any other product-like name fails (capitalized mid-sentence, or letters
+ *   and digits mixed, like ERNIE or o1-preview) unless it is in OTHER_NAMES
+ * - every language's tips must use the same catalog tokens as English
+ *
+ *   node scripts/check-provider-catalog.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MarkdownRenderer = require('../assets/markdown-renderer.js');
+const ProviderCatalog = require('../assets/provider-catalog.js');
+const FrontMatter = require('../assets/front-matter.js');
+const ReleaseNotes = require('../assets/release-notes.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const CONTENT_DIR = path.join(ROOT, 'content');
+
+// Names tips may use that are not AI providers or models: DeepReview's own
+// features, local model runners and languages
+const OTHER_NAMES = ['AI', 'DeepReview', 'Review Mode', 'Ollama', 'vLLM', 'LM Studio', 'Chinese', 'English'];
+
+const CATALOG_TOKEN = /\{\{[^}]*\}\}/g;
+const CJK = /[\u3040-\u30ff\u3400-\u9fff]/;
+
+// Headings whose sections recommend models, e.g. "Provider Selection Tips"
+const TIPS_HEADING = /-tips$/;
+
+const renderer = new MarkdownRenderer();
+
+function checkCatalog(data, languages, errors) {
+  const providerIds = new Set();
+  const modelIds = new Set();
+
+  data.providers.forEach(provider => {
+    const where = `provider ${provider.id}`;
+    if (providerIds.has(provider.id)) errors.push(`${where}: duplicate id`);
+    providerIds.add(provider.id);
+
+    languages.forEach(lang => {
+      if (!provider.name || !provider.name[lang]) errors.push(`${where}: missing ${lang} name`);
+      if (!provider.shortName || !provider.shortName[lang]) errors.push(`${where}: missing ${lang} shortName`);
+    });
+
+    if (!provider.compatible) {
+      ['apiUrl', 'website'].forEach(field => {
+        if (!/^https:\/\//.test(provider[field] || '')) errors.push(`${where}: ${field} must be an https URL`);
+      });
+      if (provider.models.length === 0) errors.push(`${where}: no models`);
+    }
+
+    // A provider that only publishes a range lists it as context: { min, max }
+    const range = provider.context;
+    if (range !== undefined && !(Number.isInteger(range.min) && Number.isInteger(range.max) && range.min > 0 && range.min <= range.max)) {
+      errors.push(`${where}: context must be { min, max } in positive integer tokens`);
+    }
+
+    provider.models.forEach(model => {
+      if (modelIds.has(model.id)) errors.push(`${where}: duplicate model id ${model.id}`);
+      modelIds.add(model.id);
+      if (!model.name) errors.push(`${where}: model ${model.id} has no name`);
+      if (model.context === undefined) {
+        if (!range) errors.push(`${where}: model ${model.id} needs a context, or the provider a context range`);
+      } else if (!Number.isInteger(model.context) || model.context <= 0) {
+        errors.push(`${where}: model ${model.id} context must be a positive integer`);
+      } else if (range && (model.context < range.min || model.context > range.max)) {
+        errors.push(`${where}: model ${model.id} context is outside the provider's range`);
+      }
+      // maxOutput is optional: without it output only counts against the context window
+      const largestContext = model.context || (range && range.max);
+      if (model.maxOutput !== undefined && (!Number.isInteger(model.maxOutput) || model.maxOutput <= 0 || model.maxOutput > largestContext)) {
+        errors.push(`${where}: model ${model.id} maxOutput must be a positive integer no larger than its context`);
+      }
+      const price = model.price || {};
+      if (!['input', 'output'].every(kind => typeof price[kind] === 'number' && price[kind] >= 0)) {
+        errors.push(`${where}: model ${model.id} needs input and output prices per million tokens`);
+      }
+    });
+  });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Every provider and model name in the catalog, in every language, longest first
+ */
+function catalogNames(data) {
+  const names = new Set();
+  data.providers.forEach(provider => {
+    [provider.name, provider.shortName].forEach(values => Object.values(values || {}).forEach(name => names.add(name)));
+    provider.models.forEach(model => names.add(model.name));
+  });
+  return [...names].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Remove a name from text wherever it stands as a whole name (CJK names have
+ * no word boundaries), calling found for each match
+ */
+function removeName(text, name, found) {
+  const pattern = CJK.test(name)
+    ? new RegExp(escapeRegExp(name), 'g')
+    : new RegExp(`(^|[^\\w.-])${escapeRegExp(name)}(?![\\w-])`, 'gi');
+  return text.replace(pattern, (match, before = '') => {
+    found(match.slice(before.length));
+    return `${before} `;
+  });
+}
+
+/**
+ * Product names written by hand in one line of a tips section
+ *
+ * @param {string} text - the Markdown line
+ * @param {string[]} names - catalog names, longest first (see catalogNames)
+ * @returns {{ catalog: string[], unknown: string[] }} catalog names that should be
+ *   tokens, and names the catalog does not list
+ */
+function findNames(text, names) {
+  const catalog = [];
+  const unknown = [];
+
+  let rest = text
+    .replace(CATALOG_TOKEN, ' ')
+    // Bullets, numbers and a leading bold label such as "**For Code Review**:"
+    .replace(/^\s*(?:[-*+]|\d+\.)\s+/, '')
+    .replace(/^\*\*[^*]+\*\*\s*[:：]?/, '')
+    // Link targets and quoted setting labels
+    .replace(/\]\([^)]*\)/g, ']')
+    .replace(/"[^"]*"|“[^”]*”/g, ' ');
+
+  names.forEach(name => {
+    rest = removeName(rest, name, match => catalog.push(match));
+  });
+  OTHER_NAMES.forEach(name => {
+    rest = removeName(rest, name, () => {});
+  });
+
+  for (const { 0: word, index } of rest.matchAll(/[A-Za-z][\w.+-]*[\w+]|[A-Za-z]/g)) {
+    // The first word of a sentence may be capitalized
+    const sentenceStart = /(?:^|[.!?:：(（])\s*$/.test(rest.slice(0, index));
+    const capitalized = /[A-Z]/.test(sentenceStart ? word.slice(1) : word);
+    const mixed = /\d/.test(word);
+    if (capitalized || mixed) unknown.push(word);
+  }
+  return { catalog, unknown };
+}
+
+/**
+ * Lines of every section whose heading id ends in -tips
+ */
+function tipsSections(markdown) {
+  const lines = markdown.split('\n');
+  const headings = renderer.parse(markdown).filter(block => block.type === 'heading');
+
+  return headings
+    .map((heading, index) => ({ heading, index }))
+    .filter(({ heading }) => TIPS_HEADING.test(heading.id))
+    .map(({ heading, index }) => {
+      const next = headings.slice(index + 1).find(other => other.level <= heading.level);
+      const end = next ? next.line : lines.length;
+      return {
+        id: heading.id,
+        lines: lines.slice(heading.line + 1, end).map((text, offset) => ({ text, line: heading.line + 2 + offset }))
+      };
+    });
+}
+
+/**
+ * Problems in the tips sections of one section file
+ *
+ * @param {string} markdown - file body, without front matter
+ * @param {string[]} names - catalog names (see catalogNames)
+ * @returns {Array<{ line: number, message: string }>}
+ */
+function checkTips(markdown, names) {
+  const problems = [];
+  tipsSections(markdown).forEach(section => section.lines.forEach(({ text, line }) => {
+    const { catalog, unknown } = findNames(text, names);
+    catalog.forEach(name => {
+      problems.push({ line, message: `tip names "${name}" directly; use a {{provider:id}} or {{model:id}} token` });
+    });
+    unknown.forEach(name => {
+      problems.push({ line, message: `tip names "${name}", which is not in content/providers.json` });
+    });
+  }));
+  return problems;
+}
+
+/**
+ * Catalog tokens used by each tips section, by heading id, to compare languages
+ */
+function tipsTokens(markdown) {
+  const tokens = {};
+  tipsSections(markdown).forEach(section => {
+    tokens[section.id] = section.lines.flatMap(({ text }) => text.match(CATALOG_TOKEN) || []).sort();
+  });
+  return tokens;
+}
+
+function check() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, 'manifest.json'), 'utf8'));
+  const data = JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, 'providers.json'), 'utf8'));
+  const catalog = new ProviderCatalog(data);
+  const releaseNotes = new ReleaseNotes(JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, 'releases.json'), 'utf8')));
+  const errors = [];
+
+  const names = catalogNames(data);
+  // Tips tokens of the English files, by section key
+  const englishTips = {};
+
+  checkCatalog(data, manifest.languages, errors);
+
+  ['en', ...manifest.languages.filter(lang => lang !== 'en')].forEach(lang => {
+    manifest.sections.forEach(({ key }) => {
+      const file = path.join(CONTENT_DIR, lang, `${key}.md`);
+      if (!fs.existsSync(file)) return;
+
+      const where = path.relative(ROOT, file);
+      const { body: markdown, lineOffset } = FrontMatter.parse(fs.readFileSync(file, 'utf8'));
+
+      catalog.findUnknownTokens(releaseNotes.expand(markdown, lang)).forEach(token => {
+        errors.push(`${where}: ${token} is not in content/providers.json`);
+      });
+
+      checkTips(markdown, names).forEach(({ line, message }) => {
+        errors.push(`${where}:${line + lineOffset}: ${message}`);
+      });
+
+      const tokens = tipsTokens(markdown);
+      if (lang === 'en') {
+        englishTips[key] = tokens;
+      } else if (englishTips[key]) {
+        Object.entries(englishTips[key]).forEach(([id, expected]) => {
+          if ((tokens[id] || []).join() !== expected.join()) {
+            errors.push(`${where}: #${id} does not use the same catalog tokens as the English tips`);
+          }
+        });
+      }
+    });
+  });
+
+  errors.forEach(error => console.log(`❌ ${error}`));
+  if (errors.length > 0) {
+    console.log(`\n${errors.length} provider catalog problem${errors.length === 1 ? '' : 's'} found`);
+    process.exit(1);
+  }
+  console.log(`✅ ${data.providers.length} providers, guide content matches the catalog`);
+}
+
+if (require.main === module) {
+  check();
+}
+
+module.exports = { catalogNames, findNames, checkTips };
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/**
+ * Compare every translation of the user guide with the default language
+ *
+ * Checks each section for missing files, differing heading structure,
+ * table shapes, images and links, checks that section titles match the
+ * navigation titles and that the front matter carries a valid revision
+ * (translations older than the default language are warnings), and
+ * compares the message catalogs in assets/locales/.
+ * Exits with status 1 when anything has drifted:
+ *
+ *   node scripts/check-translations.js
+ *   node scripts/check-translations.js --allow-missing   # untranslated sections are warnings
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const MarkdownRenderer = require('../assets/markdown-renderer.js');
+const FrontMatter = require('../assets/front-matter.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const CONTENT_DIR = path.join(ROOT, 'content');
+const ASSETS_DIR = path.join(ROOT, 'assets');
+
+const allowMissing = process.argv.includes('--allow-missing');
+const renderer = new MarkdownRenderer();
+
+/**
+ * Run the locale registry and catalog scripts the way the page does
+ */
+function loadLocales() {
+  const context = { window: {} };
+  vm.createContext(context);
+
+  const run = file => vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  run(path.join(ASSETS_DIR, 'guide-i18n.js'));
+
+  const localesDir = path.join(ASSETS_DIR, 'locales');
+  fs.readdirSync(localesDir)
+    .filter(file => file.endsWith('.js'))
+    .forEach(file => run(path.join(localesDir, file)));
+
+  return context.window.guideI18n;
+}
+
+/**
+ * Everything the checks compare, extracted from one section file
+ */
+function analyzeSection(source) {
+  const { data, body: markdown } = FrontMatter.parse(source);
+  const blocks = renderer.parse(markdown);
+  const headings = [];
+  const tables = [];
+
+  const walk = list => list.forEach(block => {
+    if (block.type === 'heading') {
+      headings.push(block);
+    } else if (block.type === 'table') {
+      tables.push(`${block.header.length} columns × ${block.rows.length} rows`);
+    } else if (block.type === 'blockquote') {
+      walk(block.children);
+    } else if (block.type === 'list') {
+      block.items.forEach(walk);
+    }
+  });
+  walk(blocks);
+
+  const html = renderer.render(markdown);
+  const attributes = pattern => [...html.matchAll(pattern)].map(match => match[1]);
+
+  return {
+    revision: FrontMatter.revision(data),
+    headings,
+    tables,
+    images: attributes(/<img\s[^>]*?\bsrc="([^"]*)"/g),
+    links: attributes(/<a\s[^>]*?\bhref="([^"]*)"/g)
+  };
+}
+
+function plainTitle(text) {
+  // Drop the leading emoji and any {#id}
+  return text.replace(/\s*\{#[^\s{}]+\}\s*$/, '').replace(/^[^\p{L}\p{N}]+/u, '').trim();
+}
+
+function countBy(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return counts;
+}
+
+/**
+ * Values that occur more often on one side, e.g. an image used twice in en but once in zh
+ */
+function difference(values, others) {
+  const otherCounts = countBy(others);
+  const result = [];
+  countBy(values).forEach((count, value) => {
+    if (count > (otherCounts.get(value) || 0)) result.push(value);
+  });
+  return result;
+}
+
+function flattenKeys(messages, prefix = '') {
+  return Object.entries(messages).flatMap(([key, value]) =>
+    value && typeof value === 'object' ? flattenKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+  );
+}
+
+/**
+ * Problems with a section's front matter: the guide shows these dates to readers.
+ * A section without front matter has no recorded change and gets no date.
+ */
+function checkRevision({ updated, changes }) {
+  const issues = [];
+  if (!updated && changes.length === 0) {
+    return issues;
+  }
+  if (!updated) {
+    issues.push('front matter has no updated date');
+  } else if (!FrontMatter.isDate(updated)) {
+    issues.push(`updated "${updated}" is not a YYYY-MM-DD date`);
+  }
+  if (changes.length === 0) {
+    issues.push('front matter has no changes');
+  }
+
+  changes.forEach(({ date, text }, index) => {
+    if (!FrontMatter.isDate(date)) {
+      issues.push(`change "${text}" does not start with a YYYY-MM-DD date`);
+    } else if (index > 0 && FrontMatter.isDate(changes[index - 1].date) && date > changes[index - 1].date) {
+      issues.push(`change "${text}" is newer than the one above it; list changes newest first`);
+    }
+  });
+  if (changes.length > 0 && FrontMatter.isDate(changes[0].date) && updated && changes[0].date > updated) {
+    issues.push(`latest change ${changes[0].date} is newer than updated ${updated}`);
+  }
+  return issues;
+}
+
+function compareSection(reference, translation, refLang, lang) {
+  const issues = [];
+
+  const levels = list => countBy(list.map(heading => `h${heading.level}`));
+  const refLevels = levels(reference.headings);
+  const langLevels = levels(translation.headings);
+  new Set([...refLevels.keys(), ...langLevels.keys()]).forEach(level => {
+    const refCount = refLevels.get(level) || 0;
+    const langCount = langLevels.get(level) || 0;
+    if (refCount !== langCount) {
+      issues.push(`${level} headings: ${refLang} has ${refCount}, ${lang} has ${langCount}`);
+    }
+  });
+
+  const refIds = reference.headings.map(heading => heading.id);
+  const langIds = translation.headings.map(heading => heading.id);
+  difference(refIds, langIds).forEach(id => issues.push(`heading #${id} only in ${refLang}`));
+  difference(langIds, refIds).forEach(id => issues.push(`heading #${id} only in ${lang}`));
+
+  if (reference.tables.join() !== translation.tables.join()) {
+    issues.push(`tables differ: ${refLang} [${reference.tables.join(', ')}], ${lang} [${translation.tables.join(', ')}]`);
+  }
+
+  difference(reference.images, translation.images).forEach(src => issues.push(`image ${src} only in ${refLang}`));
+  difference(translation.images, reference.images).forEach(src => issues.push(`image ${src} only in ${lang}`));
+  difference(reference.links, translation.links).forEach(href => issues.push(`link ${href} only in ${refLang}`));
+  difference(translation.links, reference.links).forEach(href => issues.push(`link ${href} only in ${lang}`));
+
+  return issues;
+}
+
+function check() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, 'manifest.json'), 'utf8'));
+  const i18n = loadLocales();
+  const refLang = manifest.defaultLanguage;
+  const report = [];
+  const add = (level, where, message) => report.push({ level, where, message });
+
+  // Message catalogs
+  const refKeys = flattenKeys(i18n.get(refLang).messages);
+  manifest.languages.forEach(lang => {
+    if (!i18n.has(lang)) {
+      add('error', lang, `no message catalog in assets/locales/${lang}.js`);
+      return;
+    }
+    if (lang === refLang) return;
+
+    const keys = flattenKeys(i18n.get(lang).messages);
+    difference(refKeys, keys).forEach(key => add('error', `${lang} messages`, `missing key ${key}`));
+    difference(keys, refKeys).forEach(key => add('error', `${lang} messages`, `unknown key ${key}`));
+  });
+
+  // Sections
+  manifest.sections.forEach(({ key }) => {
+    const read = lang => {
+      const file = path.join(CONTENT_DIR, lang, `${key}.md`);
+      return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    };
+
+    const refMarkdown = read(refLang);
+    if (refMarkdown === null) {
+      add('error', `${refLang}/${key}`, 'missing file');
+      return;
+    }
+    const reference = analyzeSection(refMarkdown);
+
+    manifest.languages.forEach(lang => {
+      const where = `${lang}/${key}`;
+      const markdown = lang === refLang ? refMarkdown : read(lang);
+      if (markdown === null) {
+        add(allowMissing ? 'warning' : 'error', where, `missing file, readers see ${refLang}`);
+        return;
+      }
+
+      const analysis = lang === refLang ? reference : analyzeSection(markdown);
+      const title = analysis.headings.find(heading => heading.level === 2);
+      const navTitle = i18n.translate(lang, `sections.${key}`);
+      if (!title) {
+        add('error', where, 'no ## title heading');
+      } else if (plainTitle(title.text) !== navTitle) {
+        add('error', where, `title "${plainTitle(title.text)}" does not match navigation title "${navTitle}"`);
+      }
+
+      checkRevision(analysis.revision).forEach(message => add('error', where, message));
+
+      if (lang !== refLang) {
+        compareSection(reference, analysis, refLang, lang).forEach(message => add('error', where, message));
+        if (reference.revision.updated && !(analysis.revision.updated >= reference.revision.updated)) {
+          add('warning', where, `updated ${analysis.revision.updated || 'never'}, ${refLang} was updated ${reference.revision.updated}; the translation may be behind`);
+        }
+      }
+    });
+  });
+
+  report.forEach(({ level, where, message }) => {
+    console.log(`${level === 'error' ? '❌' : '⚠️ '} ${where}: ${message}`);
+  });
+
+  const errors = report.filter(item => item.level === 'error').length;
+  if (errors > 0) {
+    console.log(`\n${errors} translation problem${errors === 1 ? '' : 's'} found`);
+    process.exit(1);
+  }
+  console.log(`✅ ${manifest.languages.join(', ')} translations match`);
+}
+
+check();
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the guide feedback endpoint
+ *
+ * Serves the site's public files from the repository root and takes the
+ * "Was this helpful?" submissions at /api/feedback, so the guide widget, its
+ * offline queue and feedback-admin.html can be tried end to end:
+ *
+ *   node scripts/feedback-server.js                       # http://localhost:8787/user-guide.html
+ *   node scripts/feedback-server.js --port 9000 --data /tmp/feedback.json
+ *
+ * POST /api/feedback stores one submission (201, or 200 when a retry repeats
+ * an id it already has) and answers 400 for anything malformed. GET
+ * /api/feedback returns every stored submission. Without --data they are
+ * only kept in memory. Stop the server to see the guide queue submissions.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const API_PATH = '/api/feedback';
+const MAX_BODY_BYTES = 16 * 1024;
+
+// Pages whose <meta name="feedback-endpoint"> is pointed at this server's API
+const ENDPOINT_PAGES = ['user-guide.html', 'feedback-admin.html'];
+const ENDPOINT_META = /(<meta name="feedback-endpoint" content=")[^"]*(")/;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/atom+xml; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+// What the site publishes: its top-level pages and the service worker, and these folders
+const PUBLIC_DIRS = ['assets', 'content', 'feeds', 'icons'];
+const PUBLIC_ROOT_FILE = /^[\w-]+\.(?:html|js|ico)$/;
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : process.argv[index + 1];
+}
+
+const port = Number(option('port', process.env.PORT || 8787));
+const dataFile = option('data', null);
+
+/**
+ * Problems with a submission, in the shape assets/section-feedback.js sends
+ */
+function validate(entry) {
+  const problems = [];
+  const text = (value, max) => typeof value === 'string' && value.length <= max;
+
+  if (!entry || typeof entry !== 'object') return ['body must be a JSON object'];
+  if (!text(entry.id, 100) || !entry.id) problems.push('id is required');
+  if (!text(entry.section, 100) || !/^[\w-]+$/.test(entry.section)) problems.push('section must be a section key');
+  if (entry.heading !== null && !text(entry.heading, 200)) problems.push('heading must be a heading id or null');
+  if (!text(entry.lang, 20) || !/^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(entry.lang)) problems.push('lang must be a language code');
+  if (!['up', 'down'].includes(entry.rating)) problems.push('rating must be "up" or "down"');
+  if (!text(entry.comment, 1000)) problems.push('comment must be a string of at most 1000 characters');
+  if (!text(entry.submittedAt, 40) || Number.isNaN(Date.parse(entry.submittedAt))) problems.push('submittedAt must be a date');
+  return problems;
+}
+
+function loadFeedback() {
+  if (!dataFile || !fs.existsSync(dataFile)) return [];
+  return JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+}
+
+const feedback = loadFeedback();
+
+function store(entry) {
+  feedback.push({ ...entry, receivedAt: new Date().toISOString() });
+  if (dataFile) {
+    fs.writeFileSync(dataFile, JSON.stringify(feedback, null, 2));
+  }
+}
+
+function send(response, status, body, headers = {}) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    // The guide may be opened from another local server while testing
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    ...headers
+  });
+  response.end(JSON.stringify(body));
+}
+
+function handleApi(request, response) {
+  if (request.method === 'OPTIONS') {
+    send(response, 204, {});
+    return;
+  }
+  if (request.method === 'GET') {
+    send(response, 200, feedback);
+    return;
+  }
+  if (request.method !== 'POST') {
+    send(response, 405, { error: 'use GET or POST' }, { Allow: 'GET, POST, OPTIONS' });
+    return;
+  }
+
+  let body = '';
+  let tooLarge = false;
+  request.setEncoding('utf8');
+  request.on('data', chunk => {
+    if (tooLarge) return;
+    body += chunk;
+    if (Buffer.byteLength(body) > MAX_BODY_BYTES) {
+      tooLarge = true;
+      send(response, 413, { error: 'submission too large' }, { Connection: 'close' });
+    }
+  });
+  request.on('end', () => {
+    if (tooLarge) return;
+    let entry;
+    try {
+      entry = JSON.parse(body);
+    } catch (error) {
+      send(response, 400, { error: 'body is not JSON' });
+      return;
+    }
+
+    const problems = validate(entry);
+    if (problems.length > 0) {
+      send(response, 400, { error: problems.join('; ') });
+      return;
+    }
+    if (feedback.some(item => item.id === entry.id)) {
+      send(response, 200, { id: entry.id, duplicate: true });
+      return;
+    }
+    store(entry);
+    console.log(`${entry.rating === 'up' ? '👍' : '👎'} ${entry.lang}/${entry.section}${entry.heading ? `#${entry.heading}` : ''}${entry.comment ? `: ${entry.comment}` : ''}`);
+    send(response, 201, { id: entry.id });
+  });
+}
+
+/**
+ * Path of a public site file under ROOT, or null for anything else: dot-segments
+ * and dotfiles (.git, .env), scripts, tests and other repository files
+ */
+function publicFile(pathname) {
+  let segments;
+  try {
+    segments = decodeURIComponent(pathname === '/' ? '/index.html' : pathname).split('/').slice(1);
+  } catch (error) {
+    // Malformed percent-encoding
+    return null;
+  }
+  if (segments.some(segment => !segment || segment.startsWith('.') || /[\\\0]/.test(segment))) return null;
+
+  const isPublic = segments.length === 1
+    ? PUBLIC_ROOT_FILE.test(segments[0])
+    : PUBLIC_DIRS.includes(segments[0]);
+  if (!isPublic) return null;
+
+  const file = path.join(ROOT, ...segments);
+  return fs.existsSync(file) && fs.statSync(file).isFile() ? file : null;
+}
+
+function serveFile(request, response, pathname) {
+  const file = publicFile(pathname);
+  // HEAD gets the same headers as GET and no body
+  const withBody = request.method !== 'HEAD';
+
+  if (!file) {
+    response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end(withBody ? 'Not found' : undefined);
+    return;
+  }
+  const type = CONTENT_TYPES[path.extname(file)] || 'application/octet-stream';
+  if (ENDPOINT_PAGES.includes(path.relative(ROOT, file))) {
+    // The published pages ship without an endpoint, which hides the widget
+    const html = fs.readFileSync(file, 'utf8').replace(ENDPOINT_META, `$1${API_PATH}$2`);
+    response.writeHead(200, { 'Content-Type': type, 'Content-Length': Buffer.byteLength(html) });
+    response.end(withBody ? html : undefined);
+    return;
+  }
+  response.writeHead(200, { 'Content-Type': type, 'Content-Length': fs.statSync(file).size });
+  if (withBody) {
+    fs.createReadStream(file).pipe(response);
+  } else {
+    response.end();
+  }
+}
+
+const server = http.createServer((request, response) => {
+  const { pathname } = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+  if (pathname === API_PATH) {
+    handleApi(request, response);
+  } else if (request.method === 'GET' || request.method === 'HEAD') {
+    serveFile(request, response, pathname);
+  } else {
+    send(response, 405, { error: 'method not allowed' });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`✅ Serving the site and ${API_PATH} on http://localhost:${port}/user-guide.html`);
+  console.log(`   Feedback summary: http://localhost:${port}/feedback-admin.html`);
+  if (dataFile) console.log(`   Storing feedback in ${dataFile}`);
+});
@@ -0,0 +1,105 @@
+/**
+ * Open the user guide in jsdom with its scripts from the working tree
+ *
+ * Used by scripts/check-accessibility.js and the page tests in test/.
+ * The page's own <script src="assets/…"> tags are inlined before parsing, so
+ * they run in page order without a custom resource loader (jsdom 29 no longer
+ * exports ResourceLoader); stylesheets, fonts and analytics are left out.
+ * Needs jsdom, which the site itself does not use:
+ *
+ *   npm install --no-save jsdom@24
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const GUIDE_PAGE = 'user-guide.html';
+const BASE_URL = 'https://guide.test/';
+
+const SCRIPT_TAG = /<script\b[^>]*\bsrc="([^"]*)"[^>]*><\/script>/g;
+
+/**
+ * jsdom, or an error that says how to install a version these scripts work with
+ */
+function requireJsdom() {
+  let jsdom;
+  try {
+    jsdom = require('jsdom');
+  } catch (error) {
+    throw new Error('jsdom is not installed; run: npm install --no-save jsdom@24');
+  }
+  if (typeof jsdom.JSDOM !== 'function' || typeof jsdom.VirtualConsole !== 'function') {
+    const { version } = require('jsdom/package.json');
+    throw new Error(`jsdom ${version} does not export JSDOM and VirtualConsole; run: npm install --no-save jsdom@24`);
+  }
+  return jsdom;
+}
+
+/**
+ * Replace the page's local script tags with the scripts themselves; remote
+ * ones (analytics) are dropped
+ */
+function inlineScripts(html) {
+  return html.replace(SCRIPT_TAG, (tag, src) => {
+    const file = path.join(ROOT, src.split(/[?#]/)[0]);
+    if (/^(?:[a-z]+:)?\/\//i.test(src) || !file.startsWith(ROOT + path.sep) || !fs.existsSync(file)) {
+      return '';
+    }
+    // Keep "</script" inside the source from closing the inlined tag
+    return `<script>${fs.readFileSync(file, 'utf8').replace(/<\/script/gi, '<\\/script')}</script>`;
+  });
+}
+
+function wait(window, ms) {
+  return new Promise(resolve => window.setTimeout(resolve, ms));
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.page] - page under the repository root
+ * @param {string} [options.search] - query string, e.g. "?lang=zh"
+ * @param {string} [options.hash] - location hash, e.g. "#providers"
+ * @param {Function} [options.onError] - called with each script or jsdom error
+ * @param {Function} [options.beforeParse] - called with the window before the page runs
+ * @returns {Promise<JSDOM>} the page once it has loaded and rendered
+ */
+async function openGuide(options = {}) {
+  const { JSDOM, VirtualConsole } = requireJsdom();
+  const page = options.page || GUIDE_PAGE;
+
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', error => {
+    if (options.onError) options.onError(error);
+  });
+
+  const html = inlineScripts(fs.readFileSync(path.join(ROOT, page), 'utf8'));
+  const dom = new JSDOM(html, {
+    url: `${BASE_URL}${page}${options.search || ''}${options.hash || ''}`,
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      // Layout APIs jsdom does not implement
+      window.HTMLElement.prototype.scrollIntoView = () => {};
+      window.scrollTo = () => {};
+      window.matchMedia = window.matchMedia || (query => ({
+        matches: false,
+        media: query,
+        addEventListener() {},
+        removeEventListener() {},
+        addListener() {},
+        removeListener() {}
+      }));
+      if (options.beforeParse) options.beforeParse(window);
+    }
+  });
+
+  if (dom.window.document.readyState !== 'complete') {
+    await new Promise(resolve => dom.window.addEventListener('load', resolve));
+  }
+  await wait(dom.window, 200);
+  return dom;
+}
+
+module.exports = { ROOT, GUIDE_PAGE, requireJsdom, openGuide, wait };
@@ -0,0 +1,94 @@
+/**
+ * DeepReview User Guide service worker
+ * Precaches the guide so it can be read offline and serves it cache-first.
+ * Bump CACHE_VERSION whenever any of the precached files change, otherwise
+ * returning readers keep the old copy.
+ */
+
+const CACHE_PREFIX = 'deepreview-guide-';
+const CACHE_VERSION = 'v32';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Paths relative to this file; keep in sync with user-guide.html. content/*.md is
+// left out on purpose: offline, the page falls back to assets/guide-content.js
+const PRECACHE_URLS = [
+  'user-guide.html',
+  'assets/style.css',
+  'assets/user-guide.css',
+  'assets/rule-editor.css',
+  'assets/settings-calculator.css',
+  'assets/troubleshooter.css',
+  'assets/section-feedback.css',
+  'assets/command-palette.css',
+  'assets/theme.js',
+  'assets/url-params-handler.js',
+  'assets/html-escape.js',
+  'assets/markdown-renderer.js',
+  'assets/html-sanitizer.js',
+  'assets/guide-toc.js',
+  'assets/command-palette.js',
+  'assets/image-lightbox.js',
+  'assets/sidebar-drawer.js',
+  'assets/provider-catalog.js',
+  'assets/release-notes.js',
+  'assets/guide-i18n.js',
+  'assets/rule-parser.js',
+  'assets/rule-editor.js',
+  'assets/token-budget.js',
+  'assets/settings-calculator.js',
+  'assets/troubleshooter.js',
+  'assets/section-feedback.js',
+  'assets/front-matter.js',
+  'assets/locales/en.js',
+  'assets/locales/zh.js',
+  'assets/guide-content.js',
+  'assets/user-guide.js',
+  'assets/images/step1-settings.png',
+  'assets/images/step2-import-files.png',
+  'assets/images/step3-select-rules.png',
+  'assets/images/step4-start-review.png',
+  'assets/images/step5-view-results.png',
+  'assets/images/step6-handle-suggestions.png',
+  'assets/images/self-rule-syntax.png',
+  'assets/images/self-rule-display.png'
+];
+
+const PRECACHED = new Set(PRECACHE_URLS.map(url => new URL(url, self.location).href));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop caches left behind by previous versions
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  // ?lang= and the user parameters from the extension do not change the page itself
+  url.search = '';
+  url.hash = '';
+  if (!PRECACHED.has(url.href)) return;
+
+  event.respondWith(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.match(url.href))
+      .then(cached => cached || fetch(request))
+  );
+});
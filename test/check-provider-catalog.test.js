@@ -0,0 +1,59 @@
+/**
+ * Tests for scripts/check-provider-catalog.js
+ *
+ * Tips must name providers and models through catalog tokens; names written
+ * by hand, from the catalog or not, fail the check.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const FrontMatter = require('../assets/front-matter.js');
+const { catalogNames, findNames, checkTips } = require('../scripts/check-provider-catalog.js');
+
+const CONTENT_DIR = path.resolve(__dirname, '..', 'content');
+const names = catalogNames(JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, 'providers.json'), 'utf8')));
+
+function tips(...lines) {
+  return ['## Providers', '', '### Provider Selection Tips', '', ...lines, '', '### Next', '', '- ERNIE is fine outside tips'].join('\n');
+}
+
+test('stray product names in tips fail the check', () => {
+  const problems = checkTips(tips('- **For Chinese Content**: {{provider:qwen}}, ERNIE, Hunyuan, or Doubao'), names);
+  assert.deepEqual(problems.map(problem => problem.line), [5, 5, 5]);
+  assert.match(problems[0].message, /"ERNIE", which is not in content\/providers\.json/);
+  assert.match(problems[2].message, /"Doubao"/);
+});
+
+test('model names outside the catalog are found whatever their vendor', () => {
+  assert.deepEqual(findNames('- **Latest**: GPT-4o, o1-preview, Mistral-Large or DeepSeek-Coder', names).unknown,
+    ['GPT-4o', 'o1-preview', 'Mistral-Large', 'DeepSeek-Coder']);
+});
+
+test('catalog names written by hand must be tokens', () => {
+  assert.deepEqual(findNames('- **Code Review**: Claude-3.5 Sonnet, o3-mini or OpenAI', names),
+    { catalog: ['Claude-3.5 Sonnet', 'o3-mini', 'OpenAI'], unknown: [] });
+  assert.deepEqual(findNames('- **中文内容优化**：通义千问', names).catalog, ['通义千问']);
+});
+
+test('tokens, sentence starts, labels and known tool names pass', () => {
+  [
+    '- **For Code Review**: Choose {{model:claude-3-5-sonnet}} or {{provider:deepseek}}',
+    '- **For Privacy**: Local models via Ollama, vLLM, or LM Studio',
+    '- Enable "Require Detailed Plan" for AI suggestions. Then use Review Mode',
+    '- Estimate cost up front with the [review cost estimator](review-estimator.html)',
+    '- **成本效益优先**：{{provider:openai}} 的 mini 模型'
+  ].forEach(line => assert.deepEqual(findNames(line, names), { catalog: [], unknown: [] }, line));
+});
+
+test('the guide tips pass', () => {
+  fs.readdirSync(CONTENT_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .forEach(({ name: lang }) => {
+      fs.readdirSync(path.join(CONTENT_DIR, lang)).filter(file => file.endsWith('.md')).forEach(file => {
+        const { body } = FrontMatter.parse(fs.readFileSync(path.join(CONTENT_DIR, lang, file), 'utf8'));
+        assert.deepEqual(checkTips(body, names), [], `${lang}/${file}`);
+      });
+    });
+});
@@ -0,0 +1,286 @@
+/**
+ * Tests for assets/html-sanitizer.js
+ *
+ * Hostile links, attributes and markup are checked against the sanitizer on
+ * its own and through the Markdown renderer; hostile location hashes and
+ * content are fed to the guide page itself. Needs jsdom (see
+ * scripts/guide-page.js):
+ *
+ *   npm install --no-save jsdom@24
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { requireJsdom, openGuide } = require('../scripts/guide-page.js');
+const MarkdownRenderer = require('../assets/markdown-renderer.js');
+
+const { JSDOM } = requireJsdom();
+const { window } = new JSDOM('<!DOCTYPE html><body></body>');
+// The sanitizer runs in the page and uses its globals
+global.document = window.document;
+global.Node = window.Node;
+const HtmlSanitizer = require('../assets/html-sanitizer.js');
+
+const sanitizer = new HtmlSanitizer({ reservedIds: ['guideNav', 'searchInput'] });
+const renderer = new MarkdownRenderer();
+
+function clean(html) {
+  const container = document.createElement('div');
+  container.appendChild(sanitizer.sanitizeToFragment(html));
+  return container;
+}
+
+function hrefOf(html) {
+  return clean(html).querySelector('a').getAttribute('href');
+}
+
+// Attributes that carry the payloads the page tests inject; text attributes may quote them
+function injectedAttributes(root) {
+  return [root, ...root.querySelectorAll('*')]
+    .flatMap(element => [...element.attributes])
+    .filter(attribute => /pwned/.test(attribute.value) && !['alt', 'title', 'aria-label'].includes(attribute.name));
+}
+
+// Attributes that run script, anywhere in a subtree
+function scriptAttributes(root) {
+  return [root, ...root.querySelectorAll('*')]
+    .flatMap(element => [...element.attributes])
+    .filter(attribute => /^on/i.test(attribute.name) || attribute.name === 'style');
+}
+
+test('links with script or data schemes lose their href', async (t) => {
+  const hostile = {
+    'javascript:': 'javascript:alert(1)',
+    'upper case': 'JavaScript:alert(1)',
+    'leading whitespace': ' \t\njavascript:alert(1)',
+    'tab inside the scheme': 'java\tscript:alert(1)',
+    'newline inside the scheme': 'java&#10;script:alert(1)',
+    'control character before the scheme': '&#1;javascript:alert(1)',
+    'decimal entities': '&#106;avascript:alert(1)',
+    'hex entities': '&#x6A;&#x61;vascript:alert(1)',
+    'named entity colon': 'javascript&colon;alert(1)',
+    'data:': 'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+    'data: with entities': '&#100;ata:text/html,<script>alert(1)</script>',
+    'vbscript:': 'vbscript:msgbox(1)',
+    'vbscript: with whitespace': ' VBScript :msgbox(1)'
+  };
+
+  for (const [name, href] of Object.entries(hostile)) {
+    await t.test(name, () => {
+      assert.equal(hrefOf(`<a href="${href}">x</a>`), null);
+    });
+  }
+});
+
+test('images with script or data sources lose their src', () => {
+  ['javascript:alert(1)', 'data:image/svg+xml,<svg onload=alert(1)>', '&#x20;vbscript:x'].forEach(src => {
+    assert.equal(clean(`<img src="${src}" alt="">`).querySelector('img').getAttribute('src'), null, src);
+  });
+});
+
+test('safe URLs are kept', () => {
+  [
+    'https://deepreview.test/guide',
+    'http://example.com',
+    'mailto:support@example.com',
+    '#providers/rate-limiting-quotas',
+    'assets/images/step1-settings.png',
+    './pricing.html',
+    '../index.html',
+    '/privacy.html',
+    'pricing.html?plan=pro#faq'
+  ].forEach(href => {
+    assert.equal(hrefOf(`<a href="${href}">x</a>`), href);
+  });
+});
+
+test('event handler and style attributes are removed', () => {
+  const container = clean(`
+    <img src="x.png" alt="" onerror="alert(1)">
+    <a href="#x" onclick="alert(1)" ONMOUSEOVER="alert(1)">x</a>
+    <div onfocus="alert(1)" tabindex="0" style="background:url(javascript:alert(1))">x</div>
+    <details open ontoggle="alert(1)"><summary>x</summary></details>
+  `);
+  assert.deepEqual(scriptAttributes(container).map(attribute => attribute.name), []);
+  assert.equal(container.querySelector('[tabindex]'), null);
+});
+
+test('dangerous elements are dropped with their contents', async (t) => {
+  const hostile = {
+    script: '<script>alert(1)</script>',
+    iframe: '<iframe src="javascript:alert(1)"></iframe>',
+    svg: '<svg onload="alert(1)"><script>alert(1)</script><a href="javascript:alert(1)">x</a></svg>',
+    math: '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)></style></mglyph></table></mtext></math>',
+    'svg foreignObject': '<svg><foreignObject><img src=x onerror=alert(1)></foreignObject></svg>',
+    form: '<form action="https://evil.test"><input name="key"><button>Send</button></form>',
+    object: '<object data="x.swf"></object><embed src="x.swf">',
+    'meta refresh': '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+    'base href': '<base href="https://evil.test/">',
+    template: '<template><img src=x onerror=alert(1)></template>'
+  };
+
+  for (const [name, html] of Object.entries(hostile)) {
+    await t.test(name, () => {
+      const container = clean(`<p>before</p>${html}<p>after</p>`);
+      assert.equal(container.querySelectorAll('p').length, 2);
+      assert.equal(container.querySelectorAll(':not(p)').length, 0, container.innerHTML);
+    });
+  }
+});
+
+test('unknown elements are unwrapped and keep their text', () => {
+  const container = clean('<p><custom-tag onclick="alert(1)">kept <b>bold</b></custom-tag></p>');
+  assert.equal(container.innerHTML, '<p>kept <b>bold</b></p>');
+});
+
+test('comments are removed', () => {
+  assert.equal(clean('<p>a<!-- <img src=x onerror=alert(1)> -->b</p>').innerHTML, '<p>ab</p>');
+});
+
+test('ids used by the page chrome are removed from content', () => {
+  const container = clean('<h2 id="guideNav">x</h2><div id="searchInput"></div><h3 id="providers-tips">y</h3>');
+  assert.equal(container.querySelector('h2').hasAttribute('id'), false);
+  assert.equal(container.querySelector('div').hasAttribute('id'), false);
+  assert.equal(container.querySelector('h3').id, 'providers-tips');
+});
+
+test('links that open a new window get rel="noopener noreferrer"', () => {
+  const link = clean('<a href="https://example.com" target="_top" rel="opener">x</a>').querySelector('a');
+  assert.equal(link.getAttribute('target'), '_blank');
+  assert.equal(link.getAttribute('rel'), 'noopener noreferrer');
+});
+
+test('data-widget is only kept on the div placeholders the guide mounts widgets on', () => {
+  const container = clean('<div data-widget="rule-editor"></div><span data-widget="rule-editor"></span><div data-other="x"></div>');
+  assert.equal(container.querySelector('div').dataset.widget, 'rule-editor');
+  assert.equal(container.querySelector('span').hasAttribute('data-widget'), false);
+  assert.equal(container.querySelectorAll('[data-other]').length, 0);
+});
+
+test('hostile Markdown is neutralized after rendering', () => {
+  const container = clean(renderer.render([
+    '[click](javascript:alert(1)) [data](data:text/html,x) [vb](vbscript:x)',
+    '',
+    '![x](javascript:alert(1) "title")',
+    '',
+    '<img src="x.png" alt="" onerror="alert(1)">',
+    '',
+    '<div onmouseover="alert(1)">',
+    '',
+    '**bold** <svg onload="alert(1)"></svg>',
+    '',
+    '</div>',
+    '',
+    '### Heading {#guideNav}'
+  ].join('\n')));
+
+  container.querySelectorAll('a').forEach(link => assert.equal(link.getAttribute('href'), null));
+  assert.equal(container.querySelector('img[src^="javascript"]'), null);
+  assert.deepEqual(scriptAttributes(container).map(attribute => attribute.name), []);
+  assert.equal(container.querySelector('svg'), null);
+  assert.equal(container.querySelector('strong').textContent, 'bold');
+  assert.equal(container.querySelector('h3').hasAttribute('id'), false);
+});
+
+test('hostile location hashes are neutralized by the guide', async (t) => {
+  const hashes = [
+    '#<img src=x onerror=window.pwned=1>',
+    '#"><svg onload=window.pwned=1>',
+    '#scenarios/<img src=x onerror=window.pwned=1>',
+    '#scenarios/"><script>window.pwned=1</script>',
+    '#javascript:window.pwned=1',
+    '#__proto__',
+    '#constructor/toString',
+    '#guideNav',
+    `#${encodeURIComponent('<img src=x onerror=window.pwned=1>')}`
+  ];
+
+  for (const hash of hashes) {
+    await t.test(`opening ${hash}`, async () => {
+      const errors = [];
+      const dom = await openGuide({ hash, onError: error => errors.push(error.message) });
+      const { window: page } = dom;
+      try {
+        assert.equal(page.pwned, undefined);
+        assert.deepEqual(errors, []);
+        assert.equal(page.document.querySelectorAll('#guideArticle img:not(.step-image), #breadcrumb *:not(span), svg, #guideArticle script').length, 0);
+        assert.deepEqual(injectedAttributes(page.document.documentElement).map(attribute => attribute.name), []);
+        assert.equal(page.document.querySelectorAll('#guideNav').length, 1);
+      } finally {
+        page.close();
+      }
+    });
+  }
+
+  await t.test('changing the hash after load', async () => {
+    const dom = await openGuide({ hash: '#scenarios' });
+    const { window: page } = dom;
+    try {
+      for (const hash of hashes) {
+        page.location.hash = hash;
+        await new Promise(resolve => page.setTimeout(resolve, 20));
+        assert.equal(page.pwned, undefined, hash);
+        assert.equal(page.document.querySelectorAll('#breadcrumb *:not(span), svg, #guideArticle script').length, 0, hash);
+        assert.deepEqual(injectedAttributes(page.document.documentElement).map(attribute => attribute.name), [], hash);
+      }
+    } finally {
+      page.close();
+    }
+  });
+});
+
+test('hostile guide content is neutralized by the guide', async () => {
+  const hostile = [
+    '',
+    '### Hostile {#guideArticle}',
+    '',
+    '<img class="step-image" src="x.png" alt="&quot;&gt;&lt;img src=x onerror=window.pwned=1&gt;" onerror="window.pwned=1">',
+    '',
+    '[x](javascript:window.pwned=1)',
+    '',
+    '<script>window.pwned=1</script>',
+    '',
+    '<iframe srcdoc="<script>parent.pwned=1</script>"></iframe>'
+  ].join('\n');
+
+  const dom = await openGuide({
+    hash: '#scenarios',
+    // Append the content to the embedded copy the page falls back to
+    beforeParse(page) {
+      let content;
+      Object.defineProperty(page, 'GUIDE_CONTENT', {
+        configurable: true,
+        get: () => content,
+        set: value => {
+          value.files.en.scenarios += hostile;
+          content = value;
+        }
+      });
+    }
+  });
+  const { window: page } = dom;
+  const { document: doc } = page;
+  try {
+    const article = doc.getElementById('guideArticle');
+    assert.ok(article.textContent.includes('Hostile'), 'the hostile content was rendered');
+    assert.equal(doc.querySelectorAll('#guideArticle').length, 1);
+    assert.deepEqual(injectedAttributes(doc.documentElement).map(attribute => attribute.name), []);
+    assert.equal(article.querySelectorAll('script, iframe').length, 0);
+    article.querySelectorAll('a').forEach(link => assert.ok(!/^javascript:/i.test(link.getAttribute('href') || '')));
+
+    // The lightbox shows the alt text as text, not markup
+    const image = [...article.querySelectorAll('.step-image')].find(img => img.getAttribute('src') === 'x.png');
+    image.click();
+    await new Promise(resolve => page.setTimeout(resolve, 20));
+    assert.ok(doc.querySelector('.image-modal .enlarged-image'), 'the lightbox opened');
+    const title = doc.querySelector('.image-lightbox-title');
+    assert.ok(title.textContent.startsWith('"><img src=x onerror=window.pwned=1>'), title.textContent);
+    assert.equal(title.children.length, 0);
+    assert.deepEqual(injectedAttributes(doc.documentElement).map(attribute => attribute.name), []);
+    assert.equal(doc.querySelectorAll('img[onerror]').length, 0);
+    assert.equal(page.pwned, undefined);
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,203 @@
+/**
+ * Tests for assets/markdown-renderer.js
+ *
+ * Every section file under content/<lang>/ is rendered the way the guide
+ * renders it (release notes and provider catalog tokens expanded first) and
+ * compared with the HTML stored in test/fixtures/markdown/<lang>/<section>.html.
+ * After a content or renderer change, review the new output and rewrite the
+ * fixtures with:
+ *
+ *   UPDATE_FIXTURES=1 node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const MarkdownRenderer = require('../assets/markdown-renderer.js');
+const FrontMatter = require('../assets/front-matter.js');
+const ProviderCatalog = require('../assets/provider-catalog.js');
+const ReleaseNotes = require('../assets/release-notes.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const CONTENT_DIR = path.join(ROOT, 'content');
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'markdown');
+
+const renderer = new MarkdownRenderer();
+
+function render(markdown) {
+  return renderer.render(markdown);
+}
+
+/**
+ * Run the locale registry and catalog scripts the way the page does
+ */
+function loadLocales() {
+  const context = { window: {} };
+  vm.createContext(context);
+
+  const run = file => vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  run(path.join(ROOT, 'assets', 'guide-i18n.js'));
+
+  const localesDir = path.join(ROOT, 'assets', 'locales');
+  fs.readdirSync(localesDir)
+    .filter(file => file.endsWith('.js'))
+    .forEach(file => run(path.join(localesDir, file)));
+
+  return context.window.guideI18n;
+}
+
+test('guide content matches the stored fixtures', async (t) => {
+  const manifest = JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, 'manifest.json'), 'utf8'));
+  const catalog = new ProviderCatalog(JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, 'providers.json'), 'utf8')));
+  const releaseNotes = new ReleaseNotes(JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, 'releases.json'), 'utf8')));
+  const i18n = loadLocales();
+
+  for (const lang of manifest.languages) {
+    const translate = (key, params) => i18n.translate(lang, key, params);
+    const files = fs.readdirSync(path.join(CONTENT_DIR, lang)).filter(file => file.endsWith('.md'));
+    for (const file of files) {
+      await t.test(`${lang}/${file}`, () => {
+        const { body } = FrontMatter.parse(fs.readFileSync(path.join(CONTENT_DIR, lang, file), 'utf8'));
+        const markdown = catalog.expand(releaseNotes.expand(body, lang, translate), lang, translate);
+        const html = `${render(markdown)}\n`;
+        const fixture = path.join(FIXTURE_DIR, lang, file.replace(/\.md$/, '.html'));
+
+        if (process.env.UPDATE_FIXTURES) {
+          fs.mkdirSync(path.dirname(fixture), { recursive: true });
+          fs.writeFileSync(fixture, html);
+          return;
+        }
+        assert.ok(fs.existsSync(fixture), `no fixture for ${lang}/${file}; run with UPDATE_FIXTURES=1`);
+        assert.equal(html, fs.readFileSync(fixture, 'utf8'));
+      });
+    }
+  }
+});
+
+test('blockquotes', async (t) => {
+  await t.test('render with their inline Markdown', () => {
+    assert.equal(
+      render('> **Important Disclaimer**: read this\n> second line'),
+      '<blockquote>\n<p><strong>Important Disclaimer</strong>: read this\nsecond line</p>\n</blockquote>'
+    );
+  });
+
+  await t.test('hold other blocks', () => {
+    assert.equal(
+      render('> Note\n>\n> - item'),
+      '<blockquote>\n<p>Note</p>\n<ul>\n<li>item</li>\n</ul>\n</blockquote>'
+    );
+  });
+
+  await t.test('continue lazily and end at a blank line', () => {
+    assert.equal(
+      render('> first\nlazy\n\nafter'),
+      '<blockquote>\n<p>first\nlazy</p>\n</blockquote>\n<p>after</p>'
+    );
+  });
+});
+
+test('tables', async (t) => {
+  await t.test('accept rows without a trailing pipe', () => {
+    assert.equal(
+      render('| Provider | Website |\n|---|---|\n| OpenAI | a |\n| Anthropic | b'),
+      '<table>\n<thead>\n<tr><th>Provider</th><th>Website</th></tr>\n</thead>\n<tbody>\n' +
+      '<tr><td>OpenAI</td><td>a</td></tr>\n<tr><td>Anthropic</td><td>b</td></tr>\n</tbody>\n</table>'
+    );
+  });
+
+  await t.test('apply column alignment', () => {
+    assert.equal(
+      render('| a | b | c |\n|:--|:-:|--:|\n| 1 | 2 | 3 |'),
+      '<table>\n<thead>\n<tr><th align="left">a</th><th align="center">b</th><th align="right">c</th></tr>\n</thead>\n' +
+      '<tbody>\n<tr><td align="left">1</td><td align="center">2</td><td align="right">3</td></tr>\n</tbody>\n</table>'
+    );
+  });
+
+  await t.test('keep escaped pipes and pipes in code inside a cell', () => {
+    assert.equal(
+      render('| a | b |\n|---|---|\n| x \\| y | `p|q` |'),
+      '<table>\n<thead>\n<tr><th>a</th><th>b</th></tr>\n</thead>\n<tbody>\n' +
+      '<tr><td>x | y</td><td><code>p|q</code></td></tr>\n</tbody>\n</table>'
+    );
+  });
+});
+
+test('lists', async (t) => {
+  await t.test('nest by indentation', () => {
+    assert.equal(
+      render('- one\n  - one.a\n    - deep\n- two'),
+      '<ul>\n<li>one\n<ul>\n<li>one.a\n<ul>\n<li>deep</li>\n</ul></li>\n</ul></li>\n<li>two</li>\n</ul>'
+    );
+  });
+
+  await t.test('mix ordered and bullet lists', () => {
+    assert.equal(
+      render('1. first\n   - inner\n2. second'),
+      '<ol>\n<li>first\n<ul>\n<li>inner</li>\n</ul></li>\n<li>second</li>\n</ol>'
+    );
+  });
+
+  await t.test('keep the start number of ordered lists', () => {
+    assert.equal(render('3. three\n4. four'), '<ol start="3">\n<li>three</li>\n<li>four</li>\n</ol>');
+  });
+
+  await t.test('wrap items in paragraphs when the list is loose', () => {
+    assert.equal(render('- a\n\n- b'), '<ul>\n<li><p>a</p></li>\n<li><p>b</p></li>\n</ul>');
+  });
+});
+
+test('code', async (t) => {
+  await t.test('fenced blocks get a language class and no inline Markdown', () => {
+    assert.equal(
+      render('```json\n{ "a": "**not bold**", "b": "<tag>" }\n```'),
+      '<pre><code class="language-json">{ &quot;a&quot;: &quot;**not bold**&quot;, &quot;b&quot;: &quot;&lt;tag&gt;&quot; }\n</code></pre>'
+    );
+  });
+
+  await t.test('fenced blocks without a language', () => {
+    assert.equal(render('```\n_x_ *y*\n```'), '<pre><code>_x_ *y*\n</code></pre>');
+  });
+
+  await t.test('code spans keep emphasis markers', () => {
+    assert.equal(render('Use `**raw**` here'), '<p>Use <code>**raw**</code> here</p>');
+  });
+});
+
+test('HTML blocks', async (t) => {
+  await t.test('pass through with Markdown between them', () => {
+    assert.equal(
+      render('<div class="operation-step">\n<div class="step-number">1</div>\n\n**Bold** inside\n\n</div>'),
+      '<div class="operation-step">\n<div class="step-number">1</div>\n<p><strong>Bold</strong> inside</p>\n</div>'
+    );
+  });
+});
+
+test('heading ids', async (t) => {
+  await t.test('are slugs of the heading text without emoji or punctuation', () => {
+    assert.equal(
+      render('## ⚙️ Basic Functions\n### Rate Limiting & Quotas'),
+      '<h2 id="basic-functions">⚙️ Basic Functions</h2>\n<h3 id="rate-limiting-quotas">Rate Limiting &amp; Quotas</h3>'
+    );
+  });
+
+  await t.test('take an explicit {#id}, which is removed from the text', () => {
+    assert.equal(
+      render('#### ⚡ 速率限制和配额 {#rate-limiting-quotas}'),
+      '<h4 id="rate-limiting-quotas">⚡ 速率限制和配额</h4>'
+    );
+  });
+
+  await t.test('are made unique within a document', () => {
+    assert.equal(
+      render('### Setup\n### Setup\n### Other {#setup}'),
+      '<h3 id="setup">Setup</h3>\n<h3 id="setup-1">Setup</h3>\n<h3 id="setup-2">Other</h3>'
+    );
+  });
+
+  await t.test('keep letters of any script', () => {
+    assert.equal(render('### 连接问题'), '<h3 id="连接问题">连接问题</h3>');
+  });
+});
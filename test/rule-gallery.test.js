@@ -0,0 +1,86 @@
+/**
+ * Tests for assets/rule-gallery.js
+ *
+ * The gallery page is opened in jsdom with its rule sets served from the
+ * working tree. Needs jsdom (see scripts/guide-page.js):
+ *
+ *   npm install --no-save jsdom@24
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, openGuide } = require('../scripts/guide-page.js');
+
+const RULE_DRAFT_KEY = 'user-guide-rule-draft';
+const TEMPLATE = 'api-contract';
+const TEMPLATE_TEXT = fs.readFileSync(path.join(ROOT, 'content', 'rules', 'en', `${TEMPLATE}.txt`), 'utf8');
+
+/**
+ * The gallery with a stored draft, answering the replace question with `answer`
+ * @returns {Promise<{ window: Window, questions: string[] }>}
+ */
+async function openGallery(t, { draft = null, answer = false } = {}) {
+  const questions = [];
+  const dom = await openGuide({
+    page: 'rule-gallery.html',
+    beforeParse(window) {
+      // jsdom cannot fetch; serve content/rules/ from the working tree
+      window.fetch = async (url) => {
+        const file = path.join(ROOT, url);
+        const found = fs.existsSync(file);
+        return {
+          ok: found,
+          status: found ? 200 : 404,
+          text: async () => fs.readFileSync(file, 'utf8')
+        };
+      };
+      window.confirm = (question) => {
+        questions.push(question);
+        return answer;
+      };
+      if (draft !== null) window.localStorage.setItem(RULE_DRAFT_KEY, draft);
+    }
+  });
+  t.after(() => dom.window.close());
+  return { window: dom.window, questions };
+}
+
+function openInEditor(window) {
+  window.document.querySelector(`[data-action="edit"][data-template="${TEMPLATE}"]`).click();
+}
+
+test('a rule set opens in the editor when there is no draft', async (t) => {
+  const { window, questions } = await openGallery(t);
+  openInEditor(window);
+  assert.deepEqual(questions, []);
+  assert.equal(window.localStorage.getItem(RULE_DRAFT_KEY), TEMPLATE_TEXT);
+});
+
+test('an existing draft is kept unless the reader agrees to replace it', async (t) => {
+  const draft = '# My Rules\n\n## Check my own rule\n1. Mine\n';
+  const { window, questions } = await openGallery(t, { draft, answer: false });
+  openInEditor(window);
+  assert.equal(questions.length, 1);
+  assert.match(questions[0], /already holds a draft/);
+  assert.equal(window.localStorage.getItem(RULE_DRAFT_KEY), draft);
+  assert.equal(window.location.pathname, '/rule-gallery.html');
+});
+
+test('an existing draft is replaced once the reader agrees', async (t) => {
+  const { window, questions } = await openGallery(t, { draft: '# My Rules\n', answer: true });
+  openInEditor(window);
+  assert.equal(questions.length, 1);
+  assert.equal(window.localStorage.getItem(RULE_DRAFT_KEY), TEMPLATE_TEXT);
+});
+
+test('a blank draft or the same rule set is replaced without asking', async (t) => {
+  for (const draft of ['  \n', TEMPLATE_TEXT]) {
+    const { window, questions } = await openGallery(t, { draft });
+    openInEditor(window);
+    assert.deepEqual(questions, [], JSON.stringify(draft));
+    assert.equal(window.localStorage.getItem(RULE_DRAFT_KEY), TEMPLATE_TEXT);
+  }
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for assets/rule-parser.js
+ *
+ * Rule files in the extension's .txt format are parsed into categories and
+ * rules; each lint problem is checked for its code, severity, params and
+ * 1-based line number.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RuleFileParser = require('../assets/rule-parser.js');
+
+const parser = new RuleFileParser();
+
+function parse(...lines) {
+  return parser.parse(lines.join('\n'));
+}
+
+// Problems without the severity, which each test checks once on its own
+function problemsOf(result) {
+  return result.problems.map(({ code, line, params }) => ({ code, line, params }));
+}
+
+test('a valid rule file parses into categories and rules without problems', () => {
+  const result = parse(
+    '# General Code Rules',
+    '',
+    '## Check code style consistency',
+    '1. Consistent indentation style',
+    '2. Consistent naming conventions',
+    '',
+    '# JavaScript Rules',
+    '## Check variable declarations',
+    '1. Use const for variables that are not reassigned',
+    ''
+  );
+
+  assert.deepEqual(result.problems, []);
+  assert.deepEqual(result.categories, [
+    {
+      title: 'General Code Rules',
+      line: 1,
+      rules: [{
+        title: 'Check code style consistency',
+        line: 3,
+        description: '1. Consistent indentation style\n2. Consistent naming conventions'
+      }]
+    },
+    {
+      title: 'JavaScript Rules',
+      line: 7,
+      rules: [{ title: 'Check variable declarations', line: 8, description: '1. Use const for variables that are not reassigned' }]
+    }
+  ]);
+});
+
+test('Windows line endings and trailing spaces after titles are accepted', () => {
+  const result = parser.parse('# Rules  \r\n## Check names\t\r\n1. Descriptive names\r\n');
+  assert.deepEqual(result.problems, []);
+  assert.equal(result.categories[0].title, 'Rules');
+  assert.equal(result.categories[0].rules[0].title, 'Check names');
+  assert.equal(result.categories[0].rules[0].description, '1. Descriptive names');
+});
+
+test('headings without a title are errors', () => {
+  const result = parse('#', '## Check names', '1. Descriptive names', '# Rules', '##   ', '1. Something');
+  assert.deepEqual(problemsOf(result), [
+    { code: 'missingTitle', line: 1, params: {} },
+    { code: 'missingTitle', line: 5, params: {} }
+  ]);
+  assert.deepEqual(result.problems.map(problem => problem.severity), ['error', 'error']);
+});
+
+test('a heading without a space after the hashes is not a heading', () => {
+  const result = parse('#Rules', '## Check names', '1. Descriptive names');
+  assert.deepEqual(problemsOf(result), [
+    { code: 'strayText', line: 1, params: {} },
+    { code: 'outsideCategory', line: 2, params: { title: 'Check names' } }
+  ]);
+  assert.equal(result.categories[0].title, null);
+});
+
+test('rules above the first category are errors', () => {
+  const result = parse('## Check names', '1. Descriptive names', '# Rules', '## Check types', '1. No any');
+  assert.deepEqual(problemsOf(result), [{ code: 'outsideCategory', line: 1, params: { title: 'Check names' } }]);
+  assert.equal(result.problems[0].severity, 'error');
+  assert.equal(result.categories[0].title, null);
+});
+
+test('categories without rules are warnings', () => {
+  const result = parse('# Empty', '', '# Rules', '## Check names', '1. Descriptive names', '# Also Empty');
+  assert.deepEqual(problemsOf(result), [
+    { code: 'emptyCategory', line: 1, params: { title: 'Empty' } },
+    { code: 'emptyCategory', line: 6, params: { title: 'Also Empty' } }
+  ]);
+  assert.deepEqual(result.problems.map(problem => problem.severity), ['warning', 'warning']);
+});
+
+test('rules without a description are warnings', () => {
+  const result = parse('# Rules', '## Check names', '   ', '## Check types', '1. No any');
+  assert.deepEqual(problemsOf(result), [{ code: 'emptyRule', line: 2, params: { title: 'Check names' } }]);
+  assert.equal(result.problems[0].severity, 'warning');
+});
+
+test('descriptions over the length limit are warnings', () => {
+  const short = new RuleFileParser({ maxRuleLength: 10 });
+  const result = short.parse(['# Rules', '## Check names', '1. Descriptive names', '## Check types', '1. No any'].join('\n'));
+  assert.deepEqual(problemsOf(result), [
+    { code: 'longRule', line: 2, params: { title: 'Check names', length: 20, max: 10 } }
+  ]);
+  assert.equal(result.problems[0].severity, 'warning');
+
+  const long = `1. ${'x'.repeat(1000)}`;
+  assert.deepEqual(problemsOf(parse('# Rules', '## Check names', long)).map(problem => problem.params.max), [1000]);
+});
+
+test('duplicate rule and category titles point to their first use, ignoring case', () => {
+  const result = parse(
+    '# Rules',
+    '## Check names',
+    '1. Descriptive names',
+    '# More Rules',
+    '## check NAMES',
+    '1. Again',
+    '# rules',
+    '## Check types',
+    '1. No any'
+  );
+  assert.deepEqual(problemsOf(result), [
+    { code: 'duplicateRule', line: 5, params: { title: 'check NAMES', first: 2 } },
+    { code: 'duplicateCategory', line: 7, params: { title: 'rules', first: 1 } }
+  ]);
+  assert.deepEqual(result.problems.map(problem => problem.severity), ['warning', 'warning']);
+});
+
+test('deeper headings are warnings and stay in the rule description', () => {
+  const result = parse('# Rules', '## Check names', '### Details', '1. Descriptive names');
+  assert.deepEqual(problemsOf(result), [{ code: 'deepHeading', line: 3, params: {} }]);
+  assert.equal(result.problems[0].severity, 'warning');
+  assert.equal(result.categories[0].rules[0].description, '### Details\n1. Descriptive names');
+});
+
+test('text before the first heading is a warning', () => {
+  const result = parse('', 'Rules for our team', '# Rules', '## Check names', '1. Descriptive names');
+  assert.deepEqual(problemsOf(result), [{ code: 'strayText', line: 2, params: {} }]);
+  assert.equal(result.problems[0].severity, 'warning');
+});
+
+test('a file without rules is an error on line 1', () => {
+  for (const text of ['', 'Just some notes', '# Rules']) {
+    const codes = parser.parse(text).problems.filter(problem => problem.code === 'noRules');
+    assert.deepEqual(codes.map(({ severity, line }) => ({ severity, line })), [{ severity: 'error', line: 1 }], JSON.stringify(text));
+  }
+});
+
+test('problems are sorted by line', () => {
+  const result = parse('Notes', '## Orphan', '1. Text', '# Rules', '## Check names', '### Details', '# Rules');
+  const lines = result.problems.map(problem => problem.line);
+  assert.deepEqual(lines, [...lines].sort((a, b) => a - b));
+  assert.deepEqual(result.problems.map(problem => problem.code),
+    ['strayText', 'outsideCategory', 'deepHeading', 'duplicateCategory', 'emptyCategory']);
+});
@@ -0,0 +1,88 @@
+/**
+ * Tests for assets/user-guide.js
+ *
+ * The guide page is opened in jsdom and driven through its navigation and
+ * history. Needs jsdom (see scripts/guide-page.js):
+ *
+ *   npm install --no-save jsdom@24
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openGuide, wait } = require('../scripts/guide-page.js');
+
+// Scroll the content pane the way a reader would; jsdom fires no scroll events itself
+function scrollContent(window, top) {
+  const content = window.document.querySelector('.guide-content');
+  content.scrollTop = top;
+  content.dispatchEvent(new window.Event('scroll'));
+}
+
+function goTo(window, section) {
+  window.document.querySelector(`#guideNav [data-section="${section}"]`).click();
+}
+
+async function traverse(window, direction) {
+  window.history[direction]();
+  await wait(window, 50);
+}
+
+test('Back and Forward return to where the reader left each section', async (t) => {
+  const dom = await openGuide({ hash: '#scenarios' });
+  t.after(() => dom.window.close());
+  const { window } = dom;
+  const content = window.document.querySelector('.guide-content');
+
+  scrollContent(window, 40);
+  goTo(window, 'providers');
+  assert.equal(window.location.hash, '#providers');
+  scrollContent(window, 120);
+  await wait(window, 200);
+
+  await traverse(window, 'back');
+  assert.equal(window.location.hash, '#scenarios');
+  assert.equal(content.scrollTop, 40);
+
+  await traverse(window, 'forward');
+  assert.equal(window.location.hash, '#providers');
+  assert.equal(content.scrollTop, 120);
+});
+
+test('leaving the page saves the position of the current entry', async (t) => {
+  const dom = await openGuide({ hash: '#providers' });
+  t.after(() => dom.window.close());
+  const { window } = dom;
+
+  window.document.querySelector('.guide-content').scrollTop = 75;
+  window.dispatchEvent(new window.Event('pagehide'));
+  assert.equal(window.history.state.scroll.content, 75);
+  assert.equal(window.history.state.section, 'providers');
+});
+
+test('an unknown section falls back to the start of the guide in place of its entry', async (t) => {
+  for (const hash of ['#nonexistent', '#__proto__']) {
+    const dom = await openGuide({ hash });
+    t.after(() => dom.window.close());
+    const { document, location } = dom.window;
+    assert.equal(location.hash, '#scenarios', hash);
+    assert.equal(document.querySelector('#breadcrumb .current').textContent, 'Application Scenarios', hash);
+    assert.equal(document.querySelector('#guideArticle .error-state'), null, hash);
+  }
+});
+
+test('following a link to an unknown section replaces it with the start of the guide', async (t) => {
+  const dom = await openGuide({ hash: '#providers' });
+  t.after(() => dom.window.close());
+  const { window } = dom;
+  const entries = window.history.length;
+
+  window.location.hash = '#nonexistent';
+  await wait(window, 50);
+  assert.equal(window.location.hash, '#scenarios');
+  assert.equal(window.document.querySelector('#breadcrumb .current').textContent, 'Application Scenarios');
+  assert.equal(window.history.length, entries + 1);
+
+  await traverse(window, 'back');
+  assert.equal(window.location.hash, '#providers');
+});